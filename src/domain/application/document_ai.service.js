@@ -1,142 +1,898 @@
+const { EventEmitter } = require('events');
 const { Document } = require('../entities/documents');
 const { Schema } = require('../entities/schema');
-const { ExtractionResult } = require('../entities/extraction');
+const { ExtractionResult, MERGE_STRATEGIES } = require('../entities/extraction');
+const { RetryPolicy } = require('../value-objects/retry_policy');
+const { DocumentSource } = require('../value-objects/document_source');
+const { FileAccessPolicy } = require('../value-objects/file_access_policy');
+const { DocumentBoundary } = require('../value-objects/document_boundary');
 const { BatchProcessingService } = require('../services/batch_processing.service');
+const { DeduplicationService } = require('../services/deduplication.service');
+const { ProcessingEvents } = require('../events/processing_events');
+const { createProcessingError, wrapError, DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+const { createLinkedController, isCancellation } = require('../utils/cancellation');
+const { hashJson } = require('../utils/content_hash');
 const { DocumentAIRepository } = require('../../infrastructure/repositories/document_ai.repository');
+const { BatchJobRepository } = require('../../infrastructure/repositories/batch_job.repository');
+const { MemoryResultCache } = require('../../infrastructure/cache/memory.cache');
+const { DiskResultCache } = require('../../infrastructure/cache/disk.cache');
 
-class DocumentAIService {
+const CACHE_MODES = ['read', 'write', 'bypass'];
+
+class DocumentAIService extends EventEmitter {
     constructor(config) {
+        super();
+
         this.repository = new DocumentAIRepository(config);
-        this.batchService = new BatchProcessingService();
+        this.retryPolicy = RetryPolicy.fromConfig(config);
+        this.mimeMismatch = config.mimeMismatch;
+        this.maxPages = config.maxPages;
+        this.split = config.split;
+        this.preprocess = config.preprocess;
+        this.logger = config.logger || null;
+        this.fileAccessPolicy = FileAccessPolicy.from(config.fileAccess);
+        this.jobRepository = config.jobsDirectory
+            ? new BatchJobRepository({ jobsDirectory: config.jobsDirectory })
+            : null;
+        this.resultCache = this.createResultCache(config.cache);
 
         this.results = new Map();
         this.errors = new Map();
     }
 
     /**
-     * Extract data from a single document
+     * Extract data from a single document: a local path, an http(s) URL, a
+     * data: URI, a Buffer/Uint8Array or a Readable stream (see DocumentSource).
+     * Aborting `options.signal` rejects with a CancelledError.
      */
     async extractData(filePath, schemaDefinition, options = {}) {
+        return await this.processDocument(filePath, schemaDefinition, options,
+            (document, schema) => this.extractDocument(document, schema, options));
+    }
+
+    /**
+     * Cut a PDF holding several documents back to back (e.g. a scanned
+     * stack of invoices) into logical documents at `options.boundary` (see
+     * DocumentBoundary) and extract each one. Resolves to `{ success,
+     * documentId, documents }`, with `{ documentId, pages, result, summary }`
+     * per logical document in page order.
+     */
+    async splitAndExtract(filePath, schemaDefinition, options = {}) {
+        const boundary = DocumentBoundary.from(options.boundary);
+
+        return await this.processDocument(filePath, schemaDefinition, options,
+            (document, schema) => this.extractLogicalDocuments(document, schema, boundary, options));
+    }
+
+    /**
+     * Validate a document and run `extract(document, schema)` with the
+     * document lifecycle events around it
+     */
+    async processDocument(filePath, schemaDefinition, options, extract) {
         const startTime = Date.now();
+        let document;
 
         try {
             // Create document entity
-            const document = this.createDocument(filePath, options);
+            document = this.createDocument(filePath, options);
 
             // Create schema entity
             const schema = this.createSchema(schemaDefinition);
 
-            // Validate document can be processed
+            // Validate document can be processed, including what the PDF itself reveals
+            await document.inspect();
             const canProcess = document.canBeProcessed();
             if (!canProcess.canProcess) {
-                throw new Error(`Document cannot be processed: ${canProcess.reason}`);
+                throw createProcessingError(`Document cannot be processed: ${canProcess.reason}`, canProcess.code);
             }
 
             // Mark document as processing
             document.markAsProcessing();
+            this.emit(ProcessingEvents.DOCUMENT_START, {
+                documentId: document.id,
+                filePath: document.filePath.value,
+                attempt: document.processingAttempts
+            });
+
+            const extraction = await extract(document, schema);
+
+            // Mark document as completed
+            document.markAsCompleted();
+            this.emit(ProcessingEvents.DOCUMENT_COMPLETED, {
+                documentId: document.id,
+                filePath: document.filePath.value,
+                attempts: document.processingAttempts,
+                processingTime: Date.now() - startTime,
+                result: extraction
+            });
 
-            // Extract data using repository
-            const extractionResponse = await this.repository.extract(document, schema);
+            return extraction;
 
-            // Create extraction result
-            const result = new ExtractionResult(
-                document.id,
-                extractionResponse.data,
-                schema,
-                {
-                    confidence: extractionResponse.metadata.confidence,
+        } catch (error) {
+            if (document && isCancellation(error)) {
+                document.markAsCancelled();
+                this.emit(ProcessingEvents.DOCUMENT_CANCELLED, {
+                    documentId: document.id,
+                    filePath: document.filePath.value,
+                    attempts: document.processingAttempts
+                });
+            } else if (document) {
+                // Mark document as failed
+                document.markAsFailed();
+                this.emit(ProcessingEvents.DOCUMENT_FAILED, {
+                    documentId: document.id,
+                    filePath: document.filePath.value,
+                    attempts: document.processingAttempts,
                     processingTime: Date.now() - startTime,
-                    metadata: {
-                        ...extractionResponse.metadata,
-                        documentType: document.getFileTypeCategory(),
-                        isUrl: document.isUrlDocument()
-                    }
+                    error: error.message
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Run the extraction for a document entity that is already being processed,
+     * retrying according to the service RetryPolicy (or `options.retryPolicy`).
+     *
+     * With a result cache configured, `options.cache` selects how it is used:
+     * 'read' (default) returns a cached result when there is one and caches
+     * new results, 'write' always extracts and refreshes the cache, 'bypass'
+     * leaves the cache alone.
+     */
+    async extractDocument(document, schema, options = {}) {
+        const startTime = Date.now();
+        let retryPolicy = RetryPolicy.from(options.retryPolicy, this.retryPolicy);
+
+        // A Readable stream input can only be uploaded once
+        if (!document.isReplayable()) {
+            retryPolicy = retryPolicy.with({ maxAttempts: 1 });
+        }
+
+        try {
+            const cacheMode = this.getCacheMode(options);
+            const cacheKey = cacheMode === 'bypass' ? null : await this.getCacheKey(document, schema);
+
+            if (cacheKey && cacheMode === 'read') {
+                const cached = await this.readCachedResult(cacheKey, document, schema);
+                if (cached) {
+                    return this.storeResult(document, cached);
                 }
-            );
+            }
 
-            // Mark document as completed
-            document.markAsCompleted();
+            // Prepare images, then extract data using repository; oversized
+            // PDFs and multi-page images in page chunks
+            await document.preprocess();
+            const result = document.needsSplitting()
+                ? await this.extractInChunks(document, schema, options, retryPolicy)
+                : this.createResult(document, schema, await this.requestExtraction(document, schema, retryPolicy, options.signal), startTime);
 
-            // Store result
-            this.results.set(document.id, result);
+            if (cacheKey && result.status !== 'failed') {
+                await this.writeCachedResult(cacheKey, result);
+            }
 
-            return {
-                success: true,
-                documentId: document.id,
-                result: result,
-                summary: result.getSummary()
-            };
+            return this.storeResult(document, result);
 
         } catch (error) {
-            // Mark document as failed
-            if (document) {
-                document.markAsFailed();
+            // Store error; a cancelled document did not fail
+            if (!isCancellation(error)) {
+                this.errors.set(document.id, {
+                    error: error.message,
+                    timestamp: new Date(),
+                    document: document.getSummary()
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a document to the API under the retry policy
+     */
+    async requestExtraction(document, schema, retryPolicy, signal) {
+        return await retryPolicy.execute(async (attempt) => {
+            if (attempt > 1) {
+                document.markAsProcessing();
+            }
+            return await this.repository.extract(document, schema, { signal });
+        }, {
+            signal,
+            onRetry: ({ error, attempt, delay }) => {
+                this.emit(ProcessingEvents.DOCUMENT_RETRY, {
+                    documentId: document.id,
+                    filePath: document.filePath.value,
+                    attempt,
+                    maxAttempts: retryPolicy.maxAttempts,
+                    error: error.message,
+                    waitTime: delay
+                });
+            }
+        });
+    }
+
+    /**
+     * Create the extraction result for an API response
+     */
+    createResult(document, schema, extractionResponse, startTime, metadata = {}) {
+        return new ExtractionResult(
+            document.id,
+            extractionResponse.data,
+            schema,
+            {
+                confidence: extractionResponse.metadata.confidence,
+                processingTime: Date.now() - startTime,
+                warnings: [...document.warnings],
+                metadata: {
+                    ...extractionResponse.metadata,
+                    documentType: document.getFileTypeCategory(),
+                    isUrl: document.isUrlDocument(),
+                    // Original page numbers of the pages that were uploaded
+                    ...(document.pageSelection ? { pages: document.getSelectedPages() } : {}),
+                    ...(document.preprocessed ? { preprocessing: document.getPreprocessingSummary() } : {}),
+                    ...(this.resultCache ? { cacheHit: false } : {}),
+                    ...metadata
+                }
             }
+        );
+    }
+
+    /**
+     * Extract an oversized PDF (or the pages of a multi-page image) in page
+     * chunks, `split.concurrency` at a time, and merge the chunk results into
+     * one. A failed chunk fails the document and cancels the chunks still
+     * running.
+     */
+    async extractInChunks(document, schema, options, retryPolicy) {
+        const startTime = Date.now();
+        // Pages of a multi-page image are extracted this way even with `split: false`
+        const split = document.split || { concurrency: 3, mergeStrategies: {} };
+        const strategies = this.getMergeStrategies(schema, split.mergeStrategies);
+        const chunks = await document.getChunks();
+
+        const results = await this.runConcurrently(chunks.length, split.concurrency, options.signal, async (index, signal) => {
+            const chunkDocument = document.createChunkDocument(chunks[index]);
+            const response = await this.requestExtraction(chunkDocument, schema, retryPolicy, signal);
+            return this.createResult(document, schema, response, startTime, { pages: chunks[index].pages });
+        });
+
+        const merged = results.reduce((combined, result) => combined.merge(result, { strategies, defaultStrategy: 'first' }));
+        const { pages, ...metadata } = merged.metadata;
+
+        merged.processingTime = Date.now() - startTime;
+        merged.warnings = [...new Set(merged.warnings)];
+        merged.metadata = {
+            ...metadata,
+            ...(document.pageSelection ? { pages: document.getSelectedPages() } : {}),
+            chunks: results.map(result => ({
+                pages: result.metadata.pages,
+                requestId: result.metadata.requestId,
+                confidence: result.confidence,
+                status: result.status
+            }))
+        };
+
+        return merged;
+    }
+
+    /**
+     * Run `work(index, signal)` for indexes 0..count-1, `concurrency` at a
+     * time, resolving to the results in index order. The first failure
+     * aborts the signal passed to the work still running.
+     */
+    async runConcurrently(count, concurrency, signal, work) {
+        const results = new Array(count);
+        const controller = createLinkedController(signal);
+
+        let next = 0;
+        const worker = async () => {
+            while (next < count) {
+                const index = next++;
+                results[index] = await work(index, controller.signal);
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(concurrency, count) }, () =>
+                worker().catch(error => {
+                    controller.abort(error);
+                    throw error;
+                })
+            ));
+        } finally {
+            controller.release();
+        }
 
-            // Store error
-            this.errors.set(document?.id || 'unknown', {
-                error: error.message,
-                timestamp: new Date(),
-                document: document?.getSummary()
+        return results;
+    }
+
+    /**
+     * Cut a PDF into logical documents and extract them (see
+     * splitAndExtract). Heuristic boundaries are found locally and each
+     * logical document is extracted once; a predicate needs every page
+     * extracted on its own first, and the page results are then merged.
+     */
+    async extractLogicalDocuments(document, schema, boundary, options) {
+        const inspection = document.inspection;
+        if (!inspection || inspection.encrypted || !inspection.pageCount) {
+            throw new DocumentProcessingError('Only a local or in-memory, unencrypted PDF can be split into documents', {
+                code: ErrorCodes.VALIDATION_FAILED
             });
+        }
 
-            throw error;
+        const pages = await document.readPages();
+        let documents;
+
+        if (boundary.usesExtractions()) {
+            const extractions = await this.extractPageGroups(document, schema, pages.map(page => [page.number]), options);
+            pages.forEach((page, index) => {
+                page.result = extractions[index].result;
+                page.data = page.result.extractedData;
+            });
+
+            const strategies = this.getMergeStrategies(schema, document.split ? document.split.mergeStrategies : {});
+            const groups = await boundary.group(pages);
+
+            documents = groups.map(group => {
+                const documentId = `${document.id}-pages-${group[0]}-${group[group.length - 1]}`;
+                const result = group
+                    .map(number => pages.find(page => page.number === number).result)
+                    .map(pageResult => ExtractionResult.fromJSON({ ...pageResult.toJSON(), documentId }, schema))
+                    .reduce((combined, pageResult) => combined.merge(pageResult, { strategies, defaultStrategy: 'first' }));
+
+                result.warnings = [...new Set(result.warnings)];
+                this.results.set(documentId, result);
+                return { documentId, pages: group, result };
+            });
+        } else {
+            const groups = await boundary.group(pages);
+            const extractions = await this.extractPageGroups(document, schema, groups, options);
+
+            documents = extractions.map((extraction, index) => ({
+                documentId: extraction.documentId,
+                pages: groups[index],
+                result: extraction.result
+            }));
+        }
+
+        return {
+            success: true,
+            documentId: document.id,
+            documents: documents.map(({ documentId, pages: documentPages, result }) => {
+                result.metadata = {
+                    ...result.metadata,
+                    pages: documentPages,
+                    sourceDocumentId: document.id,
+                    boundary: boundary.toString()
+                };
+                return { documentId, pages: documentPages, result, summary: result.getSummary() };
+            })
+        };
+    }
+
+    /**
+     * Extract each group of pages as a document of its own, through the
+     * cache and, when a group is over the limits, in chunks
+     */
+    async extractPageGroups(document, schema, groups, options) {
+        const parts = await document.cutPages(groups);
+        const concurrency = document.split ? document.split.concurrency : 3;
+
+        return await this.runConcurrently(parts.length, concurrency, options.signal, async (index, signal) => {
+            const partDocument = document.createChunkDocument(parts[index], {
+                maxPages: document.maxPages,
+                split: document.split || false
+            });
+
+            await partDocument.inspect();
+            const canProcess = partDocument.canBeProcessed();
+            if (!canProcess.canProcess) {
+                throw createProcessingError(`Pages ${parts[index].pages.join(', ')} cannot be processed: ${canProcess.reason}`, canProcess.code);
+            }
+
+            return await this.extractDocument(partDocument, schema, { ...options, signal });
+        });
+    }
+
+    /**
+     * Merge strategy per schema field: arrays are concatenated and other
+     * fields keep the first non-empty value unless configured otherwise
+     */
+    getMergeStrategies(schema, configured = {}) {
+        const strategies = { ...configured };
+
+        for (const fieldName of schema.getFieldNames()) {
+            if (!strategies[fieldName]) {
+                const field = schema.getField(fieldName);
+                strategies[fieldName] = field && field.type === 'array' ? 'concat' : 'first';
+            }
+        }
+
+        const invalid = Object.entries(strategies).find(([, strategy]) => !MERGE_STRATEGIES.includes(strategy));
+        if (invalid) {
+            throw new DocumentProcessingError(
+                `Unknown merge strategy '${invalid[1]}' for field '${invalid[0]}'. Use one of: ${MERGE_STRATEGIES.join(', ')}`
+            );
+        }
+
+        return strategies;
+    }
+
+    /**
+     * Store a document's result and build the extraction response
+     */
+    storeResult(document, result) {
+        this.results.set(document.id, result);
+        this.errors.delete(document.id);
+
+        return {
+            success: true,
+            documentId: document.id,
+            result: result,
+            summary: result.getSummary()
+        };
+    }
+
+    /**
+     * Create the result cache from the `cache` option: a backend instance
+     * (anything with async get/set) or `{ store: 'memory' | 'disk', ttl, ... }`
+     */
+    createResultCache(cacheConfig) {
+        if (!cacheConfig) {
+            return null;
+        }
+
+        if (typeof cacheConfig.get === 'function' && typeof cacheConfig.set === 'function') {
+            return cacheConfig;
+        }
+
+        const options = cacheConfig === true ? {} : cacheConfig;
+        const store = options.store || 'memory';
+
+        if (store === 'memory') {
+            return new MemoryResultCache(options);
+        }
+
+        if (store === 'disk') {
+            return new DiskResultCache(options);
+        }
+
+        throw new DocumentProcessingError(`Unknown cache store: ${store}. Use 'memory' or 'disk'.`);
+    }
+
+    /**
+     * Get the cache mode for a call ('bypass' when no cache is configured)
+     */
+    getCacheMode(options = {}) {
+        if (!this.resultCache) {
+            return 'bypass';
+        }
+
+        const mode = options.cache || 'read';
+        if (!CACHE_MODES.includes(mode)) {
+            throw new DocumentProcessingError(`Invalid cache mode: ${mode}. Use one of: ${CACHE_MODES.join(', ')}`);
+        }
+
+        return mode;
+    }
+
+    /**
+     * Build the cache key from the document bytes, the JSON schema sent to
+     * the API, and the page selection and image preprocessing applied
+     * (null when the content cannot be hashed: URLs, streams)
+     */
+    async getCacheKey(document, schema) {
+        const contentHash = await document.getContentHash();
+        if (!contentHash) {
+            return null;
+        }
+
+        const pages = document.getSelectedPages();
+        const preprocessing = document.willPreprocess() ? `-preprocess-${hashJson(document.preprocessing.toJSON())}` : '';
+        return `${contentHash}-${hashJson(schema.toJsonSchema())}${pages ? `-pages-${pages.join('.')}` : ''}${preprocessing}`;
+    }
+
+    /**
+     * Restore a cached result for `document`. A cache that cannot be read
+     * counts as a miss rather than failing the extraction.
+     */
+    async readCachedResult(cacheKey, document, schema) {
+        let cached;
+        try {
+            cached = await this.resultCache.get(cacheKey);
+        } catch (error) {
+            return null;
+        }
+
+        if (!cached) {
+            return null;
+        }
+
+        const result = ExtractionResult.fromJSON({ ...cached, documentId: document.id }, schema);
+        result.metadata = { ...result.metadata, cacheHit: true };
+
+        return result;
+    }
+
+    /**
+     * Cache a fresh result; a cache that cannot be written is ignored
+     */
+    async writeCachedResult(cacheKey, result) {
+        try {
+            const { summary, ...json } = result.toJSON();
+            await this.resultCache.set(cacheKey, json);
+        } catch (error) {
+            // The extraction itself succeeded
         }
     }
 
     /**
      * Extract data from multiple documents (bulk processing)
+     *
+     * Accepts any number of documents; they are drained through a worker
+     * pool that keeps `options.maxWorkers` extractions in flight. When a
+     * jobs directory is configured, progress is journaled so the run can be
+     * continued later with `resumeJob`.
      */
     async extractBulk(filePaths, schemaDefinition, options = {}) {
+        try {
+            // Create schema once for all documents
+            const schema = this.createSchema(schemaDefinition);
+            const jobId = this.jobRepository ? (options.jobId || this.generateJobId()) : null;
+            const entries = filePaths.map((filePath, index) => ({
+                filePath,
+                documentId: jobId ? `${jobId}_${index}` : this.generateDocumentId()
+            }));
+            let job = null;
+
+            if (jobId) {
+                job = await this.jobRepository.createJob(jobId, {
+                    schema: schema.toDefinition(),
+                    documents: entries.map(entry => this.getJournalEntry(entry)),
+                    options: this.getJobOptions(options)
+                });
+            }
+
+            return await this.runBulk(entries, schema, options, job);
+
+        } catch (error) {
+            throw wrapError(error, 'Bulk extraction failed');
+        }
+    }
+
+    /**
+     * Extract data from multiple documents, yielding each ExtractionResult
+     * (or a failure record) as soon as it finishes.
+     *
+     * At most `options.maxWorkers` extractions run at once, and no new
+     * document is started while `options.highWaterMark` finished results are
+     * waiting to be consumed.
+     */
+    async *extractStream(filePaths, schemaDefinition, options = {}) {
+        const schema = this.createSchema(schemaDefinition);
+        const batchService = this.createBatchService(options);
+
+        for (const filePath of filePaths) {
+            try {
+                const document = this.createDocument(filePath, { ...options, documentId: undefined });
+                batchService.queueDocument(document);
+            } catch (error) {
+                yield this.createFailureRecord(null, DocumentSource.describe(filePath), error.message, 0);
+            }
+        }
+
+        const outcomes = batchService.processStream(
+            document => this.extractDocument(document, schema, options),
+            {
+                highWaterMark: options.highWaterMark,
+                signal: options.signal,
+                prepare: document => this.prepareBulkDocument(document, batchService, null)
+            }
+        );
+
+        for await (const outcome of outcomes) {
+            if (outcome.success) {
+                yield outcome.result.result;
+            } else if (outcome.cancelled) {
+                yield {
+                    documentId: outcome.document.id,
+                    filePath: outcome.document.filePath.value,
+                    status: 'cancelled',
+                    attempts: outcome.attempts
+                };
+            } else {
+                yield this.createFailureRecord(
+                    outcome.document.id,
+                    outcome.document.filePath.value,
+                    outcome.error,
+                    outcome.attempts
+                );
+            }
+        }
+    }
+
+    /**
+     * Create the record reported for a document that could not be extracted
+     */
+    createFailureRecord(documentId, filePath, error, attempts) {
+        return {
+            documentId,
+            filePath,
+            status: 'failed',
+            error,
+            attempts
+        };
+    }
+
+    /**
+     * Resume a journaled bulk job, skipping documents that already completed
+     * and retrying pending or failed ones
+     */
+    async resumeJob(jobId, schemaDefinition, options = {}) {
+        if (!this.jobRepository) {
+            throw new DocumentProcessingError('Cannot resume job: no jobs directory configured');
+        }
+
+        try {
+            const { manifest, documents } = await this.jobRepository.loadJob(jobId);
+            if (!schemaDefinition && manifest.schema.zod) {
+                throw new DocumentProcessingError(
+                    `Resuming job ${jobId} failed: the job was started with a Zod schema, which has to be passed again`
+                );
+            }
+            const schema = this.createSchema(schemaDefinition || manifest.schema);
+
+            const entries = manifest.documents.map(entry => {
+                const state = documents.get(entry.documentId);
+
+                if (state && state.status === 'completed' && state.result) {
+                    return {
+                        ...entry,
+                        restoredResult: ExtractionResult.fromJSON(state.result, schema)
+                    };
+                }
+
+                return entry;
+            });
+
+            return await this.runBulk(entries, schema, { ...manifest.options, ...options }, manifest);
+
+        } catch (error) {
+            throw wrapError(error, `Resuming job ${jobId} failed`);
+        }
+    }
+
+    /**
+     * Run bulk extraction over prepared entries ({ filePath, documentId, restoredResult? })
+     */
+    async runBulk(entries, schema, options = {}, job = null) {
         const startTime = Date.now();
         const results = {
-            total: filePaths.length,
+            total: entries.length,
             completed: 0,
             failed: 0,
+            cancelled: 0,
+            skipped: 0,
             results: [],
-            errors: []
+            errors: [],
+            cancelledDocuments: []
         };
 
-        try {
-            // Create schema once for all documents
-            const schema = this.createSchema(schemaDefinition);
+        if (job) {
+            results.jobId = job.jobId;
+        }
+
+        const batchService = this.createBatchService(options);
+        const documents = [];
+        const completedIds = new Set();
+        // Identical content is extracted once (unless options.dedupe is false)
+        const deduplication = options.dedupe !== false ? new DeduplicationService() : null;
+
+        // Create documents and queue them; the workers inspect and check them
+        for (const entry of entries) {
+            if (entry.restoredResult) {
+                this.results.set(entry.documentId, entry.restoredResult);
+                completedIds.add(entry.documentId);
+                results.completed++;
+                results.skipped++;
+                continue;
+            }
+
+            try {
+                if (entry.filePath === null) {
+                    throw new DocumentProcessingError(`${entry.source} input is not journaled and cannot be resumed`);
+                }
 
-            // Create documents and add to batch
-            for (const filePath of filePaths) {
-                try {
-                    const document = this.createDocument(filePath, options);
-                    this.batchService.addToBatch(document);
-                } catch (error) {
-                    results.failed++;
-                    results.errors.push({
-                        filePath,
+                const document = this.createDocument(entry.filePath, {
+                    ...options,
+                    documentId: entry.documentId
+                });
+                batchService.queueDocument(document);
+                if (deduplication) {
+                    deduplication.enqueue(document);
+                }
+                documents.push(document);
+            } catch (error) {
+                results.failed++;
+                results.errors.push({
+                    filePath: entry.filePath === null ? entry.source : DocumentSource.describe(entry.filePath),
+                    documentId: entry.documentId,
+                    error: error.message
+                });
+
+                if (job && entry.documentId) {
+                    await this.jobRepository.recordDocument(job.jobId, entry.documentId, 'failed', {
                         error: error.message
                     });
                 }
             }
+        }
+
+        // Process batch
+        const batchResults = await batchService.processBatch(async (document) => {
+            const extraction = await this.extractBulkDocument(document, schema, options, deduplication);
+
+            if (job) {
+                await this.jobRepository.recordDocument(job.jobId, document.id, 'completed', {
+                    result: extraction.result.toJSON()
+                });
+            }
+
+            return extraction;
+        }, {
+            signal: options.signal,
+            prepare: document => this.prepareBulkDocument(document, batchService, deduplication)
+        });
+
+        results.completed += batchResults.completed;
+        results.failed += batchResults.failed;
+        results.cancelled += batchResults.cancelled;
+
+        for (const document of documents) {
+            if (document.processingStatus === 'completed') {
+                completedIds.add(document.id);
+            }
+        }
 
-            // Process batch
-            const batchResults = await this.batchService.processBatch(async (document) => {
-                return await this.extractData(document.filePath.value, schemaDefinition, options);
+        const documentsById = new Map(documents.map(doc => [doc.id, doc]));
+        const entriesById = new Map(entries.map(entry => [entry.documentId, entry]));
+        for (const batchError of batchResults.errors) {
+            const document = documentsById.get(batchError.documentId);
+            const entry = entriesById.get(batchError.documentId);
+            const primary = deduplication && document ? deduplication.getPrimary(document) : null;
+            results.errors.push({
+                filePath: entry ? DocumentSource.describe(entry.filePath) : undefined,
+                documentId: batchError.documentId,
+                error: batchError.error,
+                ...(primary ? { duplicateOf: primary.document.id } : {})
             });
 
-            // Process results
-            results.completed = batchResults.completed;
-            results.failed += batchResults.failed;
-            results.results = this.batchService.completedDocuments.map(doc =>
-                this.results.get(doc.id)
-            ).filter(Boolean);
+            if (job) {
+                await this.jobRepository.recordDocument(job.jobId, batchError.documentId, 'failed', {
+                    error: batchError.error
+                });
+            }
+        }
+
+        // Documents cancelled by options.signal stay pending in the journal
+        // so a later resumeJob picks them up again
+        for (const document of documents) {
+            if (document.processingStatus === 'cancelled') {
+                results.cancelledDocuments.push({
+                    filePath: document.filePath.value,
+                    documentId: document.id
+                });
+            }
+        }
+
+        // Process results, keeping the input order
+        results.results = entries
+            .filter(entry => completedIds.has(entry.documentId))
+            .map(entry => this.results.get(entry.documentId))
+            .filter(Boolean);
+
+        results.processingTime = Date.now() - startTime;
+        results.duplicates = deduplication ? deduplication.getGroups() : [];
+        results.batchStats = batchService.getBatchStats();
+
+        return results;
+    }
+
+    /**
+     * Inspect a queued bulk document, check it can be processed and match
+     * its content against the documents queued before it; run by the batch
+     * worker that picks the document up
+     */
+    async prepareBulkDocument(document, batchService, deduplication) {
+        let contentHash = null;
+
+        try {
+            await document.inspect();
+
+            const canAdd = batchService.canAddToBatch(document);
+            if (!canAdd.canAdd) {
+                throw createProcessingError(`Cannot add document to batch: ${canAdd.reason}`, canAdd.code);
+            }
+
+            contentHash = deduplication ? await this.getDedupeHash(document) : null;
+        } finally {
+            if (deduplication && !contentHash) {
+                deduplication.skip(document);
+            }
+        }
+
+        if (contentHash) {
+            await deduplication.match(document, contentHash);
+        }
+    }
+
+    /**
+     * Extract a bulk document, or give a duplicate the outcome of the
+     * document extracted for it
+     */
+    async extractBulkDocument(document, schema, options, deduplication) {
+        const primary = deduplication ? deduplication.getPrimary(document) : null;
+
+        if (!primary) {
+            const extraction = this.extractDocument(document, schema, options);
+            return deduplication ? deduplication.track(document, extraction) : extraction;
+        }
 
-            results.processingTime = Date.now() - startTime;
-            results.batchStats = this.batchService.getBatchStats();
+        // Fails or is cancelled the way the extracted document was
+        const { result: primaryResult } = await primary.extraction;
+        const result = ExtractionResult.fromJSON({ ...primaryResult.toJSON(), documentId: document.id }, schema);
+        result.metadata = { ...result.metadata, duplicateOf: primary.document.id };
 
-            return results;
+        return this.storeResult(document, result);
+    }
 
+    /**
+     * Hash a bulk document for deduplication (null when it cannot be hashed,
+     * e.g. URLs, streams or files that are missing)
+     */
+    async getDedupeHash(document) {
+        try {
+            return await document.getContentHash();
         } catch (error) {
-            throw new Error(`Bulk extraction failed: ${error.message}`);
+            return null;
         }
     }
 
+    /**
+     * Get the manifest entry journaled for a bulk document. Paths, URLs and
+     * data: URIs are kept; Buffers and streams are only described.
+     */
+    getJournalEntry(entry) {
+        if (typeof entry.filePath === 'string') {
+            return entry;
+        }
+
+        return {
+            filePath: null,
+            source: DocumentSource.describe(entry.filePath),
+            documentId: entry.documentId
+        };
+    }
+
+    /**
+     * Create a batch processing service for a single bulk run
+     */
+    createBatchService(options = {}) {
+        const batchService = new BatchProcessingService({
+            maxWorkers: options.maxWorkers,
+            retryLoggingStyle: options.retryLoggingStyle,
+            logger: this.logger
+        });
+
+        // Re-emit the batch lifecycle events to this service's listeners
+        for (const eventName of Object.values(ProcessingEvents)) {
+            batchService.on(eventName, payload => this.emit(eventName, payload));
+        }
+
+        return batchService;
+    }
+
     /**
      * Create document entity
      */
@@ -146,30 +902,47 @@ class DocumentAIService {
         const size = options.size;
 
         return new Document(documentId, filePath, mimeType, size, {
-            batchSize: options.batchSize,
+            filename: options.filename,
+            accessPolicy: this.fileAccessPolicy,
             maxWorkers: options.maxWorkers,
-            maxRetries: options.maxRetries,
+            retryPolicy: RetryPolicy.from(options.retryPolicy, this.retryPolicy),
             maxRetryWaitTime: options.maxRetryWaitTime,
-            retryLoggingStyle: options.retryLoggingStyle
+            retryLoggingStyle: options.retryLoggingStyle,
+            mimeMismatch: options.mimeMismatch || this.mimeMismatch,
+            maxPages: options.maxPages || this.maxPages,
+            pages: options.pages,
+            split: options.split !== undefined ? options.split : this.split,
+            preprocess: options.preprocess !== undefined ? options.preprocess : this.preprocess
         });
     }
 
     /**
-     * Create schema entity
+     * Create schema entity from a Schema, a Zod object schema, the simple
+     * `{ field: type | definition }` map or the full `{ fields, required, ... }`
+     * format. Simple fields are required unless optional or defaulted.
      */
     createSchema(schemaDefinition) {
         if (schemaDefinition instanceof Schema) {
             return schemaDefinition;
         }
 
+        // Zod object schemas validate responses themselves
+        if (Schema.isZodSchema(schemaDefinition)) {
+            return Schema.fromZod(schemaDefinition);
+        }
+
         // Handle simple schema format
         if (typeof schemaDefinition === 'object' && !schemaDefinition.fields) {
             const fields = {};
             const required = [];
 
             for (const [fieldName, fieldType] of Object.entries(schemaDefinition)) {
-                fields[fieldName] = { type: fieldType };
-                required.push(fieldName);
+                const fieldDef = typeof fieldType === 'object' && fieldType !== null ? fieldType : { type: fieldType };
+
+                fields[fieldName] = fieldDef;
+                if (fieldDef.optional !== true && fieldDef.default === undefined) {
+                    required.push(fieldName);
+                }
             }
 
             return new Schema(fields, { required });
@@ -180,10 +953,41 @@ class DocumentAIService {
             required: schemaDefinition.required || [],
             validationRules: schemaDefinition.validationRules,
             additionalProperties: schemaDefinition.additionalProperties,
-            version: schemaDefinition.version
+            version: schemaDefinition.version,
+            coerce: schemaDefinition.coerce,
+            dateFormats: schemaDefinition.dateFormats,
+            decimalSeparator: schemaDefinition.decimalSeparator
         });
     }
 
+    /**
+     * Generate unique batch job ID
+     */
+    generateJobId() {
+        return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Get the bulk options worth persisting with a job
+     */
+    getJobOptions(options = {}) {
+        const retryPolicy = options.retryPolicy || undefined;
+
+        return {
+            maxWorkers: options.maxWorkers,
+            retryLoggingStyle: options.retryLoggingStyle,
+            mimeMismatch: options.mimeMismatch,
+            maxPages: options.maxPages,
+            pages: options.pages,
+            split: options.split,
+            preprocess: options.preprocess,
+            cache: options.cache,
+            dedupe: options.dedupe,
+            // Custom predicates and backoff functions cannot be persisted
+            retryPolicy: retryPolicy instanceof RetryPolicy ? retryPolicy.toJSON() : retryPolicy
+        };
+    }
+
     /**
      * Generate unique document ID
      */
@@ -260,15 +1064,42 @@ class DocumentAIService {
     /**
      * Test API connection
      */
-    async testConnection() {
-        return await this.repository.testConnection();
+    async testConnection(options = {}) {
+        return await this.repository.testConnection(options);
     }
 
     /**
      * Get configuration
      */
     getConfiguration() {
-        return this.repository.getConfiguration();
+        return {
+            ...this.repository.getConfiguration(),
+            retryPolicy: this.retryPolicy.toJSON(),
+            fileAccess: this.fileAccessPolicy.toJSON(),
+            maxPages: this.maxPages || null,
+            cache: this.getCacheConfiguration()
+        };
+    }
+
+    /**
+     * Inspect a PDF locally without extracting it (see Document.inspect)
+     */
+    async inspectDocument(filePath, options = {}) {
+        const document = this.createDocument(filePath, options);
+        return await document.inspect();
+    }
+
+    /**
+     * Describe the configured result cache
+     */
+    getCacheConfiguration() {
+        if (!this.resultCache) {
+            return null;
+        }
+
+        return typeof this.resultCache.getConfiguration === 'function'
+            ? this.resultCache.getConfiguration()
+            : { store: 'custom' };
     }
 
     /**
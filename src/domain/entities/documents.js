@@ -1,24 +1,107 @@
 const { FilePath } = require('../value-objects/file_path');
+const { DocumentSource } = require('../value-objects/document_source');
+const { PageSelection } = require('../value-objects/page_selection');
+const { ImagePreprocessing } = require('../value-objects/image_preprocessing');
+const { RetryPolicy } = require('../value-objects/retry_policy');
+const { DocumentProcessingError, FileTooLargeError, ErrorCodes } = require('../errors/document_ai_errors');
+const { sniffMimeType, isCompatibleMimeType } = require('../utils/mime_sniffer');
+const { inspectPdf } = require('../utils/pdf_inspector');
+const { extractPdfPages } = require('../utils/pdf_writer');
+const { parsePdf, MAX_PARSE_SIZE } = require('../utils/pdf_parser');
+const { readPdfPages } = require('../utils/pdf_content');
+const { preprocessImage } = require('../utils/image_preprocessor');
+
+const MIME_MISMATCH_MODES = ['reject', 'warn', 'ignore'];
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB upload limit
 
 class Document {
     constructor(id, filePath, mimeType, size, options = {}) {
         this.id = id;
-        this.filePath = new FilePath(filePath);
+        this.filePath = Document.createSource(filePath, {
+            mimeType,
+            size,
+            filename: options.filename,
+            accessPolicy: options.accessPolicy
+        });
         this.mimeType = mimeType || this.filePath.getMimeType();
-        this.size = size;
+        this.size = size !== undefined ? size : Document.getSourceSize(this.filePath);
         this.createdAt = new Date();
 
         // Batch processing configuration
-        this.batchSize = options.batchSize || parseInt(process.env.BATCH_SIZE) || 4;
         this.maxWorkers = options.maxWorkers || parseInt(process.env.MAX_WORKERS) || 2;
-        this.maxRetries = options.maxRetries || parseInt(process.env.MAX_RETRIES) || 80;
+        // Attempts are limited by the same RetryPolicy that retries the extraction
+        this.retryPolicy = RetryPolicy.fromConfig(options);
+        this.maxRetries = this.retryPolicy.maxAttempts;
         this.maxRetryWaitTime = options.maxRetryWaitTime || parseInt(process.env.MAX_RETRY_WAIT_TIME) || 30;
         this.retryLoggingStyle = options.retryLoggingStyle || process.env.RETRY_LOGGING_STYLE || 'log_msg';
 
+        // What to do when the file content does not match its declared type
+        this.mimeMismatch = options.mimeMismatch || process.env.MIME_MISMATCH || 'reject';
+        this.warnings = [];
+        this.contentCheck = undefined;
+        this.contentHash = undefined;
+
+        // PDF page limit (null for no limit) and the result of inspect()
+        this.maxPages = options.maxPages || parseInt(process.env.MAX_PAGES) || null;
+        this.inspection = undefined;
+
+        // Only these PDF pages are uploaded (see getSelectedContent)
+        this.pageSelection = PageSelection.from(options.pages);
+        this.selectedContent = undefined;
+
+        // PDFs over the size or page limit are extracted in page chunks
+        // (see getChunks) unless `split` is false
+        this.split = options.split === false ? null : {
+            concurrency: 3,
+            maxChunkSize: MAX_FILE_SIZE,
+            pagesPerChunk: null,
+            mergeStrategies: {},
+            ...(typeof options.split === 'object' ? options.split : {})
+        };
+
+        // Images are transformed before upload (see preprocess) when set
+        this.preprocessing = ImagePreprocessing.from(options.preprocess);
+        this.preprocessed = undefined;
+
         // Processing state
         this.processingAttempts = 0;
         this.lastProcessingAttempt = null;
-        this.processingStatus = 'pending'; // pending, processing, completed, failed
+        this.processingStatus = 'pending'; // pending, processing, completed, failed, cancelled
+    }
+
+    /**
+     * Build the FilePath (local path or URL) or DocumentSource (Buffer,
+     * Uint8Array, Readable stream or data: URI) for a document input
+     */
+    static createSource(input, options = {}) {
+        if (input instanceof FilePath || input instanceof DocumentSource) {
+            return input;
+        }
+
+        if (DocumentSource.isInMemoryInput(input)) {
+            return new DocumentSource(input, options);
+        }
+
+        return new FilePath(input, { accessPolicy: options.accessPolicy });
+    }
+
+    /**
+     * Size of a document source: the file size of local paths, the known
+     * size of in-memory content (undefined for URLs and missing files)
+     */
+    static getSourceSize(source) {
+        if (source instanceof FilePath) {
+            return source.isLocalPath() && source.exists() ? source.getSize() : undefined;
+        }
+        return source.size;
+    }
+
+    /**
+     * Check if the upload size limit does not apply as is: oversized PDFs
+     * are split into chunks, and preprocessed images are checked once prepared
+     */
+    isExemptFromSizeLimit() {
+        return this.needsSplitting() || this.willPreprocess();
     }
 
     /**
@@ -31,22 +114,28 @@ class Document {
             return {
                 canProcess: false,
                 reason: 'File does not exist or is not accessible',
-                code: 'FILE_NOT_FOUND'
+                code: ErrorCodes.FILE_NOT_FOUND
             };
         }
 
-        // Check file size limits (business rule) - only for local files
-        if (this.filePath.isLocalPath()) {
-            const maxFileSize = 50 * 1024 * 1024; // 50MB limit
-            if (this.size && this.size > maxFileSize) {
+        // Check file size limits (business rule) - local files and in-memory content
+        if (!this.filePath.isUrlPath()) {
+            const maxFileSize = MAX_FILE_SIZE;
+            if (this.size && this.size > maxFileSize && !this.isExemptFromSizeLimit()) {
                 return {
                     canProcess: false,
                     reason: `File size ${this.size} bytes exceeds maximum allowed size of ${maxFileSize} bytes`,
-                    code: 'FILE_TOO_LARGE'
+                    code: ErrorCodes.FILE_TOO_LARGE
                 };
             }
         }
 
+        // Check the content matches its declared type (magic bytes)
+        const contentCheck = this.checkContent();
+        if (contentCheck) {
+            return contentCheck;
+        }
+
         // Check supported MIME types (business rule)
         const supportedTypes = [
             // PDF files
@@ -79,16 +168,22 @@ class Document {
             return {
                 canProcess: false,
                 reason: `Unsupported file type: ${this.mimeType}`,
-                code: 'UNSUPPORTED_FILE_TYPE'
+                code: ErrorCodes.UNSUPPORTED_FILE_TYPE
             };
         }
 
+        // Check what inspect() found in the PDF (business rule)
+        const inspectionCheck = this.checkInspection();
+        if (inspectionCheck) {
+            return inspectionCheck;
+        }
+
         // Check if document is already being processed
         if (this.processingStatus === 'processing') {
             return {
                 canProcess: false,
                 reason: 'Document is currently being processed',
-                code: 'ALREADY_PROCESSING'
+                code: ErrorCodes.ALREADY_PROCESSING
             };
         }
 
@@ -97,16 +192,16 @@ class Document {
             return {
                 canProcess: false,
                 reason: 'Document has already been processed successfully',
-                code: 'ALREADY_COMPLETED'
+                code: ErrorCodes.ALREADY_COMPLETED
             };
         }
 
-        // Check retry limits based on MAX_RETRIES configuration
+        // Check retry limits based on the retry policy's maxAttempts
         if (this.processingAttempts >= this.maxRetries) {
             return {
                 canProcess: false,
                 reason: `Maximum retry attempts (${this.maxRetries}) exceeded`,
-                code: 'MAX_RETRIES_EXCEEDED'
+                code: ErrorCodes.MAX_RETRIES_EXCEEDED
             };
         }
 
@@ -119,25 +214,16 @@ class Document {
                 return {
                     canProcess: false,
                     reason: `Rate limit: must wait ${Math.ceil((minWaitTime - timeSinceLastAttempt) / 1000)} more seconds before retry`,
-                    code: 'RATE_LIMITED'
+                    code: ErrorCodes.RATE_LIMITED
                 };
             }
         }
 
-        // Check if batch processing capacity is available
-        if (this.batchSize <= 0) {
-            return {
-                canProcess: false,
-                reason: 'Batch size must be greater than 0',
-                code: 'INVALID_BATCH_SIZE'
-            };
-        }
-
         if (this.maxWorkers <= 0) {
             return {
                 canProcess: false,
                 reason: 'Maximum workers must be greater than 0',
-                code: 'INVALID_MAX_WORKERS'
+                code: ErrorCodes.INVALID_MAX_WORKERS
             };
         }
 
@@ -152,7 +238,6 @@ class Document {
                 size: this.size
             },
             batchConfig: {
-                batchSize: this.batchSize,
                 maxWorkers: this.maxWorkers,
                 maxRetries: this.maxRetries,
                 maxRetryWaitTime: this.maxRetryWaitTime,
@@ -161,6 +246,356 @@ class Document {
         };
     }
 
+    /**
+     * Sniff local or in-memory content once and apply it to the MIME type.
+     * Returns a failed canBeProcessed() result on a rejected mismatch.
+     */
+    checkContent() {
+        if (this.contentCheck === undefined) {
+            const header = this.mimeMismatch === 'ignore' ? null : this.filePath.readHeader();
+            this.contentCheck = header ? this.applySniffedMimeType(sniffMimeType(header)) : null;
+        }
+
+        return this.contentCheck;
+    }
+
+    /**
+     * Reconcile the declared MIME type with the type sniffed from the content.
+     * Matching content refines the MIME type; a mismatch is returned as a
+     * failed canBeProcessed() result ('reject') or recorded as a warning
+     * before trusting the content ('warn').
+     */
+    applySniffedMimeType(sniffedMimeType) {
+        if (!sniffedMimeType || this.mimeMismatch === 'ignore') {
+            return null;
+        }
+
+        if (isCompatibleMimeType(this.mimeType, sniffedMimeType)) {
+            this.mimeType = sniffedMimeType;
+            return null;
+        }
+
+        const reason = `File content is ${sniffedMimeType} but ${this.filePath.value} is declared as ${this.mimeType}`;
+
+        if (this.mimeMismatch === 'reject') {
+            return {
+                canProcess: false,
+                reason,
+                code: ErrorCodes.MIME_MISMATCH
+            };
+        }
+
+        this.warnings.push(reason);
+        this.mimeType = sniffedMimeType;
+        return null;
+    }
+
+    /**
+     * Parse a local or in-memory PDF once and report its version, page
+     * count, encryption, text layer and page dimensions. Returns null for
+     * other file types and for content that cannot be read up front
+     * (URLs, streams, missing files, PDFs too large to parse locally).
+     */
+    async inspect() {
+        if (this.inspection === undefined) {
+            // Sniffing first, so a mislabelled file is not parsed as a PDF
+            const readable = !this.checkContent() && this.mimeType === 'application/pdf' &&
+                !this.filePath.isUrlPath() && this.filePath.exists() && !(this.size > MAX_PARSE_SIZE);
+            const content = readable ? await this.filePath.readContent() : null;
+            this.inspection = content ? inspectPdf(content) : null;
+        }
+
+        return this.inspection;
+    }
+
+    /**
+     * Reject password-protected PDFs and PDFs over the page limit once
+     * inspect() has run. Returns a failed canBeProcessed() result or null.
+     */
+    checkInspection() {
+        if (this.pageSelection && !(this.inspection && this.inspection.pageCount)) {
+            return {
+                canProcess: false,
+                reason: 'Pages can only be selected from a local or in-memory PDF',
+                code: ErrorCodes.INVALID_PAGE_RANGE
+            };
+        }
+
+        if (!this.inspection) {
+            return null;
+        }
+
+        if (this.inspection.encrypted && this.inspection.requiresPassword !== false) {
+            return {
+                canProcess: false,
+                reason: 'PDF is encrypted and requires a password to open',
+                code: ErrorCodes.PASSWORD_PROTECTED
+            };
+        }
+
+        let pageCount = this.inspection.pageCount;
+        if (this.pageSelection) {
+            if (this.inspection.encrypted) {
+                return {
+                    canProcess: false,
+                    reason: 'Pages cannot be selected from an encrypted PDF',
+                    code: ErrorCodes.INVALID_PAGE_RANGE
+                };
+            }
+
+            try {
+                pageCount = this.getSelectedPages().length;
+            } catch (error) {
+                return {
+                    canProcess: false,
+                    reason: error.message,
+                    code: error.code
+                };
+            }
+        }
+
+        if (this.maxPages && pageCount > this.maxPages && !this.needsSplitting()) {
+            return {
+                canProcess: false,
+                reason: `PDF has ${pageCount} pages, more than the limit of ${this.maxPages}`,
+                code: ErrorCodes.PAGE_LIMIT_EXCEEDED
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the original numbers of the selected pages (null without a
+     * selection). Requires inspect() to have counted the pages.
+     */
+    getSelectedPages() {
+        if (!this.pageSelection) {
+            return null;
+        }
+
+        return this.pageSelection.resolve(this.inspection ? this.inspection.pageCount : 0);
+    }
+
+    /**
+     * Build, once, the PDF holding only the selected pages
+     */
+    async getSelectedContent() {
+        if (this.selectedContent === undefined) {
+            const content = await this.filePath.readContent();
+            try {
+                this.selectedContent = extractPdfPages(content, this.getSelectedPages());
+            } catch (error) {
+                throw new DocumentProcessingError(`Could not select pages ${this.pageSelection}: ${error.message}`, {
+                    code: error.code || ErrorCodes.VALIDATION_FAILED
+                });
+            }
+        }
+
+        return this.selectedContent;
+    }
+
+    /**
+     * Check if the inspected PDF has to be extracted in page chunks: it is
+     * over the chunk size, `split.pagesPerChunk` or `maxPages`, and can be split
+     */
+    needsSplitting() {
+        if (this.preprocessed && this.preprocessed.images.length > 1) {
+            return true;
+        }
+
+        if (!this.split || !this.inspection || this.inspection.encrypted || !this.inspection.pageCount) {
+            return false;
+        }
+
+        let pageCount;
+        try {
+            pageCount = this.pageSelection ? this.getSelectedPages().length : this.inspection.pageCount;
+        } catch (error) {
+            return false;
+        }
+
+        const pagesPerChunk = this.split.pagesPerChunk || this.maxPages;
+        return pageCount > 1 && ((pagesPerChunk && pageCount > pagesPerChunk) || this.size > this.split.maxChunkSize);
+    }
+
+    /**
+     * Cut the (selected) pages into PDFs of at most `pagesPerChunk` pages
+     * and `maxChunkSize` bytes. Returns [{ pages, content }] in page order.
+     * The pages of a preprocessed multi-page image are chunks of their own.
+     */
+    async getChunks() {
+        if (this.preprocessed) {
+            return this.preprocessed.images.map(image => ({ pages: [image.page], content: image.content, mimeType: image.mimeType }));
+        }
+
+        const pages = this.getSelectedPages() ||
+            Array.from({ length: this.inspection.pageCount }, (_, index) => index + 1);
+        const pagesPerChunk = this.split.pagesPerChunk || this.maxPages || pages.length;
+        const chunks = [];
+        let pdf;
+
+        const addChunk = group => {
+            const content = extractPdfPages(pdf, group);
+
+            if (content.length <= this.split.maxChunkSize) {
+                chunks.push({ pages: group, content });
+            } else if (group.length > 1) {
+                // Too many bytes rather than too many pages: halve the chunk
+                const middle = Math.ceil(group.length / 2);
+                addChunk(group.slice(0, middle));
+                addChunk(group.slice(middle));
+            } else {
+                throw new FileTooLargeError(
+                    `Page ${group[0]} alone is ${content.length} bytes, over the maximum chunk size of ${this.split.maxChunkSize} bytes`
+                );
+            }
+        };
+
+        try {
+            pdf = parsePdf(await this.filePath.readContent());
+            for (let start = 0; start < pages.length; start += pagesPerChunk) {
+                addChunk(pages.slice(start, start + pagesPerChunk));
+            }
+        } catch (error) {
+            if (error instanceof FileTooLargeError) {
+                throw error;
+            }
+            throw new DocumentProcessingError(`Could not split PDF into chunks: ${error.message}`, {
+                code: ErrorCodes.VALIDATION_FAILED
+            });
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Create the in-memory document uploaded for one chunk (`options` are
+     * Document options, e.g. to let a logical document split again)
+     */
+    createChunkDocument(chunk, options = {}) {
+        const range = `pages-${chunk.pages[0]}-${chunk.pages[chunk.pages.length - 1]}`;
+        const mimeType = chunk.mimeType || 'application/pdf';
+
+        return new Document(`${this.id}-${range}`, {
+            data: chunk.content,
+            filename: `${this.filePath.getFileName()}-${range}${FilePath.getExtensionForMimeType(mimeType)}`
+        }, mimeType, chunk.content.length, {
+            mimeMismatch: this.mimeMismatch,
+            retryPolicy: this.retryPolicy,
+            split: false,
+            ...options
+        });
+    }
+
+    /**
+     * Read the text of the (selected) pages and whether each is blank,
+     * for finding document boundaries. Returns [{ number, text, blank }].
+     */
+    async readPages() {
+        try {
+            const pages = readPdfPages(await this.filePath.readContent());
+            const selected = this.getSelectedPages();
+            return selected ? pages.filter(page => selected.includes(page.number)) : pages;
+        } catch (error) {
+            throw new DocumentProcessingError(`Could not read PDF pages: ${error.message}`, {
+                code: ErrorCodes.VALIDATION_FAILED
+            });
+        }
+    }
+
+    /**
+     * Cut the PDF into one PDF per group of page numbers.
+     * Returns [{ pages, content }] in the order of `groups`.
+     */
+    async cutPages(groups) {
+        try {
+            const pdf = parsePdf(await this.filePath.readContent());
+            return groups.map(pages => ({ pages, content: extractPdfPages(pdf, pages) }));
+        } catch (error) {
+            throw new DocumentProcessingError(`Could not cut PDF pages: ${error.message}`, {
+                code: ErrorCodes.VALIDATION_FAILED
+            });
+        }
+    }
+
+    /**
+     * Check if preprocess() will transform this document: an image with
+     * preprocessing configured whose content can be read ahead of upload
+     */
+    willPreprocess() {
+        return !!this.preprocessing && this.getFileTypeCategory() === 'image' &&
+            !this.filePath.isUrlPath() && this.isReplayable();
+    }
+
+    /**
+     * Prepare an image for upload, once, as configured by `preprocess`.
+     * Returns { images, transformations } or null when the original is
+     * uploaded (not an image, nothing configured, URL or stream input).
+     */
+    async preprocess() {
+        if (this.preprocessed !== undefined) {
+            return this.preprocessed;
+        }
+        this.preprocessed = null;
+
+        if (this.preprocessing && this.getFileTypeCategory() === 'image' && !this.willPreprocess()) {
+            this.warnings.push('Image preprocessing skipped: URL and stream inputs are uploaded as they are');
+        }
+
+        if (this.willPreprocess()) {
+            const prepared = await preprocessImage(await this.filePath.readContent(), this.preprocessing, this.mimeType);
+
+            if (prepared.skipped) {
+                this.warnings.push(`Image preprocessing skipped: ${prepared.skipped}`);
+            } else {
+                const oversized = prepared.images.find(image => image.content.length > MAX_FILE_SIZE);
+                if (oversized) {
+                    throw new FileTooLargeError(
+                        `Preprocessed image is ${oversized.content.length} bytes, over the maximum allowed size of ${MAX_FILE_SIZE} bytes`
+                    );
+                }
+                this.preprocessed = prepared;
+            }
+        }
+
+        return this.preprocessed;
+    }
+
+    /**
+     * Describe what preprocess() did, for result metadata
+     */
+    getPreprocessingSummary() {
+        if (!this.preprocessed) {
+            return null;
+        }
+
+        return {
+            originalMimeType: this.mimeType,
+            originalSize: this.size !== undefined ? this.size : null,
+            transformations: this.preprocessed.transformations,
+            images: this.preprocessed.images.map(({ page, mimeType, width, height, content }) => ({
+                page,
+                mimeType,
+                width,
+                height,
+                size: content.length
+            }))
+        };
+    }
+
+    /**
+     * SHA-256 of the document bytes, computed once (null when the content
+     * cannot be hashed without consuming it: URLs and streams)
+     */
+    async getContentHash() {
+        if (this.contentHash === undefined) {
+            this.contentHash = await this.filePath.computeHash();
+        }
+
+        return this.contentHash;
+    }
+
     /**
      * Mark document as processing and increment attempt counter
      */
@@ -184,6 +619,13 @@ class Document {
         this.processingStatus = 'failed';
     }
 
+    /**
+     * Mark document as cancelled (stopped by an AbortSignal, not a failure)
+     */
+    markAsCancelled() {
+        this.processingStatus = 'cancelled';
+    }
+
     /**
      * Reset document processing state
      */
@@ -211,7 +653,6 @@ class Document {
                 size: this.size
             },
             batchConfig: {
-                batchSize: this.batchSize,
                 maxWorkers: this.maxWorkers,
                 maxRetries: this.maxRetries,
                 maxRetryWaitTime: this.maxRetryWaitTime,
@@ -242,24 +683,26 @@ class Document {
             errors.push('File size cannot be negative');
         }
 
-        if (this.batchSize <= 0) {
-            errors.push('Batch size must be greater than 0');
-        }
-
         if (this.maxWorkers <= 0) {
             errors.push('Maximum workers must be greater than 0');
         }
 
-        if (this.maxRetries < 0) {
-            errors.push('Maximum retries cannot be negative');
-        }
-
         if (this.maxRetryWaitTime < 0) {
             errors.push('Maximum retry wait time cannot be negative');
         }
 
+        if (this.maxPages !== null && (!Number.isInteger(this.maxPages) || this.maxPages <= 0)) {
+            errors.push('Maximum pages must be a positive integer');
+        }
+
+        if (!MIME_MISMATCH_MODES.includes(this.mimeMismatch)) {
+            errors.push(`MIME mismatch mode must be one of: ${MIME_MISMATCH_MODES.join(', ')}`);
+        }
+
         // Validate file path
-        const filePathValidation = this.filePath.validateForProcessing();
+        const filePathValidation = this.filePath.validateForProcessing({
+            checkSize: !this.isExemptFromSizeLimit()
+        });
         if (!filePathValidation.isValid) {
             errors.push(...filePathValidation.errors);
         }
@@ -274,12 +717,17 @@ class Document {
      * Create a new Document instance with updated configuration
      */
     withConfiguration(config) {
-        return new Document(this.id, this.filePath.value, this.mimeType, this.size, {
-            batchSize: config.batchSize || this.batchSize,
+        return new Document(this.id, this.filePath, this.mimeType, this.size, {
             maxWorkers: config.maxWorkers || this.maxWorkers,
-            maxRetries: config.maxRetries || this.maxRetries,
+            retryPolicy: config.retryPolicy ||
+                (config.maxRetries ? this.retryPolicy.with({ maxAttempts: config.maxRetries }) : this.retryPolicy),
             maxRetryWaitTime: config.maxRetryWaitTime || this.maxRetryWaitTime,
-            retryLoggingStyle: config.retryLoggingStyle || this.retryLoggingStyle
+            retryLoggingStyle: config.retryLoggingStyle || this.retryLoggingStyle,
+            mimeMismatch: config.mimeMismatch || this.mimeMismatch,
+            maxPages: config.maxPages || this.maxPages,
+            pages: config.pages || this.pageSelection,
+            split: config.split !== undefined ? config.split : (this.split || false),
+            preprocess: config.preprocess !== undefined ? config.preprocess : this.preprocessing
         });
     }
 
@@ -297,6 +745,21 @@ class Document {
         return this.filePath.isLocalPath();
     }
 
+    /**
+     * Check if document content is held in memory (Buffer, stream, data: URI)
+     */
+    isInMemoryDocument() {
+        return this.filePath.isInMemory();
+    }
+
+    /**
+     * Check if the document content can be uploaded again on retry
+     * (a Readable stream input cannot)
+     */
+    isReplayable() {
+        return this.filePath.isReplayable();
+    }
+
     /**
      * Get file type category
      */
@@ -1,9 +1,20 @@
 const { Schema } = require("./schema");
 
+/**
+ * How merge() combines a field present in both results:
+ * - last: the other result's value (the default)
+ * - first: the first non-empty value
+ * - concat: both arrays concatenated (first non-empty for other values)
+ * - confidence: the value with the higher field confidence
+ */
+const MERGE_STRATEGIES = ["last", "first", "concat", "confidence"];
+
 class ExtractionResult {
   constructor(documentId, extractedData, schema, options = {}) {
     this.documentId = documentId;
     this.extractedData = extractedData;
+    // The data as returned by the API, before strings were coerced
+    this.rawData = options.rawData !== undefined ? options.rawData : extractedData;
     this.schema = schema;
     this.confidence = options.confidence || 0;
     this.processingTime = options.processingTime || 0;
@@ -25,8 +36,9 @@ class ExtractionResult {
       throw new Error("Schema is required for extraction result validation");
     }
 
-    // Validate data against schema
-    const validation = this.schema.validateData(this.extractedData);
+    // Validate the raw data: extracted data may already be coerced or
+    // changed by a Zod transform, and must not go through the schema twice
+    const validation = this.schema.validateData(this.rawData);
 
     if (!validation.isValid) {
       this.status = "failed";
@@ -47,7 +59,9 @@ class ExtractionResult {
   }
 
   /**
-   * Calculate confidence score based on data quality
+   * Calculate confidence score based on data quality. Defaulted values and
+   * nulls of nullable fields say nothing about extraction quality and are
+   * left out.
    */
   calculateConfidence() {
     if (!this.extractedData || Object.keys(this.extractedData).length === 0) {
@@ -58,6 +72,10 @@ class ExtractionResult {
     let fieldCount = 0;
 
     for (const [fieldName, value] of Object.entries(this.extractedData)) {
+      if (this.isDefaultedField(fieldName) || (value === null && this.schema.isFieldNullable(fieldName))) {
+        continue;
+      }
+
       const fieldScore = this.calculateFieldConfidence(fieldName, value);
       totalScore += fieldScore;
       fieldCount++;
@@ -150,8 +168,7 @@ class ExtractionResult {
     const missingFields = [];
 
     for (const fieldName of requiredFields) {
-      const value = this.extractedData[fieldName];
-      if (!value || (typeof value === "string" && value.trim().length === 0)) {
+      if (this.isEmptyValue(fieldName, this.extractedData[fieldName])) {
         missingFields.push(fieldName);
       }
     }
@@ -159,26 +176,53 @@ class ExtractionResult {
     return missingFields;
   }
 
+  /**
+   * Check if a field has no value: absent, blank, or null where the field
+   * is not nullable (0 and false are values)
+   */
+  isEmptyValue(fieldName, value) {
+    if (value === undefined) return true;
+    if (value === null) return !this.schema.isFieldNullable(fieldName);
+    return typeof value === "string" && value.trim().length === 0;
+  }
+
+  /**
+   * Check if a field holds its schema default rather than an extracted value
+   */
+  isDefaultedField(fieldName) {
+    if (!this.schema.hasDefault(fieldName)) return false;
+
+    const raw = this.rawData ? this.rawData[fieldName] : undefined;
+    return raw === undefined || (raw === null && !this.schema.isFieldNullable(fieldName));
+  }
+
+  /**
+   * Check if the document provided a value for a field
+   */
+  isFieldFilled(fieldName) {
+    return (
+      !this.isDefaultedField(fieldName) &&
+      !this.isEmptyValue(fieldName, this.extractedData[fieldName])
+    );
+  }
+
   /**
    * Get filled fields count
    */
   getFilledFieldsCount() {
-    let count = 0;
-    for (const value of Object.values(this.extractedData)) {
-      if (value && (typeof value !== "string" || value.trim().length > 0)) {
-        count++;
-      }
-    }
-    return count;
+    return this.schema.getFieldNames().filter((fieldName) => this.isFieldFilled(fieldName)).length;
   }
 
   /**
-   * Get completion percentage
+   * Get completion percentage. Optional and defaulted fields only count
+   * when the document filled them.
    */
   getCompletionPercentage() {
-    const totalFields = this.schema.getFieldNames().length;
+    const expectedFields = this.schema
+      .getFieldNames()
+      .filter((fieldName) => !this.schema.isFieldOptional(fieldName) || this.isFieldFilled(fieldName));
     const filledFields = this.getFilledFieldsCount();
-    return totalFields > 0 ? (filledFields / totalFields) * 100 : 0;
+    return expectedFields.length > 0 ? (filledFields / expectedFields.length) * 100 : 0;
   }
 
   /**
@@ -191,6 +235,7 @@ class ExtractionResult {
 
     return {
       value: this.extractedData[fieldName],
+      raw: this.rawData ? this.rawData[fieldName] : undefined,
       isRequired: this.schema.isFieldRequired(fieldName),
       confidence: this.calculateFieldConfidence(
         fieldName,
@@ -208,6 +253,7 @@ class ExtractionResult {
     }
 
     this.extractedData[fieldName] = value;
+    this.rawData = { ...this.rawData, [fieldName]: value };
 
     // Revalidate the result
     this.validateResult();
@@ -275,9 +321,8 @@ class ExtractionResult {
         value: fieldValue,
         isRequired: this.schema.isFieldRequired(fieldName),
         confidence: this.calculateFieldConfidence(fieldName, fieldValue),
-        isEmpty:
-          !fieldValue ||
-          (typeof fieldValue === "string" && fieldValue.trim().length === 0),
+        isEmpty: this.isEmptyValue(fieldName, fieldValue),
+        isDefault: this.isDefaultedField(fieldName),
       };
     }
 
@@ -291,6 +336,7 @@ class ExtractionResult {
     return {
       documentId: this.documentId,
       extractedData: this.extractedData,
+      rawData: this.rawData,
       confidence: this.confidence,
       processingTime: this.processingTime,
       status: this.status,
@@ -302,6 +348,27 @@ class ExtractionResult {
     };
   }
 
+  /**
+   * Restore a result previously exported with toJSON()
+   */
+  static fromJSON(json, schema) {
+    const result = new ExtractionResult(json.documentId, json.extractedData, schema, {
+      confidence: json.confidence,
+      processingTime: json.processingTime,
+      status: json.status,
+      errors: json.errors,
+      warnings: json.warnings,
+      metadata: json.metadata,
+      rawData: json.rawData,
+    });
+
+    if (json.createdAt) {
+      result.createdAt = new Date(json.createdAt);
+    }
+
+    return result;
+  }
+
   /**
    * Create a new ExtractionResult with updated data
    */
@@ -317,14 +384,29 @@ class ExtractionResult {
   }
 
   /**
-   * Merge with another extraction result
+   * Merge with another extraction result. `options.strategies` maps field
+   * names to a merge strategy (see MERGE_STRATEGIES); other fields use
+   * `options.defaultStrategy`, or "last".
    */
-  merge(otherResult) {
+  merge(otherResult, options = {}) {
     if (this.documentId !== otherResult.documentId) {
       throw new Error("Cannot merge results from different documents");
     }
 
-    const mergedData = { ...this.extractedData, ...otherResult.extractedData };
+    const strategies = options.strategies || {};
+    const mergedData = {};
+    const mergedRawData = {};
+    const fieldNames = new Set([
+      ...Object.keys(this.extractedData || {}),
+      ...Object.keys(otherResult.extractedData || {}),
+    ]);
+
+    for (const fieldName of fieldNames) {
+      const strategy = strategies[fieldName] || options.defaultStrategy || "last";
+      mergedData[fieldName] = this.mergeField(fieldName, otherResult, strategy);
+      mergedRawData[fieldName] = this.mergeRawField(fieldName, otherResult, mergedData[fieldName]);
+    }
+
     const mergedErrors = [...this.errors, ...otherResult.errors];
     const mergedWarnings = [...this.warnings, ...otherResult.warnings];
     const mergedMetadata = { ...this.metadata, ...otherResult.metadata };
@@ -339,9 +421,63 @@ class ExtractionResult {
       errors: mergedErrors,
       warnings: mergedWarnings,
       metadata: mergedMetadata,
+      rawData: mergedRawData,
     });
   }
 
+  /**
+   * The raw value behind a merged value: that of the result it was taken
+   * from, or both raw arrays when arrays were concatenated
+   */
+  mergeRawField(fieldName, otherResult, mergedValue) {
+    const ownRaw = this.rawData || {};
+    const otherRaw = otherResult.rawData || {};
+
+    if (mergedValue === (this.extractedData || {})[fieldName]) {
+      return ownRaw[fieldName];
+    }
+    if (mergedValue === (otherResult.extractedData || {})[fieldName]) {
+      return otherRaw[fieldName];
+    }
+    return [...[].concat(ownRaw[fieldName] || []), ...[].concat(otherRaw[fieldName] || [])];
+  }
+
+  /**
+   * Combine one field of this result with the same field of `otherResult`
+   */
+  mergeField(fieldName, otherResult, strategy) {
+    const ownData = this.extractedData || {};
+    const otherData = otherResult.extractedData || {};
+    const value = ownData[fieldName];
+    const otherValue = otherData[fieldName];
+    const isEmpty = (candidate) =>
+      candidate === null ||
+      candidate === undefined ||
+      (typeof candidate === "string" && candidate.trim().length === 0) ||
+      (Array.isArray(candidate) && candidate.length === 0);
+
+    switch (strategy) {
+      case "last":
+        return fieldName in otherData ? otherValue : value;
+      case "first":
+        return isEmpty(value) ? otherValue : value;
+      case "concat":
+        if (Array.isArray(value) && Array.isArray(otherValue)) {
+          return [...value, ...otherValue];
+        }
+        return isEmpty(value) ? otherValue : value;
+      case "confidence":
+        return otherResult.calculateFieldConfidence(fieldName, otherValue) >
+          this.calculateFieldConfidence(fieldName, value)
+          ? otherValue
+          : value;
+      default:
+        throw new Error(
+          `Unknown merge strategy '${strategy}' for field '${fieldName}'. Use one of: ${MERGE_STRATEGIES.join(", ")}`
+        );
+    }
+  }
+
   /**
    * Validate result against business rules
    */
@@ -409,4 +545,4 @@ class ExtractionResult {
   }
 }
 
-module.exports = { ExtractionResult };
+module.exports = { ExtractionResult, MERGE_STRATEGIES };
@@ -1,4 +1,36 @@
 const { z } = require('zod');
+const { zodToJsonSchema } = require('zod-to-json-schema');
+const { SchemaValidationError } = require('../errors/document_ai_errors');
+const { coerceNumber, coerceBoolean, coerceDate, isValidDateFormat } = require('../utils/value_coercion');
+const { STRING_FORMATS } = require('../utils/string_formats');
+
+/**
+ * Validation rules each field type accepts
+ */
+const VALIDATION_RULES = {
+    string: ['minLength', 'maxLength', 'pattern', 'format', 'enum', 'synonyms', 'caseSensitive'],
+    number: ['min', 'max', 'multipleOf', 'precision', 'enum'],
+    array: ['minItems', 'maxItems', 'uniqueItems'],
+    boolean: [],
+    date: [],
+    object: []
+};
+
+/**
+ * JSON Schema keywords of the validation rules that map one to one
+ */
+const JSON_SCHEMA_KEYWORDS = {
+    minLength: 'minLength',
+    maxLength: 'maxLength',
+    pattern: 'pattern',
+    format: 'format',
+    min: 'minimum',
+    max: 'maximum',
+    multipleOf: 'multipleOf',
+    minItems: 'minItems',
+    maxItems: 'maxItems',
+    uniqueItems: 'uniqueItems'
+};
 
 class Schema {
     constructor(fields, options = {}) {
@@ -9,10 +41,91 @@ class Schema {
         this.createdAt = new Date();
         this.version = options.version || '1.0.0';
 
+        // How string values from the API are read as numbers, booleans and dates
+        this.coerce = options.coerce !== false;
+        this.dateFormats = options.dateFormats || [];
+        this.decimalSeparator = options.decimalSeparator || '.';
+
+        // Set by fromZod(): the Zod schema validates and the JSON schema is sent
+        this.zodSchema = options.zodSchema || null;
+        this.jsonSchema = options.jsonSchema || null;
+
         // Validate schema on construction
         this.validate();
     }
 
+    /**
+     * Check if a value is a Zod schema
+     */
+    static isZodSchema(value) {
+        return value instanceof z.ZodType ||
+            (!!value && typeof value === 'object' && typeof value.safeParse === 'function' && typeof value._def === 'object');
+    }
+
+    /**
+     * Create a schema from a Zod object schema. The JSON schema sent to the
+     * API is generated from it, and responses are validated (and
+     * transformed) by the Zod schema itself.
+     */
+    static fromZod(zodSchema, options = {}) {
+        const { $schema, ...jsonSchema } = zodToJsonSchema(zodSchema, { $refStrategy: 'none' });
+
+        if (jsonSchema.type !== 'object' || !jsonSchema.properties) {
+            const message = 'A Zod extraction schema must be an object schema (z.object)';
+            throw new SchemaValidationError(`Schema validation failed: ${message}`, { errors: [message] });
+        }
+
+        return new Schema(Schema.fieldsFromJsonSchema(jsonSchema.properties), {
+            required: jsonSchema.required || [],
+            additionalProperties: jsonSchema.additionalProperties !== false,
+            version: options.version,
+            zodSchema,
+            jsonSchema
+        });
+    }
+
+    /**
+     * Describe JSON schema properties as field definitions (type, items,
+     * properties, description), for the parts of the SDK that look at fields
+     */
+    static fieldsFromJsonSchema(properties) {
+        const fields = {};
+
+        for (const [fieldName, property] of Object.entries(properties)) {
+            // Nullable fields are ['string', 'null'] or an anyOf with null
+            const variants = property.anyOf || property.oneOf || [property];
+            const variant = variants.find(option => [].concat(option.type || []).some(type => type !== 'null')) || {};
+            const type = [].concat(variant.type || []).find(option => option !== 'null');
+            const field = {};
+
+            if (type) {
+                field.type = type === 'integer' ? 'number' : type;
+            }
+            if (variants.some(option => [].concat(option.type || []).includes('null'))) {
+                field.nullable = true;
+            }
+            if (property.default !== undefined) {
+                field.default = property.default;
+            }
+            if (property.description || variant.description) {
+                field.description = property.description || variant.description;
+            }
+            if (variant.items && !Array.isArray(variant.items)) {
+                field.items = Schema.fieldsFromJsonSchema({ items: variant.items }).items;
+            }
+            if (variant.properties) {
+                field.properties = Schema.fieldsFromJsonSchema(variant.properties);
+                if (variant.required) {
+                    field.required = variant.required;
+                }
+            }
+
+            fields[fieldName] = field;
+        }
+
+        return fields;
+    }
+
     /**
      * Validate schema structure and rules
      */
@@ -27,28 +140,27 @@ class Schema {
             errors.push('Required fields must be an array');
         }
 
+        errors.push(...this.validateCoercionOptions('Schema', this));
+
         // Validate that required fields exist in fields object
-        for (const requiredField of this.required) {
-            if (!this.fields[requiredField]) {
-                errors.push(`Required field '${requiredField}' is not defined in schema`);
-            }
-        }
+        errors.push(...this.validateRequiredList(this.required, this.fields));
 
-        // Validate field definitions
-        for (const [fieldName, fieldDef] of Object.entries(this.fields)) {
+        // Validate field definitions (a Zod schema has already been checked by Zod)
+        for (const [fieldName, fieldDef] of Object.entries(this.zodSchema ? {} : this.fields)) {
             const fieldErrors = this.validateField(fieldName, fieldDef);
             errors.push(...fieldErrors);
         }
 
         if (errors.length > 0) {
-            throw new Error(`Schema validation failed: ${errors.join(', ')}`);
+            throw new SchemaValidationError(`Schema validation failed: ${errors.join(', ')}`, { errors });
         }
 
         return { isValid: true, errors: [] };
     }
 
     /**
-     * Validate individual field definition
+     * Validate individual field definition, descending into array items
+     * (`line_items[]`) and object properties (`customer.name`)
      */
     validateField(fieldName, fieldDef) {
         const errors = [];
@@ -69,62 +181,152 @@ class Schema {
             errors.push(`Field '${fieldName}' has invalid type: ${fieldDef.type}`);
         }
 
+        errors.push(...this.validateCoercionOptions(`Field '${fieldName}'`, fieldDef));
+
+        for (const flag of ['optional', 'nullable']) {
+            if (fieldDef[flag] !== undefined && typeof fieldDef[flag] !== 'boolean') {
+                errors.push(`Field '${fieldName}' ${flag} must be a boolean`);
+            }
+        }
+
         // Validate array field items
         if (fieldDef.type === 'array' && !fieldDef.items) {
             errors.push(`Array field '${fieldName}' must specify items type`);
         }
 
+        if (fieldDef.type === 'array' && fieldDef.items) {
+            errors.push(...this.validateField(`${fieldName}[]`, fieldDef.items));
+        }
+
+        // Validate object field properties and their required list
+        if (fieldDef.type === 'object') {
+            const properties = fieldDef.properties || {};
+
+            if (typeof properties !== 'object' || Array.isArray(properties)) {
+                errors.push(`Object field '${fieldName}' properties must be an object`);
+                return errors;
+            }
+
+            if (fieldDef.required !== undefined && !Array.isArray(fieldDef.required)) {
+                errors.push(`Object field '${fieldName}' required must be an array`);
+            }
+
+            errors.push(...this.validateRequiredList([].concat(fieldDef.required || []), properties, `${fieldName}.`));
+
+            for (const [propertyName, propertyDef] of Object.entries(properties)) {
+                errors.push(...this.validateField(`${fieldName}.${propertyName}`, propertyDef));
+            }
+        }
+
         // Validate validation rules
         if (fieldDef.validation) {
             const validationErrors = this.validateFieldRules(fieldName, fieldDef);
             errors.push(...validationErrors);
         }
 
+        // The default has to pass the field's own validation
+        if (errors.length === 0 && fieldDef.default !== undefined) {
+            const { default: defaultValue, ...definition } = fieldDef;
+            if (!this.createZodField(definition).safeParse(this.coerceValue(defaultValue, definition)).success) {
+                errors.push(`Field '${fieldName}' default does not match its type and validation rules`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a required list against the fields of its level; fields
+     * marked optional or with a default cannot be required
+     */
+    validateRequiredList(required, fields, prefix = '') {
+        const errors = [];
+
+        for (const requiredField of required) {
+            const fieldDef = fields[requiredField];
+
+            if (!fieldDef) {
+                errors.push(`Required field '${prefix}${requiredField}' is not defined in schema`);
+            } else if (fieldDef.optional === true) {
+                errors.push(`Field '${prefix}${requiredField}' cannot be both required and optional`);
+            } else if (fieldDef.default !== undefined) {
+                errors.push(`Field '${prefix}${requiredField}' cannot be both required and have a default`);
+            }
+        }
+
         return errors;
     }
 
     /**
-     * Validate field validation rules
+     * Validate `dateFormats` and `decimalSeparator` of the schema or a field
+     */
+    validateCoercionOptions(subject, options) {
+        const errors = [];
+
+        if (options.dateFormats !== undefined &&
+            (!Array.isArray(options.dateFormats) || !options.dateFormats.every(isValidDateFormat))) {
+            errors.push(`${subject} dateFormats must be an array of formats with YYYY or YY, M, MM, MMM or MMMM, and D or DD`);
+        }
+
+        if (options.decimalSeparator !== undefined && !['.', ','].includes(options.decimalSeparator)) {
+            errors.push(`${subject} decimalSeparator must be '.' or ','`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate field validation rules: each has to apply to the field's type
+     * and hold a usable value
      */
     validateFieldRules(fieldName, fieldDef) {
         const errors = [];
         const rules = fieldDef.validation;
 
-        // String validation rules
-        if (fieldDef.type === 'string') {
-            if (rules.minLength && typeof rules.minLength !== 'number') {
-                errors.push(`Field '${fieldName}' minLength must be a number`);
-            }
-            if (rules.maxLength && typeof rules.maxLength !== 'number') {
-                errors.push(`Field '${fieldName}' maxLength must be a number`);
-            }
-            if (rules.pattern && typeof rules.pattern !== 'string') {
-                errors.push(`Field '${fieldName}' pattern must be a string`);
-            }
-            if (rules.enum && !Array.isArray(rules.enum)) {
-                errors.push(`Field '${fieldName}' enum must be an array`);
-            }
+        if (typeof rules !== 'object' || Array.isArray(rules)) {
+            return [`Field '${fieldName}' validation must be an object`];
         }
 
-        // Number validation rules
-        if (fieldDef.type === 'number') {
-            if (rules.min && typeof rules.min !== 'number') {
-                errors.push(`Field '${fieldName}' min must be a number`);
+        const allowed = VALIDATION_RULES[fieldDef.type] || [];
+        const check = (rule, isValid, expected) => {
+            if (rules[rule] !== undefined && allowed.includes(rule) && !isValid(rules[rule])) {
+                errors.push(`Field '${fieldName}' ${rule} must be ${expected}`);
             }
-            if (rules.max && typeof rules.max !== 'number') {
-                errors.push(`Field '${fieldName}' max must be a number`);
+        };
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+        for (const rule of Object.keys(rules)) {
+            if (!allowed.includes(rule)) {
+                errors.push(`Field '${fieldName}' rule '${rule}' does not apply to ${fieldDef.type} fields`);
             }
         }
 
+        // String validation rules
+        check('minLength', isCount, 'a non-negative integer');
+        check('maxLength', isCount, 'a non-negative integer');
+        check('pattern', isValidPattern, 'a valid regular expression');
+        check('format', value => Object.keys(STRING_FORMATS).includes(value), `one of: ${Object.keys(STRING_FORMATS).join(', ')}`);
+        check('caseSensitive', value => typeof value === 'boolean', 'a boolean');
+        check('synonyms', value => !!value && typeof value === 'object' && !Array.isArray(value) &&
+            Object.entries(value).every(([canonical, aliases]) =>
+                Array.isArray(rules.enum) && rules.enum.includes(canonical) && isStringList(aliases)),
+        'an object mapping enum values to arrays of strings');
+
+        // Number validation rules
+        check('min', value => typeof value === 'number', 'a number');
+        check('max', value => typeof value === 'number', 'a number');
+        check('multipleOf', value => typeof value === 'number' && value > 0, 'a positive number');
+        check('precision', isCount, 'a non-negative integer');
+
+        // Enums hold values of the field's type
+        check('enum', value => Array.isArray(value) && value.length > 0 &&
+            value.every(item => typeof item === fieldDef.type), `a non-empty array of ${fieldDef.type}s`);
+
         // Array validation rules
-        if (fieldDef.type === 'array') {
-            if (rules.minItems && typeof rules.minItems !== 'number') {
-                errors.push(`Field '${fieldName}' minItems must be a number`);
-            }
-            if (rules.maxItems && typeof rules.maxItems !== 'number') {
-                errors.push(`Field '${fieldName}' maxItems must be a number`);
-            }
-        }
+        check('minItems', isCount, 'a non-negative integer');
+        check('maxItems', isCount, 'a non-negative integer');
+        check('uniqueItems', value => typeof value === 'boolean', 'a boolean');
 
         return errors;
     }
@@ -133,102 +335,264 @@ class Schema {
      * Create Zod schema for validation
      */
     toZodSchema() {
-        const schemaObject = {};
+        if (this.zodSchema) {
+            return this.zodSchema;
+        }
 
-        for (const [fieldName, fieldDef] of Object.entries(this.fields)) {
-            let zodField = this.createZodField(fieldDef);
+        return this.createZodObject(this.fields, this.required, this.additionalProperties);
+    }
 
-            // Apply validation rules
-            if (fieldDef.validation) {
-                zodField = this.applyValidationRules(zodField, fieldDef.validation);
-            }
+    /**
+     * Create a Zod object from field definitions; fields missing from
+     * `required` are optional
+     */
+    createZodObject(fields, required = [], additionalProperties = true) {
+        const schemaObject = {};
 
-            schemaObject[fieldName] = zodField;
+        for (const [fieldName, fieldDef] of Object.entries(fields)) {
+            const zodField = this.createZodField(fieldDef);
+            // A default already fills in absent values
+            schemaObject[fieldName] = required.includes(fieldName) || fieldDef.default !== undefined
+                ? zodField
+                : zodField.optional();
         }
 
-        let schema = z.object(schemaObject);
-
-        // Set required fields
-        if (this.required.length > 0) {
-            schema = schema.required(this.required);
-        }
+        const schema = z.object(schemaObject);
 
         // Handle additional properties
-        if (!this.additionalProperties) {
-            schema = schema.strict();
-        }
-
-        return schema;
+        return additionalProperties ? schema : schema.strict();
     }
 
     /**
-     * Create Zod field based on type
+     * Create Zod field based on type, with its validation rules, `nullable`
+     * and `default` applied. Without `nullable`, null also takes the default.
      */
     createZodField(fieldDef) {
+        let zodField;
+
         switch (fieldDef.type) {
             case 'string':
-                return z.string();
+                zodField = z.string();
+                break;
             case 'number':
-                return z.number();
+                zodField = z.number();
+                break;
             case 'boolean':
-                return z.boolean();
+                zodField = z.boolean();
+                break;
             case 'date':
-                return z.date();
+                zodField = z.date();
+                break;
             case 'array':
-                return z.array(this.createZodField(fieldDef.items));
+                zodField = z.array(this.createZodField(fieldDef.items));
+                break;
             case 'object':
-                return z.object(fieldDef.properties || {});
+                // Without properties any object is accepted as is
+                zodField = fieldDef.properties
+                    ? this.createZodObject(fieldDef.properties, fieldDef.required, fieldDef.additionalProperties !== false)
+                    : z.object({}).passthrough();
+                break;
             default:
-                return z.any();
+                zodField = z.any();
+        }
+
+        // Apply validation rules
+        if (fieldDef.validation) {
+            zodField = this.applyValidationRules(zodField, fieldDef);
+        }
+
+        if (fieldDef.nullable) {
+            zodField = zodField.nullable();
         }
+
+        if (fieldDef.default !== undefined) {
+            const defaultValue = this.coerce ? this.coerceValue(fieldDef.default, fieldDef) : fieldDef.default;
+            zodField = zodField.default(() => cloneValue(defaultValue));
+
+            if (!fieldDef.nullable) {
+                zodField = z.preprocess(value => (value === null ? undefined : value), zodField);
+            }
+        }
+
+        return zodField;
     }
 
     /**
-     * Apply validation rules to Zod field
+     * Apply the validation rules of a field to its Zod field. String enums
+     * match case-insensitively (unless `caseSensitive`) and through
+     * `synonyms`, and resolve to the canonical enum value.
      */
-    applyValidationRules(zodField, rules) {
+    applyValidationRules(zodField, fieldDef) {
+        const rules = fieldDef.validation;
         let field = zodField;
 
-        // String validations
-        if (rules.minLength !== undefined) {
-            field = field.min(rules.minLength);
+        if (fieldDef.type === 'string') {
+            if (rules.minLength !== undefined) {
+                field = field.min(rules.minLength);
+            }
+            if (rules.maxLength !== undefined) {
+                field = field.max(rules.maxLength);
+            }
+            if (rules.pattern) {
+                field = field.regex(new RegExp(rules.pattern));
+            }
+            if (rules.format === 'email') {
+                field = field.email();
+            } else if (rules.format === 'uri') {
+                field = field.url();
+            } else if (rules.format) {
+                const { check, message } = STRING_FORMATS[rules.format];
+                field = field.refine(check, { message });
+            }
+            if (rules.enum) {
+                const lookup = createEnumLookup(rules);
+                field = field.transform((value, ctx) => {
+                    const canonical = lookup(value);
+                    if (canonical === undefined) {
+                        ctx.addIssue({ code: z.ZodIssueCode.invalid_enum_value, options: rules.enum, received: value });
+                        return z.NEVER;
+                    }
+                    return canonical;
+                });
+            }
+        }
+
+        if (fieldDef.type === 'number') {
+            if (rules.min !== undefined) {
+                field = field.min(rules.min);
+            }
+            if (rules.max !== undefined) {
+                field = field.max(rules.max);
+            }
+            if (rules.multipleOf !== undefined) {
+                field = field.refine(value => isMultipleOf(value, rules.multipleOf), {
+                    message: `Number must be a multiple of ${rules.multipleOf}`
+                });
+            }
+            if (rules.precision !== undefined) {
+                field = field.refine(value => isMultipleOf(value, Number(`1e-${rules.precision}`)), {
+                    message: `Number must have at most ${rules.precision} decimal places`
+                });
+            }
+            if (rules.enum) {
+                field = field.refine(value => rules.enum.includes(value), {
+                    message: `Number must be one of: ${rules.enum.join(', ')}`
+                });
+            }
+        }
+
+        if (fieldDef.type === 'array') {
+            if (rules.minItems !== undefined) {
+                field = field.min(rules.minItems);
+            }
+            if (rules.maxItems !== undefined) {
+                field = field.max(rules.maxItems);
+            }
+            if (rules.uniqueItems) {
+                // Duplicates are reported at their own index
+                field = field.superRefine((items, ctx) => {
+                    const seen = new Set();
+                    items.forEach((item, index) => {
+                        const key = JSON.stringify(item);
+                        if (seen.has(key)) {
+                            ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index], message: 'Array items must be unique' });
+                        }
+                        seen.add(key);
+                    });
+                });
+            }
         }
-        if (rules.maxLength !== undefined) {
-            field = field.max(rules.maxLength);
+
+        return field;
+    }
+
+    /**
+     * JSON Schema keywords of a field's validation rules; `precision`
+     * becomes `multipleOf`, and a nullable enum also lists null
+     */
+    rulesToJsonSchema(fieldDef) {
+        const rules = fieldDef.validation;
+        const keywords = {};
+
+        for (const [rule, keyword] of Object.entries(JSON_SCHEMA_KEYWORDS)) {
+            if (rules[rule] !== undefined) {
+                keywords[keyword] = rules[rule];
+            }
         }
-        if (rules.pattern) {
-            field = field.regex(new RegExp(rules.pattern));
+
+        if (rules.precision !== undefined && rules.multipleOf === undefined) {
+            keywords.multipleOf = Number(`1e-${rules.precision}`);
         }
+
         if (rules.enum) {
-            field = field.enum(rules.enum);
+            keywords.enum = fieldDef.nullable ? [...rules.enum, null] : [...rules.enum];
         }
 
-        // Number validations
-        if (rules.min !== undefined) {
-            field = field.min(rules.min);
+        return keywords;
+    }
+
+    /**
+     * Read string values as the numbers, booleans and dates their fields
+     * expect. Values that cannot be read are left for validation to report.
+     */
+    coerceData(data) {
+        if (!this.coerce || this.zodSchema) {
+            return data;
         }
-        if (rules.max !== undefined) {
-            field = field.max(rules.max);
+        return this.coerceObject(data, this.fields);
+    }
+
+    /**
+     * Coerce the properties of an object described by `fields`
+     */
+    coerceObject(data, fields) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || data instanceof Date) {
+            return data;
         }
 
-        // Array validations
-        if (rules.minItems !== undefined) {
-            field = field.min(rules.minItems);
+        const coerced = { ...data };
+        for (const [fieldName, fieldDef] of Object.entries(fields)) {
+            if (fieldName in coerced) {
+                coerced[fieldName] = this.coerceValue(coerced[fieldName], fieldDef);
+            }
         }
-        if (rules.maxItems !== undefined) {
-            field = field.max(rules.maxItems);
+        return coerced;
+    }
+
+    /**
+     * Coerce one value; field `dateFormats` and `decimalSeparator` take
+     * precedence over the schema's
+     */
+    coerceValue(value, fieldDef) {
+        if (!fieldDef || value === null || value === undefined) {
+            return value;
         }
 
-        return field;
+        switch (fieldDef.type) {
+            case 'number':
+                return coerceNumber(value, { decimalSeparator: fieldDef.decimalSeparator || this.decimalSeparator });
+            case 'boolean':
+                return coerceBoolean(value);
+            case 'date':
+                return coerceDate(value, fieldDef.dateFormats || this.dateFormats);
+            case 'array':
+                return Array.isArray(value) && fieldDef.items
+                    ? value.map(item => this.coerceValue(item, fieldDef.items))
+                    : value;
+            case 'object':
+                return fieldDef.properties ? this.coerceObject(value, fieldDef.properties) : value;
+            default:
+                return value;
+        }
     }
 
     /**
-     * Validate extracted data against schema
+     * Validate extracted data against schema, after coercion
      */
     validateData(data) {
         try {
             const zodSchema = this.toZodSchema();
-            const validatedData = zodSchema.parse(data);
+            const validatedData = zodSchema.parse(this.coerceData(data));
 
             return {
                 isValid: true,
@@ -241,7 +605,7 @@ class Schema {
                     isValid: false,
                     data: null,
                     errors: error.errors.map(err => ({
-                        field: err.path.join('.'),
+                        field: Schema.formatPath(err.path),
                         message: err.message,
                         code: err.code
                     }))
@@ -251,10 +615,23 @@ class Schema {
         }
     }
 
+    /**
+     * Format a data path as `line_items[3].quantity`
+     */
+    static formatPath(path) {
+        return path.reduce((formatted, segment) => typeof segment === 'number'
+            ? `${formatted}[${segment}]`
+            : formatted ? `${formatted}.${segment}` : String(segment), '');
+    }
+
     /**
      * Get JSON Schema representation
      */
     toJsonSchema() {
+        if (this.jsonSchema) {
+            return JSON.parse(JSON.stringify(this.jsonSchema));
+        }
+
         const jsonSchema = {
             type: 'object',
             properties: {},
@@ -273,13 +650,24 @@ class Schema {
      * Convert field definition to JSON Schema
      */
     fieldToJsonSchema(fieldDef) {
+        // JSON Schema has no date type: dates are ISO date strings, which
+        // coercion reads back as Date objects
+        const type = fieldDef.type === 'date' ? 'string' : fieldDef.type;
         const jsonField = {
-            type: fieldDef.type
+            type: fieldDef.nullable ? [type, 'null'] : type
         };
 
+        if (fieldDef.type === 'date') {
+            jsonField.format = 'date';
+        }
+
+        if (fieldDef.default !== undefined) {
+            jsonField.default = JSON.parse(JSON.stringify(fieldDef.default));
+        }
+
         // Add validation properties
         if (fieldDef.validation) {
-            Object.assign(jsonField, fieldDef.validation);
+            Object.assign(jsonField, this.rulesToJsonSchema(fieldDef));
         }
 
         // Handle array items
@@ -287,12 +675,16 @@ class Schema {
             jsonField.items = this.fieldToJsonSchema(fieldDef.items);
         }
 
-        // Handle object properties
+        // Handle object properties, with the required list of their level
         if (fieldDef.type === 'object' && fieldDef.properties) {
             jsonField.properties = {};
             for (const [propName, propDef] of Object.entries(fieldDef.properties)) {
                 jsonField.properties[propName] = this.fieldToJsonSchema(propDef);
             }
+            jsonField.required = fieldDef.required || [];
+            if (fieldDef.additionalProperties !== undefined) {
+                jsonField.additionalProperties = fieldDef.additionalProperties !== false;
+            }
         }
 
         return jsonField;
@@ -312,6 +704,31 @@ class Schema {
         return this.required.includes(fieldName);
     }
 
+    /**
+     * Check if a field may be absent from the document: marked optional,
+     * or filled in by a default
+     */
+    isFieldOptional(fieldName) {
+        const fieldDef = this.fields[fieldName];
+        return !!fieldDef && (fieldDef.optional === true || fieldDef.default !== undefined);
+    }
+
+    /**
+     * Check if a field accepts null
+     */
+    isFieldNullable(fieldName) {
+        const fieldDef = this.fields[fieldName];
+        return !!fieldDef && fieldDef.nullable === true;
+    }
+
+    /**
+     * Check if a field has a default value
+     */
+    hasDefault(fieldName) {
+        const fieldDef = this.fields[fieldName];
+        return !!fieldDef && fieldDef.default !== undefined;
+    }
+
     /**
      * Get field definition
      */
@@ -326,6 +743,24 @@ class Schema {
         return Object.keys(this.fields);
     }
 
+    /**
+     * Get the full schema definition, suitable for JSON serialization
+     */
+    toDefinition() {
+        return {
+            fields: this.fields,
+            required: this.required,
+            validationRules: this.validationRules,
+            additionalProperties: this.additionalProperties,
+            version: this.version,
+            coerce: this.coerce,
+            dateFormats: this.dateFormats,
+            decimalSeparator: this.decimalSeparator,
+            // A Zod schema cannot be serialized; resuming needs it passed again
+            ...(this.zodSchema ? { zod: true } : {})
+        };
+    }
+
     /**
      * Get schema summary
      */
@@ -349,7 +784,10 @@ class Schema {
             additionalProperties: options.additionalProperties !== undefined
                 ? options.additionalProperties
                 : this.additionalProperties,
-            version: options.version || this.version
+            version: options.version || this.version,
+            coerce: this.coerce,
+            dateFormats: this.dateFormats,
+            decimalSeparator: this.decimalSeparator
         });
     }
 
@@ -363,9 +801,75 @@ class Schema {
         return new Schema(mergedFields, {
             required: mergedRequired,
             additionalProperties: this.additionalProperties && otherSchema.additionalProperties,
-            version: `${this.version}+${otherSchema.version}`
+            version: `${this.version}+${otherSchema.version}`,
+            coerce: this.coerce && otherSchema.coerce,
+            dateFormats: [...new Set([...this.dateFormats, ...otherSchema.dateFormats])],
+            decimalSeparator: this.decimalSeparator
         });
     }
 }
 
+/**
+ * Check if a regular expression source compiles
+ */
+function isValidPattern(pattern) {
+    if (typeof pattern !== 'string') {
+        return false;
+    }
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check if a number is a multiple of `step`, allowing for floating point
+ * error (1234.5 is a multiple of 0.01)
+ */
+function isMultipleOf(value, step) {
+    const quotient = value / step;
+    return Math.abs(quotient - Math.round(quotient)) < 1e-9 * Math.max(1, Math.abs(quotient));
+}
+
+/**
+ * Build a function resolving a string to its canonical enum value, or
+ * undefined when it matches neither a value nor a synonym
+ */
+function createEnumLookup(rules) {
+    const normalize = value => {
+        const text = value.trim().replace(/\s+/g, ' ');
+        return rules.caseSensitive ? text : text.toLowerCase();
+    };
+    const lookup = new Map();
+
+    for (const value of rules.enum) {
+        lookup.set(normalize(value), value);
+    }
+    for (const [canonical, aliases] of Object.entries(rules.synonyms || {})) {
+        for (const alias of aliases) {
+            lookup.set(normalize(alias), canonical);
+        }
+    }
+
+    return value => lookup.get(normalize(value));
+}
+
+/**
+ * Copy a default value, so results never share arrays or objects
+ */
+function cloneValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneValue);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]));
+    }
+    return value;
+}
+
 module.exports = { Schema };
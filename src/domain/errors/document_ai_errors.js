@@ -0,0 +1,212 @@
+/**
+ * Error codes shared by thrown errors and by the `code` field of
+ * Document.canBeProcessed() / BatchProcessingService.canAddToBatch() checks
+ */
+const ErrorCodes = Object.freeze({
+    AUTHENTICATION_FAILED: 'AUTHENTICATION_FAILED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+    UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE',
+    MIME_MISMATCH: 'MIME_MISMATCH',
+    PASSWORD_PROTECTED: 'PASSWORD_PROTECTED',
+    PAGE_LIMIT_EXCEEDED: 'PAGE_LIMIT_EXCEEDED',
+    INVALID_PAGE_RANGE: 'INVALID_PAGE_RANGE',
+    PREPROCESSING_FAILED: 'PREPROCESSING_FAILED',
+    FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+    PATH_OUTSIDE_SANDBOX: 'PATH_OUTSIDE_SANDBOX',
+    PATH_DENIED: 'PATH_DENIED',
+    SYMLINK_NOT_ALLOWED: 'SYMLINK_NOT_ALLOWED',
+    DOWNLOAD_FAILED: 'DOWNLOAD_FAILED',
+    INVALID_URL: 'INVALID_URL',
+    HOST_NOT_ALLOWED: 'HOST_NOT_ALLOWED',
+    PRIVATE_ADDRESS_BLOCKED: 'PRIVATE_ADDRESS_BLOCKED',
+    TOO_MANY_REDIRECTS: 'TOO_MANY_REDIRECTS',
+    CONTENT_TYPE_NOT_ALLOWED: 'CONTENT_TYPE_NOT_ALLOWED',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+    TIMEOUT: 'TIMEOUT',
+    CANCELLED: 'CANCELLED',
+    SERVER_ERROR: 'SERVER_ERROR',
+    API_ERROR: 'API_ERROR',
+    SCHEMA_VALIDATION_FAILED: 'SCHEMA_VALIDATION_FAILED',
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    ALREADY_IN_QUEUE: 'ALREADY_IN_QUEUE',
+    ALREADY_PROCESSING: 'ALREADY_PROCESSING',
+    ALREADY_COMPLETED: 'ALREADY_COMPLETED',
+    MAX_RETRIES_EXCEEDED: 'MAX_RETRIES_EXCEEDED',
+    INVALID_MAX_WORKERS: 'INVALID_MAX_WORKERS',
+    INVALID_CONFIGURATION: 'INVALID_CONFIGURATION',
+    JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+    JOB_ALREADY_EXISTS: 'JOB_ALREADY_EXISTS'
+});
+
+/**
+ * Base class for every error raised by the SDK
+ */
+class DocumentAIError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || ErrorCodes.API_ERROR;
+        this.status = options.status;
+        this.requestId = options.requestId;
+        this.retryable = options.retryable === true;
+        // Milliseconds the server asked us to wait before retrying (Retry-After)
+        this.retryAfter = options.retryAfter;
+        this.cause = options.cause;
+    }
+
+    /**
+     * Export error as JSON (for logs and batch journals)
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            code: this.code,
+            status: this.status,
+            requestId: this.requestId,
+            retryable: this.retryable,
+            retryAfter: this.retryAfter
+        };
+    }
+}
+
+class AuthenticationError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.AUTHENTICATION_FAILED, ...options, retryable: false });
+    }
+}
+
+class RateLimitError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.RATE_LIMITED, status: 429, retryable: true, ...options });
+    }
+}
+
+class FileTooLargeError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.FILE_TOO_LARGE, ...options, retryable: false });
+    }
+}
+
+class UnsupportedFileTypeError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.UNSUPPORTED_FILE_TYPE, ...options, retryable: false });
+    }
+}
+
+class NetworkError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.NETWORK_ERROR, retryable: true, ...options });
+    }
+}
+
+class TimeoutError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.TIMEOUT, retryable: true, ...options });
+    }
+}
+
+class CancelledError extends DocumentAIError {
+    constructor(message = 'Operation was cancelled', options = {}) {
+        super(message, { code: ErrorCodes.CANCELLED, ...options, retryable: false });
+    }
+}
+
+/**
+ * A local path rejected by the file access policy (see FileAccessPolicy)
+ */
+class FileAccessError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.PATH_OUTSIDE_SANDBOX, ...options, retryable: false });
+    }
+}
+
+/**
+ * A URL document rejected by the URL fetch policy (see UrlFetchPolicy)
+ */
+class UrlPolicyError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.HOST_NOT_ALLOWED, ...options, retryable: false });
+    }
+}
+
+class ServerError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.SERVER_ERROR, retryable: true, ...options });
+    }
+}
+
+class SchemaValidationError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.SCHEMA_VALIDATION_FAILED, ...options, retryable: false });
+        this.errors = options.errors || [];
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), errors: this.errors };
+    }
+}
+
+/**
+ * A document rejected locally before any request is made
+ * (missing file, already processed, invalid configuration, ...)
+ */
+class DocumentProcessingError extends DocumentAIError {
+    constructor(message, options = {}) {
+        super(message, { code: ErrorCodes.VALIDATION_FAILED, ...options, retryable: false });
+    }
+}
+
+/**
+ * Build the error matching a failed canBeProcessed()/canAddToBatch() check
+ */
+function createProcessingError(message, code) {
+    switch (code) {
+        case ErrorCodes.FILE_TOO_LARGE:
+            return new FileTooLargeError(message, { code });
+        case ErrorCodes.UNSUPPORTED_FILE_TYPE:
+        case ErrorCodes.MIME_MISMATCH:
+            return new UnsupportedFileTypeError(message, { code });
+        default:
+            return new DocumentProcessingError(message, { code });
+    }
+}
+
+/**
+ * Pass SDK errors through unchanged; wrap any other error in a
+ * DocumentAIError whose message starts with `context`
+ */
+function wrapError(error, context) {
+    if (error instanceof DocumentAIError) {
+        return error;
+    }
+    return new DocumentAIError(`${context}: ${error.message}`, { cause: error });
+}
+
+/**
+ * Check if an error is worth retrying; errors not raised by the SDK are not
+ */
+function isRetryableError(error) {
+    return error instanceof DocumentAIError && error.retryable;
+}
+
+module.exports = {
+    ErrorCodes,
+    DocumentAIError,
+    AuthenticationError,
+    RateLimitError,
+    FileTooLargeError,
+    UnsupportedFileTypeError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    FileAccessError,
+    UrlPolicyError,
+    ServerError,
+    SchemaValidationError,
+    DocumentProcessingError,
+    createProcessingError,
+    wrapError,
+    isRetryableError
+};
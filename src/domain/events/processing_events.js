@@ -0,0 +1,28 @@
+/**
+ * Names of the lifecycle events emitted while documents are processed.
+ *
+ * DocumentAI, DocumentAIService and BatchProcessingService are EventEmitters
+ * and emit these with a single payload object.
+ */
+const ProcessingEvents = Object.freeze({
+    // { documentId, filePath, queueSize }
+    DOCUMENT_QUEUED: 'document:queued',
+    // { documentId, filePath, attempt }
+    DOCUMENT_START: 'document:start',
+    // { documentId, filePath, attempt, maxAttempts, error, waitTime }
+    DOCUMENT_RETRY: 'document:retry',
+    // { documentId, filePath, attempts, processingTime, result }
+    DOCUMENT_COMPLETED: 'document:completed',
+    // { documentId, filePath, attempts, processingTime, error }
+    DOCUMENT_FAILED: 'document:failed',
+    // { documentId, filePath, attempts }
+    DOCUMENT_CANCELLED: 'document:cancelled',
+    // { total, maxWorkers }
+    BATCH_START: 'batch:start',
+    // { total, processed, completed, failed, cancelled, remaining, active, percent, elapsed, eta }
+    BATCH_PROGRESS: 'batch:progress',
+    // { processed, completed, failed, cancelled, errors, processingTime }
+    BATCH_COMPLETED: 'batch:completed'
+});
+
+module.exports = { ProcessingEvents };
@@ -1,19 +1,26 @@
-const { Document } = require('../entities/documents');
+const { EventEmitter } = require('events');
+const { ProcessingEvents } = require('../events/processing_events');
+const { ErrorCodes, createProcessingError } = require('../errors/document_ai_errors');
+const { isCancellation } = require('../utils/cancellation');
 
-class BatchProcessingService {
-    constructor() {
-        // Load configuration from environment variables
-        this.batchSize = parseInt(process.env.BATCH_SIZE) || 4;
-        this.maxWorkers = parseInt(process.env.MAX_WORKERS) || 2;
-        this.maxRetries = parseInt(process.env.MAX_RETRIES) || 80;
-        this.maxRetryWaitTime = parseInt(process.env.MAX_RETRY_WAIT_TIME) || 30;
-        this.retryLoggingStyle = process.env.RETRY_LOGGING_STYLE || 'log_msg';
+class BatchProcessingService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Load configuration from options, falling back to environment variables
+        this.maxWorkers = options.maxWorkers || parseInt(process.env.MAX_WORKERS) || 2;
+        this.retryLoggingStyle = options.retryLoggingStyle || process.env.RETRY_LOGGING_STYLE || 'log_msg';
+
+        // Receives the batch status and attempt lines ({ info(message, data) }); silent without one
+        this.logger = options.logger || null;
 
         // Processing state
         this.activeWorkers = 0;
         this.processingQueue = [];
+        this.queuedIds = new Set();
         this.completedDocuments = [];
         this.failedDocuments = [];
+        this.cancelledDocuments = [];
     }
 
     /**
@@ -26,7 +33,7 @@ class BatchProcessingService {
             return {
                 canAdd: false,
                 reason: `Document validation failed: ${validation.errors.join(', ')}`,
-                code: 'VALIDATION_FAILED'
+                code: ErrorCodes.VALIDATION_FAILED
             };
         }
 
@@ -40,22 +47,12 @@ class BatchProcessingService {
             };
         }
 
-        // Check if batch is full
-        if (this.processingQueue.length >= this.batchSize) {
-            return {
-                canAdd: false,
-                reason: `Batch is full (${this.batchSize} documents)`,
-                code: 'BATCH_FULL'
-            };
-        }
-
         // Check if document is already in queue
-        const isAlreadyInQueue = this.processingQueue.some(doc => doc.id === document.id);
-        if (isAlreadyInQueue) {
+        if (this.queuedIds.has(document.id)) {
             return {
                 canAdd: false,
                 reason: 'Document is already in processing queue',
-                code: 'ALREADY_IN_QUEUE'
+                code: ErrorCodes.ALREADY_IN_QUEUE
             };
         }
 
@@ -65,8 +62,7 @@ class BatchProcessingService {
             code: 'READY_TO_ADD',
             batchInfo: {
                 currentQueueSize: this.processingQueue.length,
-                maxBatchSize: this.batchSize,
-                availableSlots: this.batchSize - this.processingQueue.length
+                maxWorkers: this.maxWorkers
             }
         };
     }
@@ -77,15 +73,10 @@ class BatchProcessingService {
     addToBatch(document) {
         const canAdd = this.canAddToBatch(document);
         if (!canAdd.canAdd) {
-            throw new Error(`Cannot add document to batch: ${canAdd.reason}`);
+            throw createProcessingError(`Cannot add document to batch: ${canAdd.reason}`, canAdd.code);
         }
 
-        this.processingQueue.push(document);
-        this.logBatchStatus('Document added to batch', {
-            documentId: document.id,
-            queueSize: this.processingQueue.length,
-            batchSize: this.batchSize
-        });
+        this.queueDocument(document);
 
         return {
             success: true,
@@ -96,150 +87,364 @@ class BatchProcessingService {
     }
 
     /**
-     * Process batch of documents with worker management
+     * Add document to processing queue without checking it first; pair with
+     * the `prepare` option of processBatch/processStream to run the checks
+     * in the worker that picks the document up
      */
-    async processBatch(extractionFunction) {
+    queueDocument(document) {
+        this.processingQueue.push(document);
+        this.queuedIds.add(document.id);
+        this.emit(ProcessingEvents.DOCUMENT_QUEUED, {
+            documentId: document.id,
+            filePath: document.filePath.value,
+            queueSize: this.processingQueue.length
+        });
+    }
+
+    /**
+     * Take every document off the queue
+     */
+    takeQueue() {
+        this.queuedIds.clear();
+        return this.processingQueue.splice(0);
+    }
+
+    /**
+     * Process every queued document through a pool of workers.
+     *
+     * Exactly `maxWorkers` extractions are kept in flight: as soon as one
+     * document finishes, the freed worker picks up the next queued document,
+     * so a slow document never holds back the others. Once `options.signal`
+     * aborts, documents that have not started yet are marked as cancelled.
+     * `options.prepare(document)` runs in the worker before the extraction;
+     * a document it rejects is recorded as failed.
+     */
+    async processBatch(extractionFunction, options = {}) {
         if (this.processingQueue.length === 0) {
             return {
                 processed: 0,
                 completed: 0,
                 failed: 0,
+                cancelled: 0,
+                errors: [],
                 message: 'No documents in queue to process'
             };
         }
 
-        const batchToProcess = this.processingQueue.splice(0, this.batchSize);
+        const documentsToProcess = this.takeQueue();
+        const results = this.startBatch(documentsToProcess);
+
+        await this.runWorkerPool(documentsToProcess, async (document) => {
+            await this.processQueuedDocument(document, extractionFunction, results, options);
+        });
+
+        this.finishBatch(results);
+
+        return results;
+    }
+
+    /**
+     * Process every queued document, yielding each outcome as soon as it is
+     * available ({ document, success, result, error, attempts }).
+     *
+     * Workers stop picking up new documents while `highWaterMark` outcomes
+     * are waiting to be consumed, so a slow consumer never causes unbounded
+     * buffering. Leaving the loop early stops the remaining documents from
+     * being started; aborting `options.signal` yields them as cancelled.
+     * `options.prepare` behaves as in processBatch.
+     */
+    async *processStream(extractionFunction, options = {}) {
+        const documentsToProcess = this.takeQueue();
+        if (documentsToProcess.length === 0) {
+            return;
+        }
+
+        const highWaterMark = options.highWaterMark || this.maxWorkers;
+        const results = this.startBatch(documentsToProcess);
+        const buffered = [];
+        const spaceWaiters = [];
+        let nextIndex = 0;
+        let stopped = false;
+        let poolDone = false;
+        let poolError = null;
+        let wakeConsumer = null;
+
+        const notifyConsumer = () => {
+            if (wakeConsumer) {
+                const wake = wakeConsumer;
+                wakeConsumer = null;
+                wake();
+            }
+        };
+
+        const releaseWorkers = () => {
+            while (spaceWaiters.length > 0 && (stopped || buffered.length < highWaterMark)) {
+                spaceWaiters.shift()();
+            }
+        };
+
+        const runWorker = async () => {
+            while (!stopped && nextIndex < documentsToProcess.length) {
+                // Backpressure: wait for the consumer before starting another document
+                while (!stopped && buffered.length >= highWaterMark) {
+                    await new Promise(resolve => spaceWaiters.push(resolve));
+                }
+
+                if (stopped || nextIndex >= documentsToProcess.length) {
+                    break;
+                }
+
+                const document = documentsToProcess[nextIndex++];
+                const outcome = await this.processQueuedDocument(document, extractionFunction, results, options);
+
+                if (!stopped) {
+                    buffered.push(outcome);
+                    notifyConsumer();
+                }
+            }
+        };
+
+        const workerCount = Math.min(this.maxWorkers, documentsToProcess.length);
+        Promise.all(Array.from({ length: workerCount }, runWorker)).then(() => {
+            poolDone = true;
+            this.finishBatch(results);
+            notifyConsumer();
+        }).catch(error => {
+            // A throwing event listener, for instance: stop the pool and
+            // rethrow from the generator
+            poolError = error;
+            stopped = true;
+            releaseWorkers();
+            notifyConsumer();
+        });
+
+        try {
+            while (buffered.length > 0 || !poolDone) {
+                if (poolError) {
+                    throw poolError;
+                }
+
+                if (buffered.length === 0) {
+                    await new Promise(resolve => { wakeConsumer = resolve; });
+                    continue;
+                }
+
+                const outcome = buffered.shift();
+                releaseWorkers();
+                yield outcome;
+            }
+        } finally {
+            stopped = true;
+            releaseWorkers();
+        }
+    }
+
+    /**
+     * Create the result accumulator for a batch run and announce its start
+     */
+    startBatch(documentsToProcess) {
         const results = {
-            processed: batchToProcess.length,
+            processed: documentsToProcess.length,
             completed: 0,
             failed: 0,
-            errors: []
+            cancelled: 0,
+            errors: [],
+            startTime: Date.now()
         };
 
         this.logBatchStatus('Starting batch processing', {
-            batchSize: batchToProcess.length,
-            maxWorkers: this.maxWorkers,
-            queueRemaining: this.processingQueue.length
+            documents: documentsToProcess.length,
+            maxWorkers: this.maxWorkers
+        });
+        this.emit(ProcessingEvents.BATCH_START, {
+            total: documentsToProcess.length,
+            maxWorkers: this.maxWorkers
         });
 
-        // Process documents with worker concurrency control
-        const chunks = this.chunkArray(batchToProcess, this.maxWorkers);
-
-        for (const chunk of chunks) {
-            const chunkPromises = chunk.map(async (document) => {
-                try {
-                    // Mark document as processing
-                    document.markAsProcessing();
-
-                    // Process document
-                    const result = await this.processDocument(document, extractionFunction);
-
-                    if (result.success) {
-                        document.markAsCompleted();
-                        this.completedDocuments.push(document);
-                        results.completed++;
-                    } else {
-                        document.markAsFailed();
-                        this.failedDocuments.push(document);
-                        results.failed++;
-                        results.errors.push({
-                            documentId: document.id,
-                            error: result.error
-                        });
-                    }
-                } catch (error) {
-                    document.markAsFailed();
-                    this.failedDocuments.push(document);
-                    results.failed++;
-                    results.errors.push({
-                        documentId: document.id,
-                        error: error.message
-                    });
-                }
-            });
+        return results;
+    }
 
-            // Wait for current chunk to complete before processing next chunk
-            await Promise.all(chunkPromises);
-        }
+    /**
+     * Finalize a batch run and announce its completion
+     */
+    finishBatch(results) {
+        results.processingTime = Date.now() - results.startTime;
 
         this.logBatchStatus('Batch processing completed', {
             processed: results.processed,
             completed: results.completed,
             failed: results.failed,
+            cancelled: results.cancelled,
             errors: results.errors.length
         });
-
-        return results;
+        this.emit(ProcessingEvents.BATCH_COMPLETED, {
+            processed: results.processed,
+            completed: results.completed,
+            failed: results.failed,
+            cancelled: results.cancelled,
+            errors: results.errors,
+            processingTime: results.processingTime
+        });
     }
 
     /**
-     * Process individual document with retry logic
+     * Process one document taken off the queue and record its outcome
      */
-    async processDocument(document, extractionFunction) {
-        let lastError = null;
+    async processQueuedDocument(document, extractionFunction, results, options = {}) {
+        const documentStartTime = Date.now();
+        let outcome;
+
+        if (options.signal && options.signal.aborted) {
+            outcome = this.recordCancellation(document, results);
+            this.emit(ProcessingEvents.BATCH_PROGRESS, this.getProgress(results));
+            return outcome;
+        }
 
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                const result = await extractionFunction(document);
+        this.activeWorkers++;
 
-                this.logRetryAttempt(document.id, attempt, 'SUCCESS', null);
-                return { success: true, result };
+        try {
+            if (options.prepare) {
+                await options.prepare(document);
+            }
 
-            } catch (error) {
-                lastError = error;
+            // Mark document as processing
+            document.markAsProcessing();
+
+            // Process document
+            const result = await this.processDocument(document, extractionFunction);
+
+            if (result.success) {
+                document.markAsCompleted();
+                this.completedDocuments.push(document);
+                results.completed++;
+                this.emit(ProcessingEvents.DOCUMENT_COMPLETED, {
+                    documentId: document.id,
+                    filePath: document.filePath.value,
+                    attempts: result.attempts,
+                    processingTime: Date.now() - documentStartTime,
+                    result: result.result
+                });
+                outcome = { document, success: true, result: result.result, attempts: result.attempts };
+            } else if (isCancellation(result.cause)) {
+                outcome = this.recordCancellation(document, results);
+            } else {
+                outcome = this.recordFailure(document, results, result.error, result.attempts, documentStartTime);
+            }
+        } catch (error) {
+            outcome = this.recordFailure(document, results, error.message, document.processingAttempts, documentStartTime);
+        } finally {
+            this.activeWorkers--;
+            this.emit(ProcessingEvents.BATCH_PROGRESS, this.getProgress(results));
+        }
 
-                this.logRetryAttempt(document.id, attempt, 'FAILED', error.message);
+        return outcome;
+    }
 
-                // Check if we should retry
-                if (!this.shouldRetry(error, attempt)) {
-                    break;
-                }
+    /**
+     * Run `worker` over every item with at most `maxWorkers` calls in flight
+     */
+    async runWorkerPool(items, worker) {
+        let nextIndex = 0;
 
-                // Wait before retry
-                if (attempt < this.maxRetries) {
-                    const waitTime = this.calculateRetryWaitTime(attempt);
-                    await this.sleep(waitTime);
-                }
+        const runWorker = async () => {
+            while (nextIndex < items.length) {
+                const item = items[nextIndex++];
+                await worker(item);
             }
-        }
-
-        return {
-            success: false,
-            error: lastError?.message || 'Max retries exceeded',
-            attempts: this.maxRetries
         };
+
+        const workerCount = Math.min(this.maxWorkers, items.length);
+        await Promise.all(Array.from({ length: workerCount }, runWorker));
     }
 
     /**
-     * Determine if an error should trigger a retry
+     * Record a document that failed after all its attempts
      */
-    shouldRetry(error, attempt) {
-        // Don't retry on validation errors or unsupported file types
-        if (error.message.includes('VALIDATION_FAILED') ||
-            error.message.includes('UNSUPPORTED_FILE_TYPE') ||
-            error.message.includes('FILE_TOO_LARGE')) {
-            return false;
-        }
+    recordFailure(document, results, errorMessage, attempts, documentStartTime) {
+        document.markAsFailed();
+        this.failedDocuments.push(document);
+        results.failed++;
+        results.errors.push({
+            documentId: document.id,
+            error: errorMessage
+        });
+        this.emit(ProcessingEvents.DOCUMENT_FAILED, {
+            documentId: document.id,
+            filePath: document.filePath.value,
+            attempts,
+            processingTime: Date.now() - documentStartTime,
+            error: errorMessage
+        });
 
-        // Don't retry on authentication errors
-        if (error.message.includes('Invalid API key') ||
-            error.message.includes('401')) {
-            return false;
-        }
+        return { document, success: false, error: errorMessage, attempts };
+    }
 
-        // Retry on network errors, timeouts, and server errors
-        return attempt < this.maxRetries;
+    /**
+     * Record a document stopped by cancellation; it is not counted as failed
+     */
+    recordCancellation(document, results) {
+        document.markAsCancelled();
+        this.cancelledDocuments.push(document);
+        results.cancelled++;
+        this.emit(ProcessingEvents.DOCUMENT_CANCELLED, {
+            documentId: document.id,
+            filePath: document.filePath.value,
+            attempts: document.processingAttempts
+        });
+
+        return { document, success: false, cancelled: true, attempts: document.processingAttempts };
+    }
+
+    /**
+     * Build a progress snapshot with a throughput-based ETA (in ms)
+     */
+    getProgress(results) {
+        const finished = results.completed + results.failed + results.cancelled;
+        const remaining = results.processed - finished;
+        const elapsed = Date.now() - results.startTime;
+
+        return {
+            total: results.processed,
+            processed: finished,
+            completed: results.completed,
+            failed: results.failed,
+            cancelled: results.cancelled,
+            remaining,
+            active: this.activeWorkers,
+            percent: results.processed > 0 ? (finished / results.processed) * 100 : 100,
+            elapsed,
+            eta: finished > 0 ? Math.round((elapsed / finished) * remaining) : null
+        };
     }
 
     /**
-     * Calculate exponential backoff wait time
+     * Process individual document.
+     *
+     * A single call is made; retries happen inside the extraction function
+     * (see RetryPolicy), which reports them through `document.processingAttempts`.
      */
-    calculateRetryWaitTime(attempt) {
-        const baseWaitTime = Math.min(this.maxRetryWaitTime, 30); // Cap at 30 seconds
-        const exponentialWait = Math.pow(2, attempt - 1) * 1000; // Start with 1 second
-        const jitter = Math.random() * 1000; // Add up to 1 second of jitter
+    async processDocument(document, extractionFunction) {
+        this.emit(ProcessingEvents.DOCUMENT_START, {
+            documentId: document.id,
+            filePath: document.filePath.value,
+            attempt: document.processingAttempts
+        });
+
+        try {
+            const result = await extractionFunction(document);
 
-        return Math.min(exponentialWait + jitter, baseWaitTime * 1000);
+            this.logRetryAttempt(document.id, document.processingAttempts, 'SUCCESS', null);
+            return { success: true, result, attempts: document.processingAttempts };
+
+        } catch (error) {
+            this.logRetryAttempt(document.id, document.processingAttempts, 'FAILED', error.message);
+            return {
+                success: false,
+                error: error.message,
+                cause: error,
+                attempts: document.processingAttempts
+            };
+        }
     }
 
     /**
@@ -259,16 +464,11 @@ class BatchProcessingService {
     getBatchStats() {
         return {
             configuration: {
-                batchSize: this.batchSize,
                 maxWorkers: this.maxWorkers,
-                maxRetries: this.maxRetries,
-                maxRetryWaitTime: this.maxRetryWaitTime,
                 retryLoggingStyle: this.retryLoggingStyle
             },
             queue: {
-                size: this.processingQueue.length,
-                maxSize: this.batchSize,
-                availableSlots: Math.max(0, this.batchSize - this.processingQueue.length)
+                size: this.processingQueue.length
             },
             processing: {
                 activeWorkers: this.activeWorkers,
@@ -277,17 +477,19 @@ class BatchProcessingService {
             results: {
                 completed: this.completedDocuments.length,
                 failed: this.failedDocuments.length,
-                total: this.completedDocuments.length + this.failedDocuments.length
+                cancelled: this.cancelledDocuments.length,
+                total: this.completedDocuments.length + this.failedDocuments.length + this.cancelledDocuments.length
             }
         };
     }
 
     /**
-     * Clear completed and failed documents
+     * Clear completed, failed and cancelled documents
      */
     clearResults() {
         this.completedDocuments = [];
         this.failedDocuments = [];
+        this.cancelledDocuments = [];
     }
 
     /**
@@ -295,49 +497,31 @@ class BatchProcessingService {
      */
     reset() {
         this.processingQueue = [];
+        this.queuedIds.clear();
         this.completedDocuments = [];
         this.failedDocuments = [];
+        this.cancelledDocuments = [];
         this.activeWorkers = 0;
     }
 
     /**
-     * Utility method to split array into chunks
-     */
-    chunkArray(array, chunkSize) {
-        const chunks = [];
-        for (let i = 0; i < array.length; i += chunkSize) {
-            chunks.push(array.slice(i, i + chunkSize));
-        }
-        return chunks;
-    }
-
-    /**
-     * Utility method for sleep/delay
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    /**
-     * Log retry attempts based on configured logging style
+     * Log retry attempts to the logger based on configured logging style
      */
     logRetryAttempt(documentId, attempt, status, error) {
-        if (this.retryLoggingStyle === 'log_msg') {
-            const message = `Document ${documentId} - Attempt ${attempt}/${this.maxRetries} - ${status}`;
-            if (error) {
-                console.log(`${message} - Error: ${error}`);
-            } else {
-                console.log(message);
-            }
+        if (this.logger && this.retryLoggingStyle === 'log_msg') {
+            const message = `Document ${documentId} - Attempt ${attempt} - ${status}`;
+            this.logger.info(error ? `${message} - Error: ${error}` : message);
         }
         // Could add other logging styles here (JSON, structured, etc.)
     }
 
     /**
-     * Log batch status updates
+     * Log batch status updates to the logger
      */
     logBatchStatus(message, data) {
-        console.log(`[Batch Processing] ${message}`, data);
+        if (this.logger) {
+            this.logger.info(`[Batch Processing] ${message}`, data);
+        }
     }
 }
 
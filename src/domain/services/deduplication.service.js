@@ -0,0 +1,115 @@
+/**
+ * Matches the documents of one bulk run by content hash so identical
+ * content is extracted once.
+ *
+ * Documents are hashed by the batch workers, concurrently, but matched in
+ * queue order: the first copy of some content is the one extracted, and
+ * later copies wait for its extraction instead of starting their own.
+ */
+class DeduplicationService {
+    constructor() {
+        this.primaries = new Map();
+        this.primaryOf = new Map();
+        this.extracting = new Map();
+        this.duplicates = [];
+        this.turns = new Map();
+        this.lastTurn = Promise.resolve();
+    }
+
+    /**
+     * Reserve the matching turn of a document; call in queue order
+     */
+    enqueue(document) {
+        let release;
+        const matched = new Promise(resolve => { release = resolve; });
+
+        this.turns.set(document.id, { previous: this.lastTurn, release });
+        this.lastTurn = this.lastTurn.then(() => matched);
+    }
+
+    /**
+     * Match a hashed document against the documents queued before it
+     */
+    async match(document, contentHash) {
+        const turn = this.turns.get(document.id);
+
+        try {
+            await turn.previous;
+
+            const primary = this.primaries.get(contentHash);
+            if (primary) {
+                this.primaryOf.set(document.id, primary);
+                this.duplicates.push({ document, primary: primary.document, contentHash });
+                return;
+            }
+
+            let settle;
+            const entry = {
+                document,
+                extraction: new Promise(resolve => { settle = resolve; }),
+                settle
+            };
+            // Only duplicates observe a failed extraction
+            entry.extraction.catch(() => {});
+
+            this.primaries.set(contentHash, entry);
+            this.extracting.set(document.id, entry);
+        } finally {
+            turn.release();
+        }
+    }
+
+    /**
+     * Give up the turn of a document that is not matched (it failed its
+     * checks or cannot be hashed), so later documents are not held up
+     */
+    skip(document) {
+        this.turns.get(document.id).release();
+    }
+
+    /**
+     * Get the document extracted for a duplicate ({ document, extraction }),
+     * or null when the document has to be extracted itself
+     */
+    getPrimary(document) {
+        return this.primaryOf.get(document.id) || null;
+    }
+
+    /**
+     * Share the extraction of a document with its duplicates
+     */
+    track(document, extraction) {
+        const entry = this.extracting.get(document.id);
+        if (entry) {
+            entry.settle(extraction);
+        }
+
+        return extraction;
+    }
+
+    /**
+     * Group duplicates with the document that was extracted for them
+     * ({ contentHash, documentIds, filePaths }, extracted document first)
+     */
+    getGroups() {
+        const groups = new Map();
+
+        for (const { document, primary, contentHash } of this.duplicates) {
+            if (!groups.has(primary.id)) {
+                groups.set(primary.id, {
+                    contentHash,
+                    documentIds: [primary.id],
+                    filePaths: [primary.filePath.value]
+                });
+            }
+
+            const group = groups.get(primary.id);
+            group.documentIds.push(document.id);
+            group.filePaths.push(document.filePath.value);
+        }
+
+        return [...groups.values()];
+    }
+}
+
+module.exports = { DeduplicationService };
@@ -0,0 +1,105 @@
+const { CancelledError } = require('../errors/document_ai_errors');
+
+/**
+ * Throw a CancelledError if `signal` (an AbortSignal) has been aborted
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new CancelledError('Operation was cancelled', { cause: signal.reason });
+    }
+}
+
+/**
+ * Sleep for `ms`, rejecting with a CancelledError as soon as `signal` aborts
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new CancelledError('Operation was cancelled', { cause: signal.reason }));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new CancelledError('Operation was cancelled', { cause: signal.reason }));
+        };
+
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Settle like `promise`, but reject with a CancelledError as soon as
+ * `signal` aborts
+ */
+function abortable(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new CancelledError('Operation was cancelled', { cause: signal.reason }));
+
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Create a controller that aborts when `abort(reason)` is called or when
+ * `parent` aborts, keeping the first reason in `reason` (AbortSignal#reason
+ * needs Node 17.2). Without a global AbortController (Node 14) there is no
+ * signal of its own: `signal` is `parent` and abort() only records the
+ * reason. Call release() once done to stop following `parent`.
+ */
+function createLinkedController(parent) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const onAbort = () => linked.abort(parent.reason);
+
+    const linked = {
+        signal: controller ? controller.signal : parent,
+        reason: undefined,
+        abort(reason) {
+            if (linked.reason === undefined) {
+                linked.reason = reason;
+            }
+            if (controller) {
+                controller.abort(reason);
+            }
+        },
+        release() {
+            if (parent) {
+                parent.removeEventListener('abort', onAbort);
+            }
+        }
+    };
+
+    if (parent) {
+        parent.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return linked;
+}
+
+/**
+ * Check if an error reports a cancelled operation
+ */
+function isCancellation(error) {
+    return error instanceof CancelledError;
+}
+
+module.exports = { throwIfAborted, sleep, abortable, createLinkedController, isCancellation };
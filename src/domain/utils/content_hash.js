@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * SHA-256 of a Buffer, as hex
+ */
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * SHA-256 of a file's bytes, as hex (streamed, never loaded whole)
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * SHA-256 of a JSON-serializable value, as hex
+ */
+function hashJson(value) {
+    return hashBuffer(Buffer.from(JSON.stringify(value)));
+}
+
+module.exports = { hashBuffer, hashFile, hashJson };
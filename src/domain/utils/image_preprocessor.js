@@ -0,0 +1,128 @@
+const { DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+
+/**
+ * MIME types of the formats images can be written in
+ */
+const OUTPUT_MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    tiff: 'image/tiff',
+    gif: 'image/gif'
+};
+
+let sharp;
+
+/**
+ * Load the optional `sharp` package on first use
+ */
+function loadSharp() {
+    if (sharp === undefined) {
+        try {
+            sharp = require('sharp');
+        } catch (error) {
+            sharp = null;
+        }
+    }
+
+    if (!sharp) {
+        throw new DocumentProcessingError("Image preprocessing requires the optional 'sharp' package (npm install sharp)", {
+            code: ErrorCodes.PREPROCESSING_FAILED
+        });
+    }
+
+    return sharp;
+}
+
+/**
+ * Apply the preprocessing steps to one page (0-based) of an image.
+ * Returns { content, mimeType, width, height, transformations }.
+ */
+async function preparePage(buffer, page, settings, options) {
+    const image = loadSharp()(buffer, { page });
+    const metadata = await image.metadata();
+    const transformations = [];
+    let width = metadata.width;
+    let height = metadata.height;
+
+    if (settings.autoOrient && metadata.orientation > 1) {
+        image.rotate();
+        // EXIF orientations 5-8 turn the image by 90 degrees
+        if (metadata.orientation >= 5) {
+            [width, height] = [height, width];
+        }
+        transformations.push({ type: 'auto-orient', orientation: metadata.orientation });
+    }
+
+    if (settings.maxDimension && Math.max(width, height) > settings.maxDimension) {
+        const scale = settings.maxDimension / Math.max(width, height);
+        const to = { width: Math.round(width * scale), height: Math.round(height * scale) };
+
+        image.resize({ ...to, fit: 'inside' });
+        transformations.push({ type: 'resize', from: { width, height }, to });
+        ({ width, height } = to);
+    }
+
+    if (settings.grayscale) {
+        image.grayscale();
+        transformations.push({ type: 'grayscale' });
+    }
+
+    // Nothing to do: upload the original
+    if (!settings.format && transformations.length === 0 && !options.multiPage) {
+        return { content: buffer, mimeType: options.mimeType, width, height, transformations };
+    }
+
+    const format = settings.format ||
+        (OUTPUT_MIME_TYPES[metadata.format] && !options.multiPage ? metadata.format : 'png');
+
+    image.toFormat(format, format === 'png' ? { compressionLevel: 9 } : { quality: settings.quality });
+    transformations.push(format === 'png' ? { type: 'encode', format } : { type: 'encode', format, quality: settings.quality });
+
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    return { content: data, mimeType: OUTPUT_MIME_TYPES[format], width: info.width, height: info.height, transformations };
+}
+
+/**
+ * Prepare an image for upload as described by `settings` (an
+ * ImagePreprocessing). Resolves to `{ images, transformations }`, with one
+ * `{ page, content, mimeType, width, height }` per page to upload, or to
+ * `{ skipped }` with the reason the original is uploaded instead.
+ */
+async function preprocessImage(buffer, settings, mimeType) {
+    let metadata;
+    try {
+        metadata = await loadSharp()(buffer).metadata();
+    } catch (error) {
+        if (error instanceof DocumentProcessingError) {
+            throw error;
+        }
+        return { skipped: `the image could not be decoded (${error.message})` };
+    }
+
+    const pageCount = metadata.pages || 1;
+    if (pageCount > 1 && !settings.splitPages) {
+        return { skipped: `the image has ${pageCount} pages and splitPages is off` };
+    }
+
+    const images = [];
+    const transformations = pageCount > 1 ? [{ type: 'split-pages', pages: pageCount }] : [];
+
+    try {
+        for (let page = 0; page < pageCount; page++) {
+            const prepared = await preparePage(buffer, page, settings, { mimeType, multiPage: pageCount > 1 });
+            const { transformations: applied, ...image } = prepared;
+
+            images.push({ page: page + 1, ...image });
+            transformations.push(...applied.map(step => pageCount > 1 ? { page: page + 1, ...step } : step));
+        }
+    } catch (error) {
+        throw new DocumentProcessingError(`Image preprocessing failed: ${error.message}`, {
+            code: ErrorCodes.PREPROCESSING_FAILED
+        });
+    }
+
+    return { images, transformations };
+}
+
+module.exports = { preprocessImage };
@@ -0,0 +1,113 @@
+/**
+ * Leading "magic" bytes of the file types the API accepts
+ */
+const SIGNATURES = [
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] }, // GIF87a
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] }, // GIF89a
+    { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2A, 0x00] }, // little-endian
+    { mimeType: 'image/tiff', bytes: [0x4D, 0x4D, 0x00, 0x2A] }, // big-endian
+    { mimeType: 'image/bmp', bytes: [0x42, 0x4D] },
+    { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], suffix: { bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 } },
+    { mimeType: 'image/jp2', bytes: [0x00, 0x00, 0x00, 0x0C, 0x6A, 0x50, 0x20, 0x20, 0x0D, 0x0A, 0x87, 0x0A] },
+    { mimeType: 'image/jp2', bytes: [0xFF, 0x4F, 0xFF, 0x51] }, // raw JPEG 2000 codestream
+    { mimeType: 'image/x-exr', bytes: [0x76, 0x2F, 0x31, 0x01] },
+    { mimeType: 'image/x-sun-raster', bytes: [0x59, 0xA6, 0x6A, 0x95] },
+    { mimeType: 'image/vnd.radiance', bytes: [0x23, 0x3F, 0x52, 0x41, 0x44, 0x49, 0x41, 0x4E, 0x43, 0x45] } // #?RADIANCE
+];
+
+/**
+ * Netpbm headers: "P1".."P6" followed by whitespace
+ */
+const PNM_TYPES = {
+    '1': 'image/x-portable-bitmap',
+    '4': 'image/x-portable-bitmap',
+    '2': 'image/x-portable-graymap',
+    '5': 'image/x-portable-graymap',
+    '3': 'image/x-portable-pixmap',
+    '6': 'image/x-portable-pixmap'
+};
+
+/**
+ * ISO base media brands (bytes 8-11 after "ftyp") of HEIF/AVIF images,
+ * which the API does not accept but are often renamed to .jpg
+ */
+const HEIF_BRANDS = {
+    heic: 'image/heic',
+    heix: 'image/heic',
+    hevc: 'image/heic',
+    mif1: 'image/heif',
+    msf1: 'image/heif',
+    avif: 'image/avif'
+};
+
+/**
+ * Types that share a signature and may be declared with each other's extension
+ */
+const COMPATIBLE_TYPES = [
+    ['image/jp2', 'image/jpm', 'image/mj2'],
+    ['image/x-portable-bitmap', 'image/x-portable-graymap', 'image/x-portable-pixmap']
+];
+
+/**
+ * Check if `buffer` holds `bytes` starting at `offset`
+ */
+function matchesAt(buffer, bytes, offset = 0) {
+    if (buffer.length < offset + bytes.length) {
+        return false;
+    }
+    return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Detect the MIME type of file content from its leading bytes.
+ * Returns null when the content matches no known signature.
+ */
+function sniffMimeType(buffer) {
+    if (!buffer || buffer.length === 0) {
+        return null;
+    }
+
+    const signature = SIGNATURES.find(candidate =>
+        matchesAt(buffer, candidate.bytes, candidate.offset) &&
+        (!candidate.suffix || matchesAt(buffer, candidate.suffix.bytes, candidate.suffix.offset))
+    );
+
+    if (signature) {
+        return signature.mimeType;
+    }
+
+    if (buffer.length >= 3 && buffer[0] === 0x50 && PNM_TYPES[String.fromCharCode(buffer[1])] && /\s/.test(String.fromCharCode(buffer[2]))) {
+        return PNM_TYPES[String.fromCharCode(buffer[1])];
+    }
+
+    if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+        const brand = HEIF_BRANDS[buffer.toString('latin1', 8, 12)];
+        if (brand) {
+            return brand;
+        }
+    }
+
+    // An error page saved under a document name
+    const text = buffer.toString('utf8', 0, 256).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (text.startsWith('<!doctype html') || text.startsWith('<html')) {
+        return 'text/html';
+    }
+
+    return null;
+}
+
+/**
+ * Check if sniffed content agrees with a declared MIME type
+ */
+function isCompatibleMimeType(declared, sniffed) {
+    if (declared === sniffed) {
+        return true;
+    }
+
+    return COMPATIBLE_TYPES.some(group => group.includes(declared) && group.includes(sniffed));
+}
+
+module.exports = { sniffMimeType, isCompatibleMimeType };
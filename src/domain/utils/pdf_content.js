@@ -0,0 +1,194 @@
+const { PdfRef, PdfParser, parsePdf, decodeStream, resolve } = require('./pdf_parser');
+
+/**
+ * Operators that put marks on the page besides showing text
+ */
+const PAINT_OPERATORS = new Set(['f', 'F', 'f*', 'S', 's', 'B', 'B*', 'b', 'b*', 'sh', 'BI']);
+
+/**
+ * Operators that move to a new line of text
+ */
+const LINE_OPERATORS = new Set(['BT', 'Td', 'TD', 'T*', 'Tm', "'", '"']);
+
+/**
+ * A scanned page whose image compresses below this fraction of its raw
+ * size is treated as blank: an empty sheet compresses to almost nothing,
+ * a sheet with text or artwork to several percent.
+ */
+const BLANK_IMAGE_RATIO = 0.01;
+
+/**
+ * Components per pixel of the common color spaces
+ */
+const COLOR_COMPONENTS = { DeviceGray: 1, CalGray: 1, DeviceRGB: 3, CalRGB: 3, Lab: 3, DeviceCMYK: 4 };
+
+/**
+ * Split decoded content into `{ operator, operands }` operations, operands
+ * parsed as PDF values. Stops at the first token that does not parse.
+ */
+function readOperations(data) {
+    const parser = new PdfParser(data);
+    const operations = [];
+    let operands = [];
+
+    try {
+        for (;;) {
+            parser.skipWhitespace();
+            const byte = data[parser.position];
+            if (byte === undefined) {
+                break;
+            }
+
+            const char = String.fromCharCode(byte);
+            if ('{})]>'.includes(char)) {
+                // Unbalanced delimiters and PostScript calculator braces
+                parser.position++;
+            } else if (/[\d+\-.(<[/]/.test(char)) {
+                operands.push(parser.parseValue());
+            } else {
+                const operator = parser.readToken();
+                if (operator === 'true' || operator === 'false' || operator === 'null') {
+                    operands.push(operator === 'null' ? null : operator === 'true');
+                    continue;
+                }
+
+                operations.push({ operator, operands });
+                operands = [];
+
+                if (operator === 'ID') {
+                    // Inline image data runs up to "EI"
+                    const end = data.indexOf('EI', parser.position);
+                    parser.position = end === -1 ? data.length : end + 2;
+                }
+            }
+        }
+    } catch (error) {
+        // Keep what was read before the damaged part
+    }
+
+    return operations;
+}
+
+/**
+ * Decode the bytes of a shown string: two-byte strings (Unicode fonts)
+ * as UTF-16BE, anything else as Latin-1. Best effort, since the real
+ * mapping depends on the font's encoding.
+ */
+function decodeText(bytes) {
+    const twoByte = bytes.length >= 2 && bytes.length % 2 === 0 &&
+        bytes.every((byte, index) => index % 2 === 1 || byte === 0);
+
+    const text = twoByte
+        ? Buffer.from(bytes).swap16().toString('utf16le')
+        : bytes.toString('latin1');
+
+    return text.replace(/[\u0000-\u001F\u007F]/g, ' ');
+}
+
+/**
+ * Check if an image XObject looks like a scan of an empty sheet
+ */
+function isBlankImage(objects, entry) {
+    const image = entry.value;
+    const width = resolve(objects, image.Width);
+    const height = resolve(objects, image.Height);
+    if (typeof width !== 'number' || typeof height !== 'number' || !entry.stream) {
+        return false;
+    }
+
+    const colorSpace = resolve(objects, image.ColorSpace);
+    const name = Array.isArray(colorSpace) ? colorSpace[0] : colorSpace;
+    const components = image.ImageMask ? 1 : (COLOR_COMPONENTS[name] || 3);
+    const bitsPerComponent = image.ImageMask ? 1 : (resolve(objects, image.BitsPerComponent) || 8);
+    const rawSize = width * height * components * bitsPerComponent / 8;
+
+    return rawSize > 0 && entry.stream.length / rawSize < BLANK_IMAGE_RATIO;
+}
+
+/**
+ * Walk a content stream (and the form XObjects it draws), collecting shown
+ * text and whether anything other than blank-looking images is painted
+ */
+function readContent(objects, streams, resources, state, visited) {
+    const xObjects = resolve(objects, (resolve(objects, resources) || {}).XObject) || {};
+
+    for (const ref of streams) {
+        if (!(ref instanceof PdfRef) || visited.has(ref.number)) {
+            continue;
+        }
+        visited.add(ref.number);
+
+        const data = decodeStream(objects.get(ref.number));
+        if (!data) {
+            // Undecodable content may well draw something
+            state.painted = true;
+            continue;
+        }
+
+        for (const { operator, operands } of readOperations(data)) {
+            if (LINE_OPERATORS.has(operator)) {
+                state.text.push('\n');
+            }
+
+            if (operator === 'Tj' || operator === "'" || operator === '"') {
+                const shown = operands[operands.length - 1];
+                if (Buffer.isBuffer(shown)) {
+                    state.text.push(decodeText(shown));
+                }
+            } else if (operator === 'TJ' && Array.isArray(operands[0])) {
+                for (const part of operands[0]) {
+                    if (Buffer.isBuffer(part)) {
+                        state.text.push(decodeText(part));
+                    } else if (typeof part === 'number' && part < -200) {
+                        // A wide negative adjustment separates words
+                        state.text.push(' ');
+                    }
+                }
+            } else if (operator === 'Do') {
+                const target = xObjects[operands[0]];
+                const entry = target instanceof PdfRef ? objects.get(target.number) : null;
+                const subtype = entry && entry.value ? entry.value.Subtype : null;
+
+                if (subtype === 'Form') {
+                    readContent(objects, [target], entry.value.Resources || resources, state, visited);
+                    visited.delete(target.number);
+                } else if (subtype !== 'Image' || !isBlankImage(objects, entry)) {
+                    state.painted = true;
+                }
+            } else if (PAINT_OPERATORS.has(operator)) {
+                state.painted = true;
+            }
+        }
+    }
+}
+
+/**
+ * Read the text of every page of a PDF (a Buffer or a parsePdf() result)
+ * and whether it is blank. Returns [{ number, text, blank }] in page order.
+ *
+ * Text extraction is best effort: it follows the shown strings, not the
+ * fonts' encodings, so it suits heuristics (page numbers, separator pages)
+ * rather than reading content.
+ */
+function readPdfPages(source) {
+    const { objects, pages } = Buffer.isBuffer(source) ? parsePdf(source) : source;
+
+    return pages.map((page, index) => {
+        const contents = page.dictionary.Contents;
+        const entry = contents instanceof PdfRef ? objects.get(contents.number) : null;
+        const streams = entry && entry.stream ? [contents] : [].concat(resolve(objects, contents) || []);
+        const state = { text: [], painted: false };
+
+        readContent(objects, streams, page.Resources, state, new Set());
+
+        const text = state.text.join('')
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+
+        return { number: index + 1, text, blank: !state.painted && text === '' };
+    });
+}
+
+module.exports = { readPdfPages };
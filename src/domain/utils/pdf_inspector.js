@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { PdfRef, parsePdf, decodeStream, resolve } = require('./pdf_parser');
+
+/**
+ * Password padding string of the PDF standard security handler
+ */
+const PASSWORD_PADDING = Buffer.from('28BF4E5E4E758A4164004E56FFFA01082E2E00B6D0683E802F0CA9FE6453697A', 'hex');
+
+const TEXT_OPERATOR = /(?:^|[^\w])T[jJ](?:$|[^\w])/;
+
+/**
+ * Width and height (in points) and rotation of a page
+ */
+function getPageDimensions(objects, page, index) {
+    const box = resolve(objects, page.CropBox !== undefined ? page.CropBox : page.MediaBox);
+    const corners = Array.isArray(box) ? box.map(value => resolve(objects, value)) : [];
+    const rotate = resolve(objects, page.Rotate);
+    const valid = corners.length === 4 && corners.every(value => typeof value === 'number');
+
+    return {
+        number: index + 1,
+        width: valid ? Math.abs(corners[2] - corners[0]) : null,
+        height: valid ? Math.abs(corners[3] - corners[1]) : null,
+        rotation: typeof rotate === 'number' ? ((rotate % 360) + 360) % 360 : 0
+    };
+}
+
+/**
+ * Check a page's content streams, and the form XObjects they draw, for
+ * text-showing operators. Returns true, false, or null when some content
+ * could not be decoded.
+ */
+function pageHasText(objects, contents, resources, visited) {
+    let undecodable = false;
+    // Contents is a stream reference or (a reference to) an array of them
+    const entry = contents instanceof PdfRef ? objects.get(contents.number) : null;
+    const streams = entry && entry.stream ? [contents] : [].concat(resolve(objects, contents) || []);
+
+    for (const ref of streams) {
+        if (!(ref instanceof PdfRef) || visited.has(ref.number)) {
+            continue;
+        }
+        visited.add(ref.number);
+
+        const data = decodeStream(objects.get(ref.number));
+        if (!data) {
+            undecodable = true;
+        } else if (TEXT_OPERATOR.test(data.toString('latin1'))) {
+            return true;
+        }
+    }
+
+    const xObjects = resolve(objects, (resolve(objects, resources) || {}).XObject) || {};
+    for (const ref of Object.values(xObjects)) {
+        const form = ref instanceof PdfRef ? objects.get(ref.number) : null;
+        if (form && form.value && form.value.Subtype === 'Form' && !visited.has(ref.number)) {
+            const found = pageHasText(objects, ref, form.value.Resources, visited);
+            if (found) {
+                return true;
+            }
+            undecodable = undecodable || found === null;
+        }
+    }
+
+    return undecodable ? null : false;
+}
+
+/**
+ * RC4 stream cipher (not available in every OpenSSL build)
+ */
+function rc4(key, data) {
+    const state = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + state[i] + key[i % key.length]) & 0xFF;
+        [state[i], state[j]] = [state[j], state[i]];
+    }
+
+    const output = Buffer.alloc(data.length);
+    for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+        i = (i + 1) & 0xFF;
+        j = (j + state[i]) & 0xFF;
+        [state[i], state[j]] = [state[j], state[i]];
+        output[n] = data[n] ^ state[(state[i] + state[j]) & 0xFF];
+    }
+    return output;
+}
+
+/**
+ * Hardened password hash of revision 6 (ISO 32000-2, algorithm 2.B)
+ */
+function hashRevision6(password, salt) {
+    let key = crypto.createHash('sha256').update(Buffer.concat([password, salt])).digest();
+    let encrypted = null;
+
+    for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+        const block = Buffer.concat([password, key]);
+        const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+        cipher.setAutoPadding(false);
+        encrypted = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(block))), cipher.final()]);
+
+        const remainder = encrypted.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+        key = crypto.createHash(['sha256', 'sha384', 'sha512'][remainder]).update(encrypted).digest();
+    }
+
+    return key.subarray(0, 32);
+}
+
+/**
+ * Check if the standard security handler accepts an empty user password,
+ * i.e. the file opens without one. Null for other security handlers.
+ */
+function opensWithoutPassword(encrypt, fileId) {
+    const revision = encrypt.R;
+    const userKey = Buffer.isBuffer(encrypt.U) ? encrypt.U : null;
+    const password = Buffer.alloc(0);
+
+    if (encrypt.Filter !== 'Standard' || !userKey) {
+        return null;
+    }
+
+    if (revision === 5 || revision === 6) {
+        const salt = userKey.subarray(32, 40);
+        const hash = revision === 5
+            ? crypto.createHash('sha256').update(Buffer.concat([password, salt])).digest()
+            : hashRevision6(password, salt);
+        return hash.equals(userKey.subarray(0, 32));
+    }
+
+    if (![2, 3, 4].includes(revision) || !Buffer.isBuffer(encrypt.O) || typeof encrypt.P !== 'number') {
+        return null;
+    }
+
+    const keyLength = revision === 2 ? 5 : (encrypt.Length || 40) / 8;
+    const permissions = Buffer.alloc(4);
+    permissions.writeInt32LE(encrypt.P | 0);
+
+    let key = crypto.createHash('md5').update(Buffer.concat([
+        PASSWORD_PADDING,
+        encrypt.O.subarray(0, 32),
+        permissions,
+        fileId,
+        revision >= 4 && encrypt.EncryptMetadata === false ? Buffer.from([0xFF, 0xFF, 0xFF, 0xFF]) : Buffer.alloc(0)
+    ])).digest();
+
+    if (revision >= 3) {
+        for (let i = 0; i < 50; i++) {
+            key = crypto.createHash('md5').update(key.subarray(0, keyLength)).digest();
+        }
+    }
+    key = key.subarray(0, keyLength);
+
+    if (revision === 2) {
+        return rc4(key, PASSWORD_PADDING).equals(userKey.subarray(0, 32));
+    }
+
+    let check = rc4(key, crypto.createHash('md5').update(Buffer.concat([PASSWORD_PADDING, fileId])).digest());
+    for (let i = 1; i <= 19; i++) {
+        check = rc4(key.map(byte => byte ^ i), check);
+    }
+    return check.equals(userKey.subarray(0, 16));
+}
+
+/**
+ * Parse a PDF locally and report its version, page count, encryption,
+ * whether it has a text layer, and page dimensions (in points).
+ *
+ * Best effort: values that cannot be determined (damaged files, content
+ * hidden by encryption, unsupported stream filters) are null.
+ */
+function inspectPdf(buffer) {
+    const { version, objects, trailer, catalog, pages } = parsePdf(buffer);
+
+    const encrypted = trailer.Encrypt !== undefined;
+    let requiresPassword = false;
+    if (encrypted) {
+        const encrypt = resolve(objects, trailer.Encrypt);
+        const fileId = Array.isArray(trailer.ID) && Buffer.isBuffer(trailer.ID[0]) ? trailer.ID[0] : Buffer.alloc(0);
+        const opens = encrypt ? opensWithoutPassword(encrypt, fileId) : null;
+        requiresPassword = opens === null ? null : !opens;
+    }
+
+    let pageCount = pages.length;
+    if (pageCount === 0) {
+        const count = resolve(objects, (resolve(objects, catalog.Pages) || {}).Count);
+        pageCount = typeof count === 'number' ? count : null;
+    }
+
+    // Encrypted content streams cannot be read without decrypting them
+    let hasTextLayer = null;
+    if (!encrypted && pages.length > 0) {
+        const visited = new Set();
+        let undecodable = false;
+        hasTextLayer = false;
+
+        for (const page of pages) {
+            const found = pageHasText(objects, page.dictionary.Contents, page.Resources, visited);
+            if (found) {
+                hasTextLayer = true;
+                break;
+            }
+            undecodable = undecodable || found === null;
+        }
+
+        if (!hasTextLayer && undecodable) {
+            hasTextLayer = null;
+        }
+    }
+
+    return {
+        version,
+        pageCount,
+        encrypted,
+        requiresPassword,
+        hasTextLayer,
+        pages: pages.map((page, index) => getPageDimensions(objects, page, index))
+    };
+}
+
+module.exports = { inspectPdf };
@@ -0,0 +1,391 @@
+const zlib = require('zlib');
+const { FileTooLargeError } = require('../errors/document_ai_errors');
+
+// PDFs are parsed from one in-memory string; larger files are refused
+// rather than decoded (the split option exempts files from the 50MB upload limit)
+const MAX_PARSE_SIZE = 200 * 1024 * 1024;
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+
+/**
+ * Indirect reference (`12 0 R`)
+ */
+class PdfRef {
+    constructor(number, generation) {
+        this.number = number;
+        this.generation = generation;
+    }
+}
+
+/**
+ * Minimal PDF object parser: dictionaries become plain objects (keys and
+ * name values without the leading slash), strings become Buffers.
+ */
+class PdfParser {
+    constructor(buffer, position = 0) {
+        this.buffer = buffer;
+        this.position = position;
+    }
+
+    skipWhitespace() {
+        while (this.position < this.buffer.length) {
+            const byte = this.buffer[this.position];
+            if (WHITESPACE.has(byte)) {
+                this.position++;
+            } else if (byte === 0x25) { // % comment
+                while (this.position < this.buffer.length && this.buffer[this.position] !== 0x0A && this.buffer[this.position] !== 0x0D) {
+                    this.position++;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    readToken() {
+        const start = this.position;
+        while (this.position < this.buffer.length &&
+            !WHITESPACE.has(this.buffer[this.position]) && !DELIMITERS.has(this.buffer[this.position])) {
+            this.position++;
+        }
+        return this.buffer.toString('latin1', start, this.position);
+    }
+
+    parseValue(depth = 0) {
+        if (depth > 100) {
+            throw new Error('PDF object nesting too deep');
+        }
+
+        this.skipWhitespace();
+        const byte = this.buffer[this.position];
+
+        if (byte === undefined) {
+            throw new Error('Unexpected end of PDF data');
+        }
+
+        if (byte === 0x3C && this.buffer[this.position + 1] === 0x3C) { // <<
+            this.position += 2;
+            const dictionary = {};
+            for (;;) {
+                this.skipWhitespace();
+                if (this.buffer[this.position] === 0x3E && this.buffer[this.position + 1] === 0x3E) {
+                    this.position += 2;
+                    return dictionary;
+                }
+                const key = this.parseValue(depth + 1);
+                if (typeof key !== 'string') {
+                    throw new Error('Invalid PDF dictionary key');
+                }
+                dictionary[key] = this.parseValue(depth + 1);
+            }
+        }
+
+        if (byte === 0x3C) {
+            return this.parseHexString();
+        }
+
+        if (byte === 0x28) {
+            return this.parseLiteralString();
+        }
+
+        if (byte === 0x5B) { // [
+            this.position++;
+            const array = [];
+            for (;;) {
+                this.skipWhitespace();
+                if (this.buffer[this.position] === 0x5D) {
+                    this.position++;
+                    return array;
+                }
+                array.push(this.parseValue(depth + 1));
+            }
+        }
+
+        if (byte === 0x2F) { // /Name
+            this.position++;
+            return this.readToken().replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        }
+
+        const token = this.readToken();
+        if (token === '') {
+            throw new Error(`Unexpected character in PDF data at offset ${this.position}`);
+        }
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+            const number = Number(token);
+            // "12 0 R" is an indirect reference
+            const match = /^\s+(\d+)\s+R(?=[\s/<>[\]()%]|$)/.exec(this.buffer.toString('latin1', this.position, this.position + 24));
+            if (match && Number.isInteger(number)) {
+                this.position += match[0].length;
+                return new PdfRef(number, Number(match[1]));
+            }
+            return number;
+        }
+
+        if (token === 'true' || token === 'false') {
+            return token === 'true';
+        }
+
+        if (token === 'null') {
+            return null;
+        }
+
+        throw new Error(`Unexpected PDF keyword: ${token}`);
+    }
+
+    parseHexString() {
+        const end = this.buffer.indexOf(0x3E, this.position);
+        if (end === -1) {
+            throw new Error('Unterminated PDF hex string');
+        }
+
+        let hex = this.buffer.toString('latin1', this.position + 1, end).replace(/[^0-9a-f]/gi, '');
+        if (hex.length % 2 === 1) {
+            hex += '0';
+        }
+        this.position = end + 1;
+        return Buffer.from(hex, 'hex');
+    }
+
+    parseLiteralString() {
+        const bytes = [];
+        let nesting = 1;
+        this.position++;
+
+        while (this.position < this.buffer.length) {
+            const byte = this.buffer[this.position++];
+
+            if (byte === 0x5C) { // backslash escape
+                const next = this.buffer[this.position++];
+                const escapes = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C };
+                if (escapes[next] !== undefined) {
+                    bytes.push(escapes[next]);
+                } else if (next >= 0x30 && next <= 0x37) {
+                    let octal = next - 0x30;
+                    for (let i = 0; i < 2 && this.buffer[this.position] >= 0x30 && this.buffer[this.position] <= 0x37; i++) {
+                        octal = octal * 8 + this.buffer[this.position++] - 0x30;
+                    }
+                    bytes.push(octal & 0xFF);
+                } else if (next === 0x0D) { // line continuation
+                    if (this.buffer[this.position] === 0x0A) {
+                        this.position++;
+                    }
+                } else if (next !== 0x0A) {
+                    bytes.push(next);
+                }
+            } else if (byte === 0x28) {
+                nesting++;
+                bytes.push(byte);
+            } else if (byte === 0x29) {
+                if (--nesting === 0) {
+                    return Buffer.from(bytes);
+                }
+                bytes.push(byte);
+            } else {
+                bytes.push(byte);
+            }
+        }
+
+        throw new Error('Unterminated PDF string');
+    }
+}
+
+/**
+ * Index every `N G obj` in the file (later revisions replace earlier ones),
+ * including objects packed into FlateDecode object streams
+ */
+function readObjects(buffer, text) {
+    const objects = new Map();
+    const trailers = [];
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const parser = new PdfParser(buffer, match.index + match[0].length);
+        let value;
+        try {
+            value = parser.parseValue();
+        } catch (error) {
+            continue;
+        }
+
+        const entry = { value, stream: null };
+        parser.skipWhitespace();
+
+        if (text.startsWith('stream', parser.position)) {
+            let start = parser.position + 'stream'.length;
+            start += text[start] === '\r' && text[start + 1] === '\n' ? 2 : (text[start] === '\n' || text[start] === '\r' ? 1 : 0);
+
+            const declared = value && typeof value.Length === 'number' ? start + value.Length : -1;
+            let end = declared >= start && /^\s*endstream/.test(text.slice(declared, declared + 32)) ? declared : -1;
+            if (end === -1) {
+                end = text.indexOf('endstream', start);
+                if (end === -1) {
+                    end = text.length;
+                }
+                // Drop the end-of-line marker before "endstream"
+                while (end > start && (text[end - 1] === '\n' || text[end - 1] === '\r')) {
+                    end--;
+                }
+            }
+
+            entry.stream = buffer.subarray(start, end);
+            pattern.lastIndex = end;
+        } else {
+            pattern.lastIndex = parser.position;
+        }
+
+        objects.set(Number(match[1]), entry);
+
+        if (value && value.Type === 'XRef') {
+            trailers.push({ position: match.index, dictionary: value });
+        }
+
+        if (value && value.Type === 'ObjStm') {
+            readObjectStream(entry, objects);
+        }
+    }
+
+    // Classic "trailer << ... >>" dictionaries
+    const trailerPattern = /trailer\s*<</g;
+    while ((match = trailerPattern.exec(text)) !== null) {
+        try {
+            const dictionary = new PdfParser(buffer, match.index + 'trailer'.length).parseValue();
+            trailers.push({ position: match.index, dictionary });
+        } catch (error) {
+            // Damaged trailer; later revisions may still be usable
+        }
+    }
+
+    const trailer = trailers
+        .sort((a, b) => a.position - b.position)
+        .reduce((merged, { dictionary }) => ({ ...merged, ...dictionary }), {});
+
+    return { objects, trailer };
+}
+
+/**
+ * Add the objects packed in an object stream (`/Type /ObjStm`)
+ */
+function readObjectStream(entry, objects) {
+    const data = decodeStream(entry);
+    if (!data || typeof entry.value.First !== 'number') {
+        return;
+    }
+
+    const header = new PdfParser(data);
+    const offsets = [];
+    try {
+        for (let i = 0; i < entry.value.N; i++) {
+            offsets.push([header.parseValue(), header.parseValue()]);
+        }
+    } catch (error) {
+        return;
+    }
+
+    for (const [number, offset] of offsets) {
+        try {
+            const value = new PdfParser(data, entry.value.First + offset).parseValue();
+            objects.set(number, { value, stream: null });
+        } catch (error) {
+            // Skip objects that do not parse
+        }
+    }
+}
+
+/**
+ * Decode a stream's data; null for filters other than FlateDecode
+ */
+function decodeStream(entry) {
+    if (!entry || !entry.stream) {
+        return null;
+    }
+
+    const filters = [].concat(entry.value.Filter || []);
+    if (filters.length === 0) {
+        return entry.stream;
+    }
+
+    if (filters.length > 1 || filters[0] !== 'FlateDecode') {
+        return null;
+    }
+
+    try {
+        return zlib.inflateSync(entry.stream);
+    } catch (error) {
+        // Tolerate streams with a truncated or missing checksum
+        try {
+            return zlib.inflateSync(entry.stream, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (inner) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Follow indirect references to a direct value
+ */
+function resolve(objects, value) {
+    for (let i = 0; value instanceof PdfRef && i < 32; i++) {
+        const entry = objects.get(value.number);
+        value = entry ? entry.value : undefined;
+    }
+    return value instanceof PdfRef ? undefined : value;
+}
+
+/**
+ * Collect leaf pages of the page tree in order, with inherited attributes
+ */
+function collectPages(objects, node, inherited, visited, pages) {
+    const dictionary = resolve(objects, node);
+    if (!dictionary || typeof dictionary !== 'object' || visited.has(dictionary)) {
+        return;
+    }
+    visited.add(dictionary);
+
+    const attributes = {
+        MediaBox: dictionary.MediaBox !== undefined ? dictionary.MediaBox : inherited.MediaBox,
+        CropBox: dictionary.CropBox !== undefined ? dictionary.CropBox : inherited.CropBox,
+        Rotate: dictionary.Rotate !== undefined ? dictionary.Rotate : inherited.Rotate,
+        Resources: dictionary.Resources !== undefined ? dictionary.Resources : inherited.Resources
+    };
+    const kids = resolve(objects, dictionary.Kids);
+
+    if (dictionary.Type !== 'Page' && Array.isArray(kids)) {
+        kids.forEach(kid => collectPages(objects, kid, attributes, visited, pages));
+    } else {
+        pages.push({ ref: node instanceof PdfRef ? node : null, dictionary, ...attributes });
+    }
+}
+
+/**
+ * Parse a PDF into its objects (by object number), merged trailer,
+ * catalog, version and leaf pages in reading order. PDFs over
+ * MAX_PARSE_SIZE bytes raise a FileTooLargeError.
+ */
+function parsePdf(buffer) {
+    if (buffer.length > MAX_PARSE_SIZE) {
+        throw new FileTooLargeError(
+            `PDF is ${buffer.length} bytes, over the maximum of ${MAX_PARSE_SIZE} bytes that can be parsed locally`
+        );
+    }
+
+    const text = buffer.toString('latin1');
+    const header = /%PDF-(\d+\.\d+)/.exec(text.slice(0, 1024));
+    const { objects, trailer } = readObjects(buffer, text);
+
+    const catalog = resolve(objects, trailer.Root) || {};
+    let version = header ? header[1] : null;
+    // The catalog may raise the version in an incremental update
+    if (typeof catalog.Version === 'string' && (!version || parseFloat(catalog.Version) > parseFloat(version))) {
+        version = catalog.Version;
+    }
+
+    const pages = [];
+    collectPages(objects, catalog.Pages, {}, new Set(), pages);
+
+    return { version, objects, trailer, catalog, pages };
+}
+
+module.exports = { PdfRef, PdfParser, parsePdf, decodeStream, resolve, MAX_PARSE_SIZE };
+
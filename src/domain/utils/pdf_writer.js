@@ -0,0 +1,182 @@
+const { PdfRef, parsePdf } = require('./pdf_parser');
+
+/**
+ * Page attributes a page may inherit from its ancestors in the page tree
+ */
+const INHERITED_ATTRIBUTES = ['MediaBox', 'CropBox', 'Rotate', 'Resources'];
+
+/**
+ * Serialize a name, escaping delimiters and bytes outside printable ASCII
+ */
+function serializeName(name) {
+    return '/' + name.replace(/[^!-~]|[()<>[\]{}/%#]/g, char => `#${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+/**
+ * Serialize a number without exponent notation
+ */
+function serializeNumber(number) {
+    return Number.isInteger(number) ? String(number) : number.toFixed(6).replace(/\.?0+$/, '');
+}
+
+/**
+ * Serialize a value produced by PdfParser
+ */
+function serializeValue(value) {
+    if (value instanceof PdfRef) {
+        return `${value.number} ${value.generation} R`;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `<${value.toString('hex')}>`;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(serializeValue).join(' ')}]`;
+    }
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'boolean') {
+        return String(value);
+    }
+    if (typeof value === 'number') {
+        return serializeNumber(value);
+    }
+    if (typeof value === 'string') {
+        return serializeName(value);
+    }
+
+    const entries = Object.entries(value).map(([key, entry]) => `${serializeName(key)} ${serializeValue(entry)}`);
+    return `<<${entries.join(' ')}>>`;
+}
+
+/**
+ * Build a new PDF holding only `pageNumbers` (1-based, in that order) of
+ * `source`, a PDF Buffer or the result of parsePdf() when several subsets
+ * are cut from one file. Objects the selected pages use (content, fonts,
+ * images) are copied and renumbered; references to other pages become null.
+ */
+function extractPdfPages(source, pageNumbers) {
+    const { version, objects, trailer, pages } = Buffer.isBuffer(source) ? parsePdf(source) : source;
+
+    if (trailer.Encrypt !== undefined) {
+        throw new Error('Pages cannot be selected from an encrypted PDF');
+    }
+
+    const selected = pageNumbers.map(number => {
+        const page = pages[number - 1];
+        if (!page || !page.ref) {
+            throw new Error(`PDF has no page ${number}`);
+        }
+        return page;
+    });
+    const selectedPages = new Map(selected.map(page => [page.ref.number, page]));
+
+    // Objects 1 and 2 are the new catalog and page tree root
+    const renumbered = new Map();
+    const queue = [];
+    let nextNumber = 3;
+
+    const renumber = ref => {
+        const entry = objects.get(ref.number);
+        const value = entry ? entry.value : undefined;
+
+        if (!entry || (value && (value.Type === 'Pages' || (value.Type === 'Page' && !selectedPages.has(ref.number))))) {
+            return null;
+        }
+
+        if (!renumbered.has(ref.number)) {
+            renumbered.set(ref.number, nextNumber++);
+            queue.push(ref.number);
+        }
+        return new PdfRef(renumbered.get(ref.number), 0);
+    };
+
+    const copy = value => {
+        if (value instanceof PdfRef) {
+            return renumber(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(copy);
+        }
+        if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, copy(entry)]));
+        }
+        return value;
+    };
+
+    const kids = selected.map(page => renumber(page.ref));
+    const output = [];
+
+    for (let i = 0; i < queue.length; i++) {
+        const number = queue[i];
+        const entry = objects.get(number);
+        let value = entry.value;
+
+        const page = selectedPages.get(number);
+        if (page) {
+            // Attributes inherited from the old page tree move onto the page
+            value = { ...value };
+            for (const attribute of INHERITED_ATTRIBUTES) {
+                if (page[attribute] !== undefined) {
+                    value[attribute] = page[attribute];
+                }
+            }
+            delete value.Parent;
+        }
+
+        value = copy(value);
+        if (page) {
+            value.Parent = new PdfRef(2, 0);
+        }
+        if (entry.stream) {
+            value.Length = entry.stream.length;
+        }
+
+        output.push({ number: renumbered.get(number), value, stream: entry.stream });
+    }
+
+    output.push(
+        { number: 1, value: { Type: 'Catalog', Pages: new PdfRef(2, 0) } },
+        { number: 2, value: { Type: 'Pages', Kids: kids, Count: kids.length } }
+    );
+    output.sort((a, b) => a.number - b.number);
+
+    return writePdf(version || '1.4', output);
+}
+
+/**
+ * Write numbered objects ({ number, value, stream }) as a complete PDF
+ * with a cross-reference table; object 1 is the catalog
+ */
+function writePdf(version, objects) {
+    const parts = [Buffer.from(`%PDF-${version}\n%\xE2\xE3\xCF\xD3\n`, 'latin1')];
+    const offsets = [];
+    let length = parts[0].length;
+
+    const push = part => {
+        parts.push(part);
+        length += part.length;
+    };
+
+    for (const object of objects) {
+        offsets[object.number] = length;
+        push(Buffer.from(`${object.number} 0 obj\n${serializeValue(object.value)}\n`, 'latin1'));
+        if (object.stream) {
+            push(Buffer.from('stream\n'));
+            push(object.stream);
+            push(Buffer.from('\nendstream\n'));
+        }
+        push(Buffer.from('endobj\n'));
+    }
+
+    const size = objects.length + 1;
+    const xref = ['xref', `0 ${size}`, '0000000000 65535 f '];
+    for (let number = 1; number < size; number++) {
+        xref.push(`${String(offsets[number]).padStart(10, '0')} 00000 n `);
+    }
+
+    push(Buffer.from(`${xref.join('\n')}\ntrailer\n<< /Size ${size} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+    return Buffer.concat(parts);
+}
+
+module.exports = { extractPdfPages };
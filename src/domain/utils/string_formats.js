@@ -0,0 +1,68 @@
+/**
+ * IBAN lengths by country code
+ */
+const IBAN_LENGTHS = {
+    AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29,
+    BY: 28, CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29,
+    ES: 24, FI: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28,
+    HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20,
+    LB: 28, LC: 32, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19,
+    MR: 27, MT: 31, MU: 30, NL: 18, NO: 15, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29,
+    RO: 24, RS: 22, SA: 24, SC: 31, SE: 24, SI: 19, SK: 24, SM: 27, ST: 25, SV: 28,
+    TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20
+};
+
+/**
+ * Check an IBAN's length for its country and its mod-97 check digits;
+ * spaces are ignored
+ */
+function isValidIban(value) {
+    const iban = value.replace(/\s+/g, '').toUpperCase();
+
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban) || IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) {
+        return false;
+    }
+
+    // Move the first four characters to the end and read letters as 10-35
+    const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+    let remainder = 0;
+    for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+/**
+ * Check a phone number: an optional leading +, 6 to 15 digits, and
+ * spaces, dots, dashes or parentheses between them
+ */
+function isValidPhone(value) {
+    const digits = value.replace(/\D/g, '');
+    return /^\+?[\d\s().-]+$/.test(value.trim()) && digits.length >= 6 && digits.length <= 15;
+}
+
+/**
+ * Check a postal code: 3 to 10 letters and digits, with at least one
+ * digit, optionally split by a space or dash ("1012 AB", "SW1A 1AA", "94105-1234")
+ */
+function isValidPostalCode(value) {
+    const text = value.trim();
+    const length = text.replace(/[ -]/g, '').length;
+
+    return /^[A-Z0-9]+(?:[ -][A-Z0-9]+)?$/i.test(text) && /\d/.test(text) && length >= 3 && length <= 10;
+}
+
+/**
+ * String formats of the `format` validation rule. email and uri are
+ * checked by Zod; the others here.
+ */
+const STRING_FORMATS = {
+    email: null,
+    uri: null,
+    iban: { check: isValidIban, message: 'Invalid IBAN' },
+    phone: { check: isValidPhone, message: 'Invalid phone number' },
+    'postal-code': { check: isValidPostalCode, message: 'Invalid postal code' }
+};
+
+module.exports = { STRING_FORMATS, isValidIban, isValidPhone, isValidPostalCode };
@@ -0,0 +1,203 @@
+const MONTH_NAMES = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const DATE_TOKENS = /YYYY|YY|MMMM|MMM|MM|M|DD|D/g;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on', 'checked', 'selected', 'x', '[x]', '☑', '☒', '✓', '✔', '✅'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', 'unchecked', 'unselected', '[ ]', '[]', '☐'];
+
+const compiledFormats = new Map();
+
+/**
+ * Read "1,234.50", "$ 1 234.50", "EUR 12.00", "(300.00)" or "-7" as a
+ * number. With `decimalSeparator: ','`, "1.234,50" reads as 1234.5.
+ * Anything else (including "1,23") is returned unchanged, for schema
+ * validation to report.
+ */
+function coerceNumber(value, options = {}) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const decimal = options.decimalSeparator === ',' ? ',' : '.';
+    const group = decimal === ',' ? "[.\\s\\u00a0\\u202f']" : "[,\\s\\u00a0\\u202f']";
+    let text = value.trim().replace(/−/g, '-');
+    let negative = false;
+
+    // Accounting style: (1,234.50) is negative
+    const parenthesized = /^\((.*)\)$/.exec(text);
+    if (parenthesized) {
+        negative = true;
+        text = parenthesized[1];
+    }
+
+    // Currency symbols anywhere, ISO codes before or after the amount
+    text = text.replace(/\p{Sc}/gu, '').trim().replace(/^[A-Z]{3}\s*|\s*[A-Z]{3}$/g, '').trim();
+
+    const sign = /^[-+]\s*/.exec(text);
+    if (sign) {
+        negative = sign[0].trim() === '-' ? !negative : negative;
+        text = text.slice(sign[0].length);
+    }
+
+    const pattern = new RegExp(`^(\\d{1,3}(?:${group}\\d{3})+|\\d+)(?:\\${decimal}(\\d+))?$`);
+    const match = pattern.exec(text);
+    if (!match) {
+        return value;
+    }
+
+    const number = Number(`${match[1].replace(/\D/g, '')}.${match[2] || '0'}`);
+    return negative ? -number : number;
+}
+
+/**
+ * Read yes/no, true/false, on/off and checkbox marks ("☑", "[x]", "☐") as
+ * booleans; other values are returned unchanged
+ */
+function coerceBoolean(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const text = value.trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) {
+        return true;
+    }
+    if (FALSE_VALUES.includes(text)) {
+        return false;
+    }
+    return value;
+}
+
+/**
+ * Check that a date format has a year, a month and a day token
+ */
+function isValidDateFormat(format) {
+    if (typeof format !== 'string') {
+        return false;
+    }
+
+    const tokens = format.match(DATE_TOKENS) || [];
+    return tokens.some(token => token.startsWith('Y')) &&
+        tokens.some(token => token.startsWith('M')) &&
+        tokens.some(token => token.startsWith('D'));
+}
+
+/**
+ * Compile a format such as "DD/MM/YYYY" or "D MMMM YYYY" into a regex and
+ * the order of its tokens
+ */
+function compileDateFormat(format) {
+    if (!compiledFormats.has(format)) {
+        const tokens = [];
+        let source = '';
+        let index = 0;
+
+        for (const match of format.matchAll(DATE_TOKENS)) {
+            source += escapeLiteral(format.slice(index, match.index));
+            source += {
+                YYYY: '(\\d{4})',
+                YY: '(\\d{2})',
+                MMMM: '([a-z]+)',
+                MMM: '([a-z]{3,4})\\.?',
+                MM: '(\\d{2})',
+                M: '(\\d{1,2})',
+                DD: '(\\d{2})',
+                D: '(\\d{1,2})'
+            }[match[0]];
+            tokens.push(match[0]);
+            index = match.index + match[0].length;
+        }
+        source += escapeLiteral(format.slice(index));
+
+        compiledFormats.set(format, { pattern: new RegExp(`^${source}$`, 'i'), tokens });
+    }
+
+    return compiledFormats.get(format);
+}
+
+/**
+ * Escape the literal parts of a date format (whitespace matches any run)
+ */
+function escapeLiteral(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+}
+
+/**
+ * Read a month name ("Mar", "Sept", "March") as 1-12
+ */
+function readMonthName(name, full) {
+    const lower = name.toLowerCase();
+    const index = MONTH_NAMES.findIndex(month => full ? month === lower : month.startsWith(lower) && lower.length >= 3);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Build a UTC date, or null when the day does not exist (31/02/2024)
+ */
+function makeDate(year, month, day) {
+    if (!month || month < 1 || month > 12 || day < 1) {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCFullYear(year);
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Read an ISO date or date-time, or a date in one of `formats`, as a Date
+ * (midnight UTC for dates without a time). Two-digit years below 50 are
+ * read as 20xx, others as 19xx. Other values are returned unchanged.
+ */
+function coerceDate(value, formats = []) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const text = value.trim();
+
+    const isoDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (isoDate) {
+        return makeDate(Number(isoDate[1]), Number(isoDate[2]), Number(isoDate[3])) || value;
+    }
+
+    const isoDateTime = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?$/i.exec(text);
+    if (isoDateTime) {
+        // Times without an offset are read as UTC
+        const date = new Date(`${isoDateTime[1]}T${isoDateTime[2]}${isoDateTime[3] || 'Z'}`);
+        return isNaN(date.getTime()) ? value : date;
+    }
+
+    for (const format of formats) {
+        const { pattern, tokens } = compileDateFormat(format);
+        const match = pattern.exec(text);
+        if (!match) {
+            continue;
+        }
+
+        const parts = {};
+        tokens.forEach((token, i) => {
+            parts[token] = match[i + 1];
+        });
+
+        const year = parts.YYYY !== undefined
+            ? Number(parts.YYYY)
+            : Number(parts.YY) + (Number(parts.YY) < 50 ? 2000 : 1900);
+        const month = parts.MMMM !== undefined ? readMonthName(parts.MMMM, true)
+            : parts.MMM !== undefined ? readMonthName(parts.MMM, false)
+                : Number(parts.MM || parts.M);
+        const day = Number(parts.DD || parts.D);
+
+        const date = makeDate(year, month, day);
+        if (date) {
+            return date;
+        }
+    }
+
+    return value;
+}
+
+module.exports = { coerceNumber, coerceBoolean, coerceDate, isValidDateFormat };
@@ -0,0 +1,150 @@
+const { DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+
+const BOUNDARY_HEURISTICS = ['page-number-reset', 'blank-page'];
+
+/**
+ * "Page 2", "Page 2 of 5", "page 2/5"
+ */
+const PAGE_LABEL = /\bpage\s+(\d{1,4})(?:\s*(?:of|\/)\s*(\d{1,4}))?\b/i;
+
+/**
+ * A line holding only "2 of 5" or "2/5"
+ */
+const PAGE_COUNTER = /^\W*(\d{1,3})\s*(?:of|\/)\s*(\d{1,3})\W*$/im;
+
+/**
+ * How a PDF holding several documents back to back is cut into logical
+ * documents: one or more page heuristics, or a predicate over per-page
+ * extractions.
+ *
+ * - 'page-number-reset': a page numbered 1, or numbered lower than the
+ *   page before, or following the last page of "Page n of n", starts a
+ *   new document
+ * - 'blank-page': blank pages separate documents and are dropped
+ * - `(page, previousPage) => boolean`: called for every page after the
+ *   first with `{ number, text, blank, data, result }`, where `data` is
+ *   what was extracted from that page alone; true starts a new document
+ */
+class DocumentBoundary {
+    constructor(spec = 'page-number-reset') {
+        this.spec = spec;
+        this.predicate = typeof spec === 'function' ? spec : null;
+        this.heuristics = this.predicate ? [] : [].concat(spec);
+
+        this.validate();
+    }
+
+    /**
+     * Resolve a boundary from a DocumentBoundary instance, a heuristic
+     * name, an array of them or a predicate (default: 'page-number-reset')
+     */
+    static from(value) {
+        if (value instanceof DocumentBoundary) {
+            return value;
+        }
+        return new DocumentBoundary(value === null ? undefined : value);
+    }
+
+    /**
+     * Validate the boundary specification
+     */
+    validate() {
+        if (this.predicate) {
+            return;
+        }
+
+        const unknown = this.heuristics.filter(heuristic => !BOUNDARY_HEURISTICS.includes(heuristic));
+        if (this.heuristics.length === 0 || unknown.length > 0) {
+            throw new DocumentProcessingError(
+                `boundary must be a function or one or more of: ${BOUNDARY_HEURISTICS.join(', ')}`,
+                { code: ErrorCodes.VALIDATION_FAILED }
+            );
+        }
+    }
+
+    /**
+     * Check if every page has to be extracted before boundaries are known
+     */
+    usesExtractions() {
+        return this.predicate !== null;
+    }
+
+    /**
+     * Read the printed page number of a page, `{ number, total }` (total
+     * null when not printed), or null when there is none
+     */
+    static readPageNumber(text) {
+        const match = PAGE_LABEL.exec(text) || PAGE_COUNTER.exec(text);
+        if (!match) {
+            return null;
+        }
+
+        const number = parseInt(match[1], 10);
+        const total = match[2] !== undefined ? parseInt(match[2], 10) : null;
+
+        // "12/31" and the like are not page counters
+        if (number === 0 || (total !== null && total < number)) {
+            return null;
+        }
+
+        return { number, total };
+    }
+
+    /**
+     * Group pages (`{ number, text, blank }`, plus `data` and `result` for
+     * predicates) into logical documents. Returns arrays of page numbers.
+     */
+    async group(pages) {
+        const groups = [];
+        let current = null;
+        let previous = null;
+        let previousNumber = null;
+
+        for (const page of pages) {
+            if (this.heuristics.includes('blank-page') && page.blank) {
+                current = null;
+                continue;
+            }
+
+            let startsDocument = current === null;
+
+            if (!startsDocument && this.predicate) {
+                startsDocument = !!(await this.predicate(page, previous));
+            }
+
+            const pageNumber = this.heuristics.includes('page-number-reset')
+                ? DocumentBoundary.readPageNumber(page.text)
+                : null;
+
+            if (!startsDocument && pageNumber) {
+                startsDocument = pageNumber.number === 1 ||
+                    (previousNumber !== null && pageNumber.number <= previousNumber.number);
+            }
+
+            if (!startsDocument && previousNumber && previousNumber.total !== null) {
+                startsDocument = previousNumber.number >= previousNumber.total;
+            }
+
+            if (startsDocument) {
+                current = [];
+                groups.push(current);
+                previousNumber = null;
+            }
+
+            current.push(page.number);
+            previous = page;
+            previousNumber = pageNumber || previousNumber;
+        }
+
+        return groups;
+    }
+
+    /**
+     * Describe the boundary for result metadata
+     */
+    toString() {
+        return this.predicate ? 'predicate' : this.heuristics.join(',');
+    }
+}
+
+module.exports = { DocumentBoundary, BOUNDARY_HEURISTICS };
@@ -0,0 +1,247 @@
+const path = require('path');
+const { FilePath } = require('./file_path');
+const { DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+const { sniffMimeType } = require('../utils/mime_sniffer');
+const { hashBuffer } = require('../utils/content_hash');
+
+/**
+ * In-memory document content: a Buffer, Uint8Array, Readable stream or
+ * data: URI, optionally wrapped as `{ data, filename, mimeType, size }`.
+ *
+ * Exposes the same interface as FilePath so a Document can be built from
+ * either; the content is uploaded directly without touching disk.
+ */
+class DocumentSource {
+    constructor(input, options = {}) {
+        const descriptor = DocumentSource.isDescriptor(input) ? input : { data: input };
+        const data = descriptor.data;
+        let declaredMimeType = null;
+
+        this.buffer = null;
+        this.stream = null;
+        this.consumed = false;
+
+        if (typeof data === 'string') {
+            const parsed = DocumentSource.parseDataUri(data);
+            this.buffer = parsed.buffer;
+            declaredMimeType = parsed.mimeType;
+        } else if (Buffer.isBuffer(data)) {
+            this.buffer = data;
+        } else if (data instanceof Uint8Array) {
+            this.buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        } else if (DocumentSource.isReadable(data)) {
+            this.stream = data;
+        } else {
+            throw new DocumentProcessingError(
+                'Document input must be a file path, URL, data: URI, Buffer, Uint8Array or Readable stream'
+            );
+        }
+
+        const filename = descriptor.filename || options.filename;
+        const filenameMimeType = filename ? FilePath.getMimeTypeForExtension(path.extname(filename).toLowerCase()) : null;
+
+        this.mimeType = descriptor.mimeType || options.mimeType || declaredMimeType ||
+            (filenameMimeType !== 'application/octet-stream' ? filenameMimeType : null) ||
+            (this.buffer ? sniffMimeType(this.buffer) : null) ||
+            'application/octet-stream';
+        this.filename = filename ? path.basename(filename) : `document${FilePath.getExtensionForMimeType(this.mimeType)}`;
+        this.size = this.buffer ? this.buffer.length : (descriptor.size !== undefined ? descriptor.size : options.size);
+
+        this.value = this.filename;
+        this.isUrl = false;
+    }
+
+    /**
+     * Check if an input should be handled as in-memory content rather than a path
+     */
+    static isInMemoryInput(input) {
+        return (typeof input === 'string' && /^data:/i.test(input)) ||
+            input instanceof Uint8Array ||
+            DocumentSource.isReadable(input) ||
+            DocumentSource.isDescriptor(input);
+    }
+
+    /**
+     * Check if an input is a `{ data, filename?, mimeType?, size? }` descriptor
+     */
+    static isDescriptor(input) {
+        return !!input && typeof input === 'object' && !(input instanceof Uint8Array) &&
+            !DocumentSource.isReadable(input) && 'data' in input;
+    }
+
+    /**
+     * Check if a value is a Readable stream
+     */
+    static isReadable(value) {
+        return !!value && typeof value === 'object' && typeof value.pipe === 'function' && typeof value.read === 'function';
+    }
+
+    /**
+     * Decode a data: URI (`data:[<mime type>][;base64],<data>`)
+     */
+    static parseDataUri(uri) {
+        const match = /^data:([^,]*),(.*)$/is.exec(uri);
+        if (!match) {
+            throw new DocumentProcessingError('Invalid data: URI', { code: ErrorCodes.INVALID_URL });
+        }
+
+        const parameters = match[1].split(';').map(part => part.trim()).filter(Boolean);
+        const isBase64 = parameters.length > 0 && parameters[parameters.length - 1].toLowerCase() === 'base64';
+        const mimeType = parameters.length > 0 && parameters[0].includes('/') ? parameters[0].toLowerCase() : null;
+
+        return {
+            mimeType,
+            buffer: isBase64 ? Buffer.from(match[2], 'base64') : Buffer.from(decodeURIComponent(match[2]), 'utf8')
+        };
+    }
+
+    /**
+     * Describe an input for results, errors and job journals
+     */
+    static describe(input) {
+        if (typeof input === 'string') {
+            return /^data:/i.test(input) ? 'data: URI' : input;
+        }
+
+        if (DocumentSource.isDescriptor(input) && input.filename) {
+            return input.filename;
+        }
+
+        return DocumentSource.isReadable(input) ? 'Readable stream' : 'Buffer';
+    }
+
+    /**
+     * Get the content to upload. A stream can only be consumed once.
+     */
+    getContent() {
+        if (this.buffer) {
+            return this.buffer;
+        }
+
+        if (this.consumed) {
+            throw new DocumentProcessingError('Readable stream input has already been consumed', {
+                code: ErrorCodes.VALIDATION_FAILED
+            });
+        }
+
+        this.consumed = true;
+        return this.stream;
+    }
+
+    /**
+     * Get the first `length` bytes for content sniffing (null for streams)
+     */
+    readHeader(length = 64) {
+        return this.buffer ? this.buffer.subarray(0, length) : null;
+    }
+
+    /**
+     * SHA-256 of the content (null for streams, which can only be read once)
+     */
+    async computeHash() {
+        return this.buffer ? hashBuffer(this.buffer) : null;
+    }
+
+    /**
+     * Get the whole content (null for streams)
+     */
+    async readContent() {
+        return this.buffer;
+    }
+
+    /**
+     * Check if the content can be read again for a retry
+     */
+    isReplayable() {
+        return this.buffer !== null;
+    }
+
+    /**
+     * In-memory content always "exists"
+     */
+    exists() {
+        return true;
+    }
+
+    /**
+     * Get file extension, from the filename or else the MIME type
+     */
+    getExtension() {
+        return path.extname(this.filename).toLowerCase() || FilePath.getExtensionForMimeType(this.mimeType);
+    }
+
+    /**
+     * Get file name without extension
+     */
+    getFileName() {
+        return path.basename(this.filename, path.extname(this.filename));
+    }
+
+    /**
+     * Get the declared or sniffed MIME type
+     */
+    getMimeType() {
+        return this.mimeType;
+    }
+
+    /**
+     * Check if the content type is supported for processing
+     */
+    isSupportedType() {
+        return FilePath.getExtensionForMimeType(this.mimeType) !== '';
+    }
+
+    /**
+     * Validate content for processing
+     */
+    validateForProcessing() {
+        const errors = [];
+
+        if (!this.isSupportedType()) {
+            errors.push(`Unsupported file type: ${this.mimeType}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            fileInfo: {
+                path: this.value,
+                isUrl: false,
+                extension: this.getExtension(),
+                mimeType: this.mimeType,
+                size: this.size !== undefined ? this.size : null,
+                isSupported: this.isSupportedType()
+            }
+        };
+    }
+
+    /**
+     * Get string representation
+     */
+    toString() {
+        return this.value;
+    }
+
+    /**
+     * Check if this is a URL
+     */
+    isUrlPath() {
+        return false;
+    }
+
+    /**
+     * Check if this is a local file
+     */
+    isLocalPath() {
+        return false;
+    }
+
+    /**
+     * Check if this is in-memory content
+     */
+    isInMemory() {
+        return true;
+    }
+}
+
+module.exports = { DocumentSource };
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { FileAccessError, DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+
+const SYMLINK_MODES = ['within-roots', 'follow', 'deny'];
+
+/**
+ * Which local files documents may be read from.
+ *
+ * Paths are resolved and normalized before they are compared with the
+ * allowed roots, so `report..v2.pdf` is fine while `../../etc/passwd` is
+ * rejected only if it actually lands outside every root.
+ */
+class FileAccessPolicy {
+    constructor(options = {}) {
+        this.allowedRoots = (options.allowedRoots || [process.cwd()]).map(root => path.resolve(root));
+        // 'within-roots': symlinks must resolve inside an allowed root
+        // 'follow': symlinks may point anywhere; 'deny': no symlinks at all
+        this.symlinks = options.symlinks || 'within-roots';
+        this.deniedPatterns = options.deniedPatterns || [];
+
+        this.validate();
+        this.deniedMatchers = this.deniedPatterns.map(pattern => ({
+            pattern,
+            regex: FileAccessPolicy.globToRegExp(pattern)
+        }));
+    }
+
+    /**
+     * Validate policy options
+     */
+    validate() {
+        const errors = [];
+
+        if (this.allowedRoots.length === 0) {
+            errors.push('allowedRoots must contain at least one directory');
+        }
+
+        if (!SYMLINK_MODES.includes(this.symlinks)) {
+            errors.push(`symlinks must be one of: ${SYMLINK_MODES.join(', ')}`);
+        }
+
+        if (!Array.isArray(this.deniedPatterns) || this.deniedPatterns.some(pattern => typeof pattern !== 'string')) {
+            errors.push('deniedPatterns must be an array of glob strings');
+        }
+
+        if (errors.length > 0) {
+            throw new DocumentProcessingError(`Invalid file access policy: ${errors.join(', ')}`, {
+                code: ErrorCodes.INVALID_CONFIGURATION
+            });
+        }
+    }
+
+    /**
+     * Resolve a policy from a FileAccessPolicy instance or plain options
+     */
+    static from(value) {
+        return value instanceof FileAccessPolicy ? value : new FileAccessPolicy(value || {});
+    }
+
+    /**
+     * Convert a glob to a regular expression matched against absolute,
+     * forward-slash paths. `**` spans directories, `*` and `?` do not; a
+     * pattern without a slash matches the file name in any directory.
+     */
+    static globToRegExp(pattern) {
+        const glob = pattern.includes('/') ? pattern : `**/${pattern}`;
+        let source = '';
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+
+            if (char === '*' && glob[i + 1] === '*') {
+                // "**/" matches zero or more whole directories
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${glob.startsWith('/') ? '' : '(?:.*/)?'}${source}$`);
+    }
+
+    /**
+     * Check if `target` is `root` or inside it
+     */
+    static isInside(root, target) {
+        const relative = path.relative(root, target);
+        return relative === '' || (!relative.startsWith(`..${path.sep}`) && relative !== '..' && !path.isAbsolute(relative));
+    }
+
+    /**
+     * Resolve symlinks in a path, or null if it does not exist yet
+     */
+    static realpath(target) {
+        try {
+            return fs.realpathSync(target);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check a local path against the policy, throwing a FileAccessError
+     * if it may not be read. Returns the normalized absolute path.
+     */
+    check(filePath) {
+        const resolved = path.resolve(filePath);
+
+        if (!this.isWithinRoots(resolved)) {
+            throw new FileAccessError(`File path is outside the allowed directories: ${filePath}`, {
+                code: ErrorCodes.PATH_OUTSIDE_SANDBOX
+            });
+        }
+
+        this.checkDeniedPatterns(resolved, filePath);
+
+        // Missing files are reported later as FILE_NOT_FOUND
+        const real = FileAccessPolicy.realpath(resolved);
+        if (real && real !== this.realpathWithinRoots(resolved)) {
+            if (this.symlinks === 'deny') {
+                throw new FileAccessError(`Symbolic links are not allowed: ${filePath}`, {
+                    code: ErrorCodes.SYMLINK_NOT_ALLOWED
+                });
+            }
+
+            if (this.symlinks === 'within-roots' && !this.isWithinRoots(real)) {
+                throw new FileAccessError(`Symbolic link points outside the allowed directories: ${filePath}`, {
+                    code: ErrorCodes.SYMLINK_NOT_ALLOWED
+                });
+            }
+
+            this.checkDeniedPatterns(real, filePath);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Check if a path may be read, without throwing
+     */
+    isAllowed(filePath) {
+        try {
+            this.check(filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check if an absolute path lies inside an allowed root (either as
+     * configured or with the root's own symlinks resolved)
+     */
+    isWithinRoots(target) {
+        return this.allowedRoots.some(root =>
+            FileAccessPolicy.isInside(root, target) ||
+            FileAccessPolicy.isInside(FileAccessPolicy.realpath(root) || root, target)
+        );
+    }
+
+    /**
+     * Resolve the symlinks a root itself contributes to a path, so a root
+     * such as /tmp -> /private/tmp is not mistaken for a symlinked file
+     */
+    realpathWithinRoots(target) {
+        for (const root of this.allowedRoots) {
+            if (FileAccessPolicy.isInside(root, target)) {
+                const realRoot = FileAccessPolicy.realpath(root) || root;
+                return path.join(realRoot, path.relative(root, target));
+            }
+        }
+
+        return target;
+    }
+
+    /**
+     * Reject paths matching a denied glob
+     */
+    checkDeniedPatterns(target, filePath) {
+        const normalized = target.split(path.sep).join('/');
+        const match = this.deniedMatchers.find(matcher => matcher.regex.test(normalized));
+
+        if (match) {
+            throw new FileAccessError(`File path matches denied pattern "${match.pattern}": ${filePath}`, {
+                code: ErrorCodes.PATH_DENIED
+            });
+        }
+    }
+
+    /**
+     * Get a serializable description of the policy
+     */
+    toJSON() {
+        return {
+            allowedRoots: this.allowedRoots,
+            symlinks: this.symlinks,
+            deniedPatterns: this.deniedPatterns
+        };
+    }
+}
+
+module.exports = { FileAccessPolicy };
@@ -1,9 +1,46 @@
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
+const { FileAccessPolicy } = require('./file_access_policy');
+const { hashFile } = require('../utils/content_hash');
+const { DocumentProcessingError, UnsupportedFileTypeError, ErrorCodes } = require('../errors/document_ai_errors');
+
+const MIME_TYPES = {
+    // PDF files
+    '.pdf': 'application/pdf',
+
+    // Image files supported by OpenCV
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.tiff': 'image/tiff',
+    '.tif': 'image/tiff',
+    '.bmp': 'image/bmp',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+
+    // Additional OpenCV supported formats
+    '.ppm': 'image/x-portable-pixmap',
+    '.pgm': 'image/x-portable-graymap',
+    '.pbm': 'image/x-portable-bitmap',
+    '.sr': 'image/x-sun-raster',
+    '.ras': 'image/x-cmu-raster',
+    '.jp2': 'image/jp2',
+    '.j2k': 'image/jp2',
+    '.jpx': 'image/jp2',
+    '.jpf': 'image/jp2',
+    '.jpm': 'image/jpm',
+    '.mj2': 'image/mj2',
+    '.tga': 'image/x-tga',
+    '.exr': 'image/x-exr',
+    '.hdr': 'image/vnd.radiance',
+    '.pic': 'image/x-pict'
+};
 
 class FilePath {
-    constructor(filePath) {
+    constructor(filePath, options = {}) {
+        // Defaults to files under the current working directory
+        this.accessPolicy = options.accessPolicy || new FileAccessPolicy();
         this.validate(filePath);
         this.value = filePath;
         this.isUrl = this.isValidUrl(filePath);
@@ -20,11 +57,11 @@ class FilePath {
      */
     validate(filePath) {
         if (!filePath || typeof filePath !== 'string') {
-            throw new Error('File path must be a non-empty string');
+            throw new DocumentProcessingError('File path must be a non-empty string');
         }
 
         if (filePath.trim().length === 0) {
-            throw new Error('File path cannot be empty or whitespace');
+            throw new DocumentProcessingError('File path cannot be empty or whitespace');
         }
 
         // Check if it's a URL
@@ -33,15 +70,8 @@ class FilePath {
             return;
         }
 
-        // Check for path traversal attempts (only for local files)
-        if (filePath.includes('..') || filePath.includes('~')) {
-            throw new Error('File path contains invalid characters');
-        }
-
-        // Check for absolute path restrictions (optional security measure)
-        if (path.isAbsolute(filePath) && !this.isAllowedAbsolutePath(filePath)) {
-            throw new Error('Absolute file path not allowed for security reasons');
-        }
+        // Local files must stay inside the file access sandbox
+        this.accessPolicy.check(filePath);
     }
 
     /**
@@ -60,34 +90,35 @@ class FilePath {
      * Validate URL format and supported protocols
      */
     validateUrl(urlString) {
+        let url;
         try {
-            const url = new URL(urlString);
-
-            // Check supported protocols
-            const supportedProtocols = ['http:', 'https:'];
-            if (!supportedProtocols.includes(url.protocol)) {
-                throw new Error(`Unsupported protocol: ${url.protocol}. Only HTTP and HTTPS are supported.`);
-            }
+            url = new URL(urlString);
+        } catch (error) {
+            throw new DocumentProcessingError('Invalid URL format', { code: ErrorCodes.INVALID_URL, cause: error });
+        }
 
-            // Check if URL points to a file (has file extension)
-            const pathname = url.pathname;
-            if (!pathname.includes('.')) {
-                throw new Error('URL must point to a file with a valid extension');
-            }
+        // Check supported protocols
+        const supportedProtocols = ['http:', 'https:'];
+        if (!supportedProtocols.includes(url.protocol)) {
+            throw new DocumentProcessingError(`Unsupported protocol: ${url.protocol}. Only HTTP and HTTPS are supported.`, {
+                code: ErrorCodes.INVALID_URL
+            });
+        }
 
-            // Check if file extension is supported
-            const extension = path.extname(pathname).toLowerCase();
-            const supportedExtensions = ['.pdf', '.jpg', '.jpeg', '.png', '.tiff', '.tif', '.bmp', '.gif', '.webp'];
+        // Check if URL points to a file (has file extension)
+        const pathname = url.pathname;
+        if (!pathname.includes('.')) {
+            throw new DocumentProcessingError('URL must point to a file with a valid extension', {
+                code: ErrorCodes.INVALID_URL
+            });
+        }
 
-            if (!supportedExtensions.includes(extension)) {
-                throw new Error(`Unsupported file extension in URL: ${extension}`);
-            }
+        // Check if file extension is supported
+        const extension = path.extname(pathname).toLowerCase();
+        const supportedExtensions = ['.pdf', '.jpg', '.jpeg', '.png', '.tiff', '.tif', '.bmp', '.gif', '.webp'];
 
-        } catch (error) {
-            if (error.message.includes('Unsupported protocol') || error.message.includes('Unsupported file extension')) {
-                throw error;
-            }
-            throw new Error('Invalid URL format');
+        if (!supportedExtensions.includes(extension)) {
+            throw new UnsupportedFileTypeError(`Unsupported file extension in URL: ${extension}`);
         }
     }
 
@@ -152,7 +183,7 @@ class FilePath {
      */
     getDirectory() {
         if (this.isUrl) {
-            throw new Error('Cannot get directory for URL');
+            throw new DocumentProcessingError('Cannot get directory for URL');
         }
         return path.dirname(this.normalizedPath);
     }
@@ -162,54 +193,46 @@ class FilePath {
      */
     getSize() {
         if (this.isUrl) {
-            throw new Error('Cannot get file size for URL without downloading');
+            throw new DocumentProcessingError('Cannot get file size for URL without downloading');
         }
 
         try {
             const stats = fs.statSync(this.normalizedPath);
             return stats.size;
         } catch (error) {
-            throw new Error(`Cannot get file size: ${error.message}`);
+            throw FilePath.createStatError('Cannot get file size', error);
         }
     }
 
+    /**
+     * Build the error for a failed stat of a local file
+     */
+    static createStatError(message, error) {
+        return new DocumentProcessingError(`${message}: ${error.message}`, {
+            code: error.code === 'ENOENT' ? ErrorCodes.FILE_NOT_FOUND : ErrorCodes.VALIDATION_FAILED,
+            cause: error
+        });
+    }
+
     /**
      * Get file MIME type based on extension
      */
     getMimeType() {
-        const extension = this.getExtension();
-        const mimeTypes = {
-            // PDF files
-            '.pdf': 'application/pdf',
-
-            // Image files supported by OpenCV
-            '.jpg': 'image/jpeg',
-            '.jpeg': 'image/jpeg',
-            '.png': 'image/png',
-            '.tiff': 'image/tiff',
-            '.tif': 'image/tiff',
-            '.bmp': 'image/bmp',
-            '.gif': 'image/gif',
-            '.webp': 'image/webp',
+        return FilePath.getMimeTypeForExtension(this.getExtension());
+    }
 
-            // Additional OpenCV supported formats
-            '.ppm': 'image/x-portable-pixmap',
-            '.pgm': 'image/x-portable-graymap',
-            '.pbm': 'image/x-portable-bitmap',
-            '.sr': 'image/x-sun-raster',
-            '.ras': 'image/x-cmu-raster',
-            '.jp2': 'image/jp2',
-            '.j2k': 'image/jp2',
-            '.jpx': 'image/jp2',
-            '.jpf': 'image/jp2',
-            '.jpm': 'image/jpm',
-            '.mj2': 'image/mj2',
-            '.tga': 'image/x-tga',
-            '.exr': 'image/x-exr',
-            '.hdr': 'image/vnd.radiance',
-            '.pic': 'image/x-pict'
-        };
-        return mimeTypes[extension] || 'application/octet-stream';
+    /**
+     * Map a file extension (with leading dot) to its MIME type
+     */
+    static getMimeTypeForExtension(extension) {
+        return MIME_TYPES[extension] || 'application/octet-stream';
+    }
+
+    /**
+     * Map a MIME type to its usual file extension ('' if unknown)
+     */
+    static getExtensionForMimeType(mimeType) {
+        return Object.keys(MIME_TYPES).find(extension => MIME_TYPES[extension] === mimeType) || '';
     }
 
     /**
@@ -235,7 +258,7 @@ class FilePath {
      */
     getFileStats() {
         if (this.isUrl) {
-            throw new Error('Cannot get file stats for URL');
+            throw new DocumentProcessingError('Cannot get file stats for URL');
         }
 
         try {
@@ -247,26 +270,15 @@ class FilePath {
                 accessed: stats.atime
             };
         } catch (error) {
-            throw new Error(`Cannot get file stats: ${error.message}`);
+            throw FilePath.createStatError('Cannot get file stats', error);
         }
     }
 
     /**
-     * Check if absolute path is allowed (security measure for local files only)
+     * Check if a path is allowed by the file access policy (local files only)
      */
     isAllowedAbsolutePath(filePath) {
-        // Define allowed directories for security
-        const allowedDirectories = [
-            process.cwd(),
-            path.join(process.cwd(), 'uploads'),
-            path.join(process.cwd(), 'documents'),
-            path.join(process.cwd(), 'temp')
-        ];
-
-        const normalizedPath = path.resolve(filePath);
-        return allowedDirectories.some(allowedDir =>
-            normalizedPath.startsWith(allowedDir)
-        );
+        return this.accessPolicy.isAllowed(filePath);
     }
 
     /**
@@ -282,6 +294,45 @@ class FilePath {
         return this.value.replace(/[<>:"|?*]/g, '_');
     }
 
+    /**
+     * Read the first `length` bytes of the file for content sniffing
+     * (null for URLs or unreadable files)
+     */
+    readHeader(length = 64) {
+        if (this.isUrl) {
+            return null;
+        }
+
+        let fd;
+        try {
+            fd = fs.openSync(this.normalizedPath, 'r');
+            const buffer = Buffer.alloc(length);
+            const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+            return buffer.subarray(0, bytesRead);
+        } catch (error) {
+            return null;
+        } finally {
+            if (fd !== undefined) {
+                fs.closeSync(fd);
+            }
+        }
+    }
+
+    /**
+     * SHA-256 of the file content (null for URLs, which are never downloaded
+     * just to be hashed)
+     */
+    async computeHash() {
+        return this.isUrl ? null : await hashFile(this.normalizedPath);
+    }
+
+    /**
+     * Read the whole file (null for URLs)
+     */
+    async readContent() {
+        return this.isUrl ? null : await fs.promises.readFile(this.normalizedPath);
+    }
+
     /**
      * Check if file path is within allowed size limits (for local files only)
      */
@@ -305,15 +356,16 @@ class FilePath {
      */
     getRelativePath() {
         if (this.isUrl) {
-            throw new Error('Cannot get relative path for URL');
+            throw new DocumentProcessingError('Cannot get relative path for URL');
         }
         return path.relative(process.cwd(), this.normalizedPath);
     }
 
     /**
-     * Validate file path for processing
+     * Validate file path for processing (`checkSize: false` skips the size
+     * limit, for documents that are split or preprocessed before upload)
      */
-    validateForProcessing() {
+    validateForProcessing(options = {}) {
         const errors = [];
 
         if (this.isUrl) {
@@ -333,7 +385,7 @@ class FilePath {
                 errors.push('File is not readable');
             }
 
-            if (!this.isWithinSizeLimit()) {
+            if (options.checkSize !== false && !this.isWithinSizeLimit()) {
                 errors.push('File size exceeds maximum allowed limit');
             }
         }
@@ -361,7 +413,7 @@ class FilePath {
      */
     getUrlInfo() {
         if (!this.isUrl) {
-            throw new Error('Not a URL');
+            throw new DocumentProcessingError('Not a URL');
         }
 
         const url = new URL(this.value);
@@ -380,7 +432,7 @@ class FilePath {
      * Create a new FilePath instance with a different path
      */
     withPath(newPath) {
-        return new FilePath(newPath);
+        return new FilePath(newPath, { accessPolicy: this.accessPolicy });
     }
 
     /**
@@ -413,6 +465,20 @@ class FilePath {
     isLocalPath() {
         return !this.isUrl;
     }
+
+    /**
+     * Check if this is in-memory content (see DocumentSource)
+     */
+    isInMemory() {
+        return false;
+    }
+
+    /**
+     * Check if the content can be read again for a retry
+     */
+    isReplayable() {
+        return true;
+    }
 }
 
 module.exports = { FilePath };
@@ -0,0 +1,78 @@
+const { DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Describes how images are prepared before upload: rotated upright from
+ * their EXIF orientation, downscaled to `maxDimension` pixels on the long
+ * side, optionally turned grayscale, and re-encoded as `format`. Pages of
+ * multi-page TIFFs are uploaded as separate images when `splitPages` is on.
+ */
+class ImagePreprocessing {
+    constructor(options = {}) {
+        this.autoOrient = options.autoOrient !== false;
+        this.maxDimension = options.maxDimension !== undefined ? options.maxDimension : 2048;
+        this.grayscale = options.grayscale === true;
+        // null keeps the input format (pages of a multi-page TIFF become PNG)
+        this.format = options.format !== undefined ? options.format : 'jpeg';
+        this.quality = options.quality !== undefined ? options.quality : 85;
+        this.splitPages = options.splitPages !== false;
+
+        this.validate();
+    }
+
+    /**
+     * Resolve preprocessing from an ImagePreprocessing instance, `true` for
+     * the defaults, or an options object (null when it is off)
+     */
+    static from(value) {
+        if (value === undefined || value === null || value === false) {
+            return null;
+        }
+        if (value instanceof ImagePreprocessing) {
+            return value;
+        }
+        return new ImagePreprocessing(value === true ? {} : value);
+    }
+
+    /**
+     * Validate preprocessing options
+     */
+    validate() {
+        const errors = [];
+
+        if (this.maxDimension !== null && (!Number.isInteger(this.maxDimension) || this.maxDimension < 1)) {
+            errors.push('maxDimension must be a positive integer or null');
+        }
+
+        if (this.format !== null && !OUTPUT_FORMATS.includes(this.format)) {
+            errors.push(`format must be null or one of: ${OUTPUT_FORMATS.join(', ')}`);
+        }
+
+        if (!Number.isInteger(this.quality) || this.quality < 1 || this.quality > 100) {
+            errors.push('quality must be an integer from 1 to 100');
+        }
+
+        if (errors.length > 0) {
+            throw new DocumentProcessingError(`Invalid image preprocessing: ${errors.join(', ')}`, {
+                code: ErrorCodes.INVALID_CONFIGURATION
+            });
+        }
+    }
+
+    /**
+     * Serialize for cache keys and job journals
+     */
+    toJSON() {
+        return {
+            autoOrient: this.autoOrient,
+            maxDimension: this.maxDimension,
+            grayscale: this.grayscale,
+            format: this.format,
+            quality: this.quality,
+            splitPages: this.splitPages
+        };
+    }
+}
+
+module.exports = { ImagePreprocessing, OUTPUT_FORMATS };
@@ -0,0 +1,116 @@
+const { DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+
+/**
+ * PDF pages to extract: a string such as `'1-2,5'`, `'3-'` (page 3 to the
+ * end) or `'1,last'`, or an array of page numbers. Pages are 1-based.
+ */
+class PageSelection {
+    constructor(spec) {
+        this.spec = spec;
+        this.ranges = PageSelection.parse(spec);
+    }
+
+    /**
+     * Resolve a selection from a PageSelection instance, a string or an
+     * array (null when nothing is selected)
+     */
+    static from(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        return value instanceof PageSelection ? value : new PageSelection(value);
+    }
+
+    /**
+     * Parse a selection into `{ start, end }` ranges; `end` is null for
+     * open ranges and 'last' stands for the last page
+     */
+    static parse(spec) {
+        const parts = Array.isArray(spec) ? spec : String(spec).split(',');
+        const ranges = parts.map(part => {
+            if (Number.isInteger(part) && part > 0) {
+                return { start: part, end: part };
+            }
+
+            const match = /^\s*(\d+|last)\s*(?:(-)\s*(\d+|last)?)?\s*$/i.exec(String(part));
+            if (!match) {
+                throw PageSelection.invalid(`Invalid page range "${part}" in "${spec}"`);
+            }
+
+            const start = PageSelection.parsePage(match[1]);
+            const end = match[2] ? (match[3] ? PageSelection.parsePage(match[3]) : null) : start;
+
+            if (start === 0 || end === 0) {
+                throw PageSelection.invalid(`Page numbers start at 1: "${spec}"`);
+            }
+            if (typeof start === 'number' && typeof end === 'number' && end < start) {
+                throw PageSelection.invalid(`Page range "${String(part).trim()}" ends before it starts`);
+            }
+
+            return { start, end };
+        });
+
+        if (ranges.length === 0) {
+            throw PageSelection.invalid('Page selection is empty');
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Parse a page number or 'last'
+     */
+    static parsePage(value) {
+        return value.toLowerCase() === 'last' ? 'last' : parseInt(value, 10);
+    }
+
+    /**
+     * Build the error for an invalid or out-of-range selection
+     */
+    static invalid(message) {
+        return new DocumentProcessingError(message, { code: ErrorCodes.INVALID_PAGE_RANGE });
+    }
+
+    /**
+     * Get the selected page numbers of a `pageCount`-page PDF, ascending
+     * and without duplicates
+     */
+    resolve(pageCount) {
+        const pages = new Set();
+        const toNumber = page => page === 'last' ? pageCount : page;
+
+        for (const range of this.ranges) {
+            const start = toNumber(range.start);
+            const end = range.end === null ? pageCount : toNumber(range.end);
+
+            if (end < start) {
+                throw PageSelection.invalid(`Page range "${this}" ends before it starts`);
+            }
+            if (end > pageCount) {
+                throw PageSelection.invalid(`Page ${end} is out of range: the PDF has ${pageCount} pages`);
+            }
+
+            for (let page = start; page <= end; page++) {
+                pages.add(page);
+            }
+        }
+
+        return [...pages].sort((a, b) => a - b);
+    }
+
+    /**
+     * Get string representation
+     */
+    toString() {
+        return Array.isArray(this.spec) ? this.spec.join(',') : String(this.spec);
+    }
+
+    /**
+     * Serialize as the original selection (for job journals)
+     */
+    toJSON() {
+        return this.spec;
+    }
+}
+
+module.exports = { PageSelection };
@@ -0,0 +1,228 @@
+const { isRetryableError, DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+const { sleep, throwIfAborted } = require('../utils/cancellation');
+
+const BACKOFF_STRATEGIES = ['exponential', 'linear', 'constant'];
+const JITTER_MODES = ['none', 'full', 'equal'];
+
+/**
+ * Describes how failed extractions are retried.
+ *
+ * This is the only retry mechanism in the SDK: the repository and the batch
+ * service each make a single attempt and DocumentAIService runs every
+ * extraction through the configured policy.
+ */
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 3;
+        this.maxElapsedTime = options.maxElapsedTime !== undefined && options.maxElapsedTime !== null
+            ? options.maxElapsedTime
+            : Infinity;
+        this.backoff = options.backoff || 'exponential';
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000;
+        this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+        this.jitter = options.jitter || 'full';
+        this.retryable = options.retryable || isRetryableError;
+        this.respectRetryAfter = options.respectRetryAfter !== false;
+
+        this.validate();
+    }
+
+    /**
+     * Validate policy options
+     */
+    validate() {
+        const errors = [];
+
+        if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+            errors.push('maxAttempts must be a positive integer');
+        }
+
+        if (typeof this.maxElapsedTime !== 'number' || this.maxElapsedTime < 0) {
+            errors.push('maxElapsedTime must be a non-negative number of milliseconds');
+        }
+
+        if (typeof this.backoff !== 'function' && !BACKOFF_STRATEGIES.includes(this.backoff)) {
+            errors.push(`backoff must be a function or one of: ${BACKOFF_STRATEGIES.join(', ')}`);
+        }
+
+        if (typeof this.baseDelay !== 'number' || this.baseDelay < 0) {
+            errors.push('baseDelay must be a non-negative number');
+        }
+
+        if (typeof this.maxDelay !== 'number' || this.maxDelay < 0) {
+            errors.push('maxDelay must be a non-negative number');
+        }
+
+        if (!JITTER_MODES.includes(this.jitter)) {
+            errors.push(`jitter must be one of: ${JITTER_MODES.join(', ')}`);
+        }
+
+        if (typeof this.retryable !== 'function') {
+            errors.push('retryable must be a function');
+        }
+
+        if (errors.length > 0) {
+            throw new DocumentProcessingError(`Invalid retry policy: ${errors.join(', ')}`, {
+                code: ErrorCodes.INVALID_CONFIGURATION
+            });
+        }
+    }
+
+    /**
+     * Build the default policy from SDK configuration and environment variables
+     */
+    static fromConfig(config = {}) {
+        const maxRetryWaitTime = config.maxRetryWaitTime || parseInt(process.env.MAX_RETRY_WAIT_TIME);
+
+        return RetryPolicy.from(config.retryPolicy, new RetryPolicy({
+            maxAttempts: config.maxRetries || parseInt(process.env.MAX_RETRIES) || 3,
+            baseDelay: config.retryDelay !== undefined ? config.retryDelay : 1000,
+            maxDelay: maxRetryWaitTime ? maxRetryWaitTime * 1000 : 30000
+        }));
+    }
+
+    /**
+     * Resolve a policy from a RetryPolicy instance or plain options,
+     * layered on top of `defaults`
+     */
+    static from(value, defaults = new RetryPolicy()) {
+        if (!value) {
+            return defaults;
+        }
+
+        if (value instanceof RetryPolicy) {
+            return value;
+        }
+
+        return defaults.with(value);
+    }
+
+    /**
+     * Create a new policy with some options overridden
+     */
+    with(overrides = {}) {
+        return new RetryPolicy({ ...this.toOptions(), ...overrides });
+    }
+
+    /**
+     * Get the options this policy was built from
+     */
+    toOptions() {
+        return {
+            maxAttempts: this.maxAttempts,
+            maxElapsedTime: this.maxElapsedTime,
+            backoff: this.backoff,
+            baseDelay: this.baseDelay,
+            maxDelay: this.maxDelay,
+            jitter: this.jitter,
+            retryable: this.retryable,
+            respectRetryAfter: this.respectRetryAfter
+        };
+    }
+
+    /**
+     * Determine if an error should trigger another attempt
+     */
+    shouldRetry(error, attempt) {
+        return attempt < this.maxAttempts && this.retryable(error);
+    }
+
+    /**
+     * Calculate the wait time before the attempt following `attempt`.
+     * A server-provided Retry-After on `error` is treated as a minimum.
+     */
+    getDelay(attempt, error) {
+        const backoffDelay = this.getBackoffDelay(attempt);
+
+        if (this.respectRetryAfter && error && typeof error.retryAfter === 'number') {
+            return Math.max(backoffDelay, error.retryAfter);
+        }
+
+        return backoffDelay;
+    }
+
+    /**
+     * Calculate the jittered backoff delay for `attempt`
+     */
+    getBackoffDelay(attempt) {
+        let delay;
+
+        if (typeof this.backoff === 'function') {
+            delay = this.backoff(attempt, this);
+        } else if (this.backoff === 'linear') {
+            delay = this.baseDelay * attempt;
+        } else if (this.backoff === 'constant') {
+            delay = this.baseDelay;
+        } else {
+            delay = this.baseDelay * Math.pow(2, attempt - 1);
+        }
+
+        delay = Math.min(delay, this.maxDelay);
+
+        if (this.jitter === 'full') {
+            return Math.round(Math.random() * delay);
+        }
+
+        if (this.jitter === 'equal') {
+            return Math.round(delay / 2 + Math.random() * (delay / 2));
+        }
+
+        return delay;
+    }
+
+    /**
+     * Run `operation(attempt)` until it succeeds, a non-retryable error is
+     * thrown, or the attempt/time budget is spent. The last error is rethrown.
+     * Aborting `options.signal` interrupts the wait between attempts.
+     */
+    async execute(operation, options = {}) {
+        const startTime = Date.now();
+
+        for (let attempt = 1; ; attempt++) {
+            throwIfAborted(options.signal);
+
+            try {
+                return await operation(attempt);
+            } catch (error) {
+                if (!this.shouldRetry(error, attempt)) {
+                    throw error;
+                }
+
+                const delay = this.getDelay(attempt, error);
+                if (Date.now() - startTime + delay > this.maxElapsedTime) {
+                    throw error;
+                }
+
+                if (options.onRetry) {
+                    options.onRetry({ error, attempt, delay });
+                }
+
+                await this.sleep(delay, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Utility method for sleep/delay
+     */
+    sleep(ms, signal) {
+        return sleep(ms, signal);
+    }
+
+    /**
+     * Get a serializable description of the policy
+     */
+    toJSON() {
+        return {
+            maxAttempts: this.maxAttempts,
+            maxElapsedTime: this.maxElapsedTime === Infinity ? null : this.maxElapsedTime,
+            backoff: typeof this.backoff === 'function' ? undefined : this.backoff,
+            baseDelay: this.baseDelay,
+            maxDelay: this.maxDelay,
+            jitter: this.jitter,
+            respectRetryAfter: this.respectRetryAfter
+        };
+    }
+}
+
+module.exports = { RetryPolicy };
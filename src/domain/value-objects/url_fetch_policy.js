@@ -0,0 +1,181 @@
+const net = require('net');
+const { URL } = require('url');
+const { UrlPolicyError, DocumentProcessingError, ErrorCodes } = require('../errors/document_ai_errors');
+
+/**
+ * Loopback, private, link-local (cloud metadata), carrier-grade NAT,
+ * multicast and reserved ranges that URL documents may not reach. IPv6
+ * ranges that embed an IPv4 address (IPv4-compatible, NAT64 and 6to4) are
+ * blocked as a whole, since they can reach the IPv4 ranges above.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 96], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const DEFAULT_CONTENT_TYPES = [
+    'application/pdf',
+    'application/octet-stream',
+    'image/*'
+];
+
+/**
+ * Rules applied to every URL document fetch, and to each redirect hop:
+ * host allow/deny lists, private address blocking (checked on the resolved
+ * IPs), a redirect limit and the accepted response content types.
+ */
+class UrlFetchPolicy {
+    constructor(options = {}) {
+        this.allowedHosts = options.allowedHosts || null;
+        this.deniedHosts = options.deniedHosts || [];
+        this.allowPrivateNetworks = options.allowPrivateNetworks === true;
+        this.maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+        this.allowedContentTypes = options.allowedContentTypes || DEFAULT_CONTENT_TYPES;
+
+        this.validate();
+    }
+
+    /**
+     * Validate policy options
+     */
+    validate() {
+        const errors = [];
+
+        if (this.allowedHosts !== null && !Array.isArray(this.allowedHosts)) {
+            errors.push('allowedHosts must be an array of host names');
+        }
+
+        if (!Array.isArray(this.deniedHosts)) {
+            errors.push('deniedHosts must be an array of host names');
+        }
+
+        if (!Number.isInteger(this.maxRedirects) || this.maxRedirects < 0) {
+            errors.push('maxRedirects must be a non-negative integer');
+        }
+
+        if (!Array.isArray(this.allowedContentTypes)) {
+            errors.push('allowedContentTypes must be an array of MIME types');
+        }
+
+        if (errors.length > 0) {
+            throw new DocumentProcessingError(`Invalid URL fetch policy: ${errors.join(', ')}`, {
+                code: ErrorCodes.INVALID_CONFIGURATION
+            });
+        }
+    }
+
+    /**
+     * Resolve a policy from a UrlFetchPolicy instance or plain options
+     */
+    static from(value) {
+        return value instanceof UrlFetchPolicy ? value : new UrlFetchPolicy(value || {});
+    }
+
+    /**
+     * Check a URL before it is requested; IP literals are checked here since
+     * they never go through DNS
+     */
+    validateUrl(urlString) {
+        let url;
+        try {
+            url = new URL(urlString);
+        } catch (error) {
+            throw new UrlPolicyError(`Invalid URL: ${urlString}`, { code: ErrorCodes.INVALID_URL });
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new UrlPolicyError(`Unsupported protocol: ${url.protocol}`, { code: ErrorCodes.INVALID_URL });
+        }
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+        if (this.deniedHosts.some(pattern => this.matchesHost(hostname, pattern))) {
+            throw new UrlPolicyError(`Host is denied by the URL policy: ${hostname}`, { code: ErrorCodes.HOST_NOT_ALLOWED });
+        }
+
+        if (this.allowedHosts && !this.allowedHosts.some(pattern => this.matchesHost(hostname, pattern))) {
+            throw new UrlPolicyError(`Host is not in the URL policy allow list: ${hostname}`, { code: ErrorCodes.HOST_NOT_ALLOWED });
+        }
+
+        if (net.isIP(hostname)) {
+            this.validateAddress(hostname, hostname);
+        }
+
+        return url;
+    }
+
+    /**
+     * Check a host name against a pattern ('example.com' or '*.example.com')
+     */
+    matchesHost(hostname, pattern) {
+        const normalized = pattern.toLowerCase();
+
+        if (normalized.startsWith('*.')) {
+            return hostname.endsWith(normalized.slice(1));
+        }
+
+        return hostname === normalized;
+    }
+
+    /**
+     * Check a resolved IP address for `hostname`
+     */
+    validateAddress(address, hostname) {
+        if (!this.allowPrivateNetworks && UrlFetchPolicy.isPrivateAddress(address)) {
+            throw new UrlPolicyError(`${hostname} resolves to a private or reserved address (${address})`, {
+                code: ErrorCodes.PRIVATE_ADDRESS_BLOCKED
+            });
+        }
+    }
+
+    /**
+     * Check if an IP address is loopback, private, link-local or reserved
+     */
+    static isPrivateAddress(address) {
+        const family = net.isIP(address);
+        if (family === 0) {
+            return false;
+        }
+
+        // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+        if (mapped) {
+            return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+        }
+
+        return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    /**
+     * Check a response Content-Type (without parameters) against the policy.
+     * A missing Content-Type is treated as application/octet-stream.
+     */
+    isAllowedContentType(contentType) {
+        const type = contentType || 'application/octet-stream';
+
+        return this.allowedContentTypes.some(allowed => allowed.endsWith('/*')
+            ? type.startsWith(allowed.slice(0, -1))
+            : type === allowed);
+    }
+
+    /**
+     * Get a serializable description of the policy
+     */
+    toJSON() {
+        return {
+            allowedHosts: this.allowedHosts,
+            deniedHosts: this.deniedHosts,
+            allowPrivateNetworks: this.allowPrivateNetworks,
+            maxRedirects: this.maxRedirects,
+            allowedContentTypes: this.allowedContentTypes
+        };
+    }
+}
+
+module.exports = { UrlFetchPolicy };
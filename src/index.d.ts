@@ -0,0 +1,318 @@
+// Type declarations for the public SDK surface (src/index.js)
+import { EventEmitter } from 'events';
+import type { Readable } from 'stream';
+import type { ZodTypeAny, output as ZodOutput } from 'zod';
+
+type AnyRecord = Record<string, any>;
+
+/**
+ * A document: local path, http(s) URL, data: URI, Buffer, Uint8Array,
+ * Readable stream, or `{ data, filename?, mimeType?, size? }`
+ */
+export type DocumentInput =
+    | string
+    | Buffer
+    | Uint8Array
+    | Readable
+    | { data: string | Buffer | Uint8Array | Readable; filename?: string; mimeType?: string; size?: number };
+
+export type FieldType = 'string' | 'number' | 'boolean' | 'date' | 'array' | 'object';
+
+export interface FieldDefinition {
+    type: FieldType;
+    description?: string;
+    items?: FieldDefinition;
+    properties?: Record<string, FieldDefinition>;
+    /** Required properties of an object field */
+    required?: string[];
+    additionalProperties?: boolean;
+    /** Formats of a date field, such as 'DD/MM/YYYY' */
+    dateFormats?: string[];
+    decimalSeparator?: '.' | ',';
+    optional?: boolean;
+    nullable?: boolean;
+    default?: unknown;
+    validation?: ValidationRules;
+}
+
+export type StringFormat = 'email' | 'uri' | 'iban' | 'phone' | 'postal-code';
+
+/**
+ * Validation rules; each applies to the field types noted
+ */
+export interface ValidationRules {
+    /** string */
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    format?: StringFormat;
+    /** Enum values (string or number fields) */
+    enum?: string[] | number[];
+    /** string: maps canonical enum values to other spellings */
+    synonyms?: Record<string, string[]>;
+    caseSensitive?: boolean;
+    /** number */
+    min?: number;
+    max?: number;
+    multipleOf?: number;
+    /** Maximum number of decimal places */
+    precision?: number;
+    /** array */
+    minItems?: number;
+    maxItems?: number;
+    uniqueItems?: boolean;
+}
+
+export interface CoercionOptions {
+    coerce?: boolean;
+    dateFormats?: string[];
+    decimalSeparator?: '.' | ',';
+}
+
+export interface FullSchemaDefinition extends CoercionOptions {
+    fields: Record<string, FieldDefinition>;
+    required?: string[];
+    validationRules?: AnyRecord;
+    additionalProperties?: boolean;
+    version?: string;
+}
+
+/**
+ * Anything accepted as an extraction schema
+ */
+export type SchemaDefinition = Schema<any> | ZodTypeAny | FullSchemaDefinition | Record<string, FieldType | FieldDefinition>;
+
+/**
+ * The data extracted with a schema: the Zod output type for Zod schemas
+ */
+export type InferData<S> =
+    S extends ZodTypeAny ? ZodOutput<S> :
+    S extends Schema<infer T> ? T :
+    AnyRecord;
+
+export declare class Schema<T = AnyRecord> {
+    constructor(fields: Record<string, FieldDefinition>, options?: CoercionOptions & {
+        required?: string[];
+        validationRules?: AnyRecord;
+        additionalProperties?: boolean;
+        version?: string;
+    });
+    static fromZod<S extends ZodTypeAny>(zodSchema: S, options?: { version?: string }): Schema<ZodOutput<S>>;
+    static isZodSchema(value: unknown): value is ZodTypeAny;
+    fields: Record<string, Partial<FieldDefinition>>;
+    required: string[];
+    additionalProperties: boolean;
+    version: string;
+    coerce: boolean;
+    dateFormats: string[];
+    decimalSeparator: '.' | ',';
+    zodSchema: ZodTypeAny | null;
+    jsonSchema: AnyRecord | null;
+    validateData(data: unknown): { isValid: boolean; data: T | null; errors: ValidationIssue[] };
+    coerceData(data: unknown): unknown;
+    toZodSchema(): ZodTypeAny;
+    toJsonSchema(): AnyRecord;
+    getRequiredFields(): string[];
+    isFieldRequired(fieldName: string): boolean;
+    isFieldOptional(fieldName: string): boolean;
+    isFieldNullable(fieldName: string): boolean;
+    hasDefault(fieldName: string): boolean;
+    getField(fieldName: string): Partial<FieldDefinition> | undefined;
+    getFieldNames(): string[];
+    toDefinition(): AnyRecord;
+    getSummary(): AnyRecord;
+    static formatPath(path: (string | number)[]): string;
+}
+
+export interface ValidationIssue {
+    field: string;
+    message: string;
+    code?: string;
+}
+
+export type MergeStrategy = 'last' | 'first' | 'concat' | 'confidence';
+
+export declare class ExtractionResult<T = AnyRecord> {
+    constructor(documentId: string, extractedData: unknown, schema: Schema<T>, options?: AnyRecord);
+    static fromJSON<T = AnyRecord>(json: AnyRecord, schema: Schema<T>): ExtractionResult<T>;
+    documentId: string;
+    extractedData: T;
+    /** The data as returned by the API, before coercion */
+    rawData: AnyRecord;
+    schema: Schema<T>;
+    confidence: number;
+    processingTime: number;
+    createdAt: Date;
+    status: 'completed' | 'failed' | 'partial';
+    errors: ValidationIssue[];
+    warnings: any[];
+    metadata: AnyRecord;
+    isValid(): boolean;
+    hasWarnings(): boolean;
+    getConfidenceLevel(): string;
+    getMissingRequiredFields(): string[];
+    isDefaultedField(fieldName: string): boolean;
+    isFieldFilled(fieldName: string): boolean;
+    getFilledFieldsCount(): number;
+    getCompletionPercentage(): number;
+    getField<K extends keyof T>(fieldName: K): AnyRecord;
+    getSummary(): AnyRecord;
+    getDetailedReport(): AnyRecord;
+    toJSON(): AnyRecord;
+    merge(otherResult: ExtractionResult<T>, options?: {
+        strategies?: Partial<Record<keyof T, MergeStrategy>>;
+        defaultStrategy?: MergeStrategy;
+    }): ExtractionResult<T>;
+}
+
+export interface Extraction<T = AnyRecord> {
+    success: true;
+    documentId: string;
+    result: ExtractionResult<T>;
+    summary: AnyRecord;
+}
+
+export interface FailureRecord {
+    documentId: string | null;
+    filePath: string;
+    status: 'failed' | 'cancelled';
+    error?: string;
+    attempts: number;
+}
+
+export interface BulkExtraction<T = AnyRecord> {
+    jobId?: string;
+    total: number;
+    completed: number;
+    failed: number;
+    cancelled: number;
+    skipped: number;
+    results: ExtractionResult<T>[];
+    errors: AnyRecord[];
+    cancelledDocuments: AnyRecord[];
+    duplicates: { contentHash: string; documentIds: string[]; filePaths: string[] }[];
+}
+
+export interface LogicalDocuments<T = AnyRecord> {
+    success: true;
+    documentId: string;
+    documents: { documentId: string; pages: number[]; result: ExtractionResult<T>; summary: AnyRecord }[];
+}
+
+export interface PdfInspection {
+    version: string | null;
+    pageCount: number | null;
+    encrypted: boolean;
+    requiresPassword: boolean | null;
+    hasTextLayer: boolean | null;
+    pages: { number: number; width: number | null; height: number | null; rotation: number }[];
+}
+
+/**
+ * Per-call options; see the README for each one
+ */
+export interface ExtractOptions {
+    signal?: AbortSignal;
+    retryPolicy?: RetryPolicy | AnyRecord;
+    cache?: 'read' | 'write' | 'bypass';
+    mimeMismatch?: 'reject' | 'warn' | 'ignore';
+    maxPages?: number;
+    pages?: string | number[] | PageSelection;
+    split?: false | { concurrency?: number; pagesPerChunk?: number; maxChunkSize?: number; mergeStrategies?: Record<string, MergeStrategy> };
+    preprocess?: boolean | ImagePreprocessing | {
+        autoOrient?: boolean;
+        maxDimension?: number | null;
+        grayscale?: boolean;
+        format?: 'jpeg' | 'png' | 'webp' | null;
+        quality?: number;
+        splitPages?: boolean;
+    };
+    filename?: string;
+    mimeType?: string;
+    [option: string]: any;
+}
+
+export interface BulkOptions extends ExtractOptions {
+    maxWorkers?: number;
+    jobId?: string;
+    dedupe?: boolean;
+    highWaterMark?: number;
+}
+
+export interface SplitAndExtractOptions<T = AnyRecord> extends ExtractOptions {
+    boundary?: BoundaryHeuristic | BoundaryHeuristic[] | BoundaryPredicate<T> | DocumentBoundary;
+}
+
+export type BoundaryHeuristic = 'page-number-reset' | 'blank-page';
+
+export interface BoundaryPage<T = AnyRecord> {
+    number: number;
+    text: string;
+    blank: boolean;
+    data: T;
+    result: ExtractionResult<T>;
+}
+
+export type BoundaryPredicate<T = AnyRecord> =
+    (page: BoundaryPage<T>, previousPage: BoundaryPage<T>) => boolean | Promise<boolean>;
+
+export declare class DocumentAI extends EventEmitter {
+    constructor(apiKey: string, options?: AnyRecord);
+    service: DocumentAIService;
+    extract<S extends SchemaDefinition>(filePath: DocumentInput, schema: S, options?: ExtractOptions): Promise<Extraction<InferData<S>>>;
+    splitAndExtract<S extends SchemaDefinition>(filePath: DocumentInput, schema: S, options?: SplitAndExtractOptions<InferData<S>>): Promise<LogicalDocuments<InferData<S>>>;
+    extractBulk<S extends SchemaDefinition>(filePaths: DocumentInput[], schema: S, options?: BulkOptions): Promise<BulkExtraction<InferData<S>>>;
+    extractStream<S extends SchemaDefinition>(filePaths: Iterable<DocumentInput>, schema: S, options?: BulkOptions): AsyncGenerator<ExtractionResult<InferData<S>> | FailureRecord>;
+    inspect(filePath: DocumentInput, options?: AnyRecord): Promise<PdfInspection | null>;
+    resumeJob<S extends SchemaDefinition>(jobId: string, schema?: S, options?: BulkOptions): Promise<BulkExtraction<InferData<S>>>;
+    testConnection(options?: AnyRecord): Promise<AnyRecord>;
+    getConfiguration(): AnyRecord;
+    validateSchema(schema: SchemaDefinition): AnyRecord;
+    getSupportedFileTypes(): AnyRecord;
+}
+
+export declare class DocumentAIService extends EventEmitter {
+    constructor(config: AnyRecord);
+    extractData<S extends SchemaDefinition>(filePath: DocumentInput, schema: S, options?: ExtractOptions): Promise<Extraction<InferData<S>>>;
+    splitAndExtract<S extends SchemaDefinition>(filePath: DocumentInput, schema: S, options?: SplitAndExtractOptions<InferData<S>>): Promise<LogicalDocuments<InferData<S>>>;
+    extractBulk<S extends SchemaDefinition>(filePaths: DocumentInput[], schema: S, options?: BulkOptions): Promise<BulkExtraction<InferData<S>>>;
+    extractStream<S extends SchemaDefinition>(filePaths: Iterable<DocumentInput>, schema: S, options?: BulkOptions): AsyncGenerator<ExtractionResult<InferData<S>> | FailureRecord>;
+    createSchema<S extends SchemaDefinition>(schemaDefinition: S): Schema<InferData<S>>;
+    [member: string]: any;
+}
+
+// Entities, value objects and infrastructure exported for advanced use
+export declare class Document { constructor(...args: any[]); [member: string]: any; }
+export declare class FilePath { constructor(...args: any[]); [member: string]: any; }
+export declare class DocumentSource { constructor(...args: any[]); [member: string]: any; }
+export declare class PageSelection { constructor(spec: string | number[]); static from(value: unknown): PageSelection | null; resolve(pageCount: number): number[]; }
+export declare class DocumentBoundary { constructor(spec?: BoundaryHeuristic | BoundaryHeuristic[] | BoundaryPredicate<any>); [member: string]: any; }
+export declare class ImagePreprocessing { constructor(options?: ExtractOptions['preprocess'] & object); toJSON(): AnyRecord; }
+export declare class RetryPolicy { constructor(options?: AnyRecord); [member: string]: any; }
+export declare class UrlFetchPolicy { constructor(options?: AnyRecord); [member: string]: any; }
+export declare class FileAccessPolicy { constructor(options?: AnyRecord); [member: string]: any; }
+export declare class TokenBucketLimiter { constructor(options?: AnyRecord); [member: string]: any; }
+export declare class MemoryResultCache { constructor(options?: AnyRecord); [member: string]: any; }
+export declare class DiskResultCache { constructor(options?: AnyRecord); [member: string]: any; }
+
+export declare const ProcessingEvents: Readonly<Record<string, string>>;
+export declare const ErrorCodes: Readonly<Record<string, string>>;
+
+export declare class DocumentAIError extends Error {
+    constructor(message: string, options?: AnyRecord);
+    code: string;
+    retryable: boolean;
+    toJSON(): AnyRecord;
+}
+export declare class AuthenticationError extends DocumentAIError {}
+export declare class RateLimitError extends DocumentAIError {}
+export declare class FileTooLargeError extends DocumentAIError {}
+export declare class UnsupportedFileTypeError extends DocumentAIError {}
+export declare class NetworkError extends DocumentAIError {}
+export declare class TimeoutError extends DocumentAIError {}
+export declare class CancelledError extends DocumentAIError {}
+export declare class FileAccessError extends DocumentAIError {}
+export declare class UrlPolicyError extends DocumentAIError {}
+export declare class ServerError extends DocumentAIError {}
+export declare class SchemaValidationError extends DocumentAIError { errors: string[]; }
+export declare class DocumentProcessingError extends DocumentAIError {}
@@ -1,38 +1,103 @@
 // Main SDK entry point
+const { EventEmitter } = require('events');
 const { DocumentAIService } = require('./domain/application/document_ai.service');
 const { Schema } = require('./domain/entities/schema');
 const { Document } = require('./domain/entities/documents');
 const { ExtractionResult } = require('./domain/entities/extraction');
 const { FilePath } = require('./domain/value-objects/file_path');
+const { DocumentSource } = require('./domain/value-objects/document_source');
+const { PageSelection } = require('./domain/value-objects/page_selection');
+const { DocumentBoundary } = require('./domain/value-objects/document_boundary');
+const { ImagePreprocessing } = require('./domain/value-objects/image_preprocessing');
+const { RetryPolicy } = require('./domain/value-objects/retry_policy');
+const { UrlFetchPolicy } = require('./domain/value-objects/url_fetch_policy');
+const { FileAccessPolicy } = require('./domain/value-objects/file_access_policy');
+const { ProcessingEvents } = require('./domain/events/processing_events');
+const { TokenBucketLimiter } = require('./infrastructure/rate-limiting/token_bucket.limiter');
+const { MemoryResultCache } = require('./infrastructure/cache/memory.cache');
+const { DiskResultCache } = require('./infrastructure/cache/disk.cache');
+const {
+    ErrorCodes,
+    DocumentAIError,
+    AuthenticationError,
+    RateLimitError,
+    FileTooLargeError,
+    UnsupportedFileTypeError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    FileAccessError,
+    UrlPolicyError,
+    ServerError,
+    SchemaValidationError,
+    DocumentProcessingError
+} = require('./domain/errors/document_ai_errors');
 
 // Main DocumentAI class for backward compatibility
-class DocumentAI {
+class DocumentAI extends EventEmitter {
     constructor(apiKey, options = {}) {
+        super();
+
         this.service = new DocumentAIService({
             apiKey,
             ...options
         });
+
+        // Surface processing lifecycle events (see ProcessingEvents)
+        for (const eventName of Object.values(ProcessingEvents)) {
+            this.service.on(eventName, payload => this.emit(eventName, payload));
+        }
     }
 
     /**
      * Extract data from a single document
      */
-    async extract(filePath, schema) {
-        return await this.service.extractData(filePath, schema);
+    async extract(filePath, schema, options = {}) {
+        return await this.service.extractData(filePath, schema, options);
+    }
+
+    /**
+     * Split a PDF holding several documents at `options.boundary` and
+     * extract each logical document
+     */
+    async splitAndExtract(filePath, schema, options = {}) {
+        return await this.service.splitAndExtract(filePath, schema, options);
     }
 
     /**
      * Extract data from multiple documents
      */
-    async extractBulk(filePaths, schema) {
-        return await this.service.extractBulk(filePaths, schema);
+    async extractBulk(filePaths, schema, options = {}) {
+        return await this.service.extractBulk(filePaths, schema, options);
+    }
+
+    /**
+     * Extract data from multiple documents as an async iterable of results
+     */
+    extractStream(filePaths, schema, options = {}) {
+        return this.service.extractStream(filePaths, schema, options);
+    }
+
+    /**
+     * Inspect a PDF locally (page count, version, encryption, text layer,
+     * page dimensions) before paying for an extraction
+     */
+    async inspect(filePath, options = {}) {
+        return await this.service.inspectDocument(filePath, options);
+    }
+
+    /**
+     * Resume a journaled bulk extraction job
+     */
+    async resumeJob(jobId, schema, options = {}) {
+        return await this.service.resumeJob(jobId, schema, options);
     }
 
     /**
      * Test API connection
      */
-    async testConnection() {
-        return await this.service.testConnection();
+    async testConnection(options = {}) {
+        return await this.service.testConnection(options);
     }
 
     /**
@@ -64,5 +129,30 @@ module.exports = {
     Schema,
     Document,
     ExtractionResult,
-    FilePath
+    FilePath,
+    DocumentSource,
+    PageSelection,
+    DocumentBoundary,
+    ImagePreprocessing,
+    RetryPolicy,
+    UrlFetchPolicy,
+    FileAccessPolicy,
+    TokenBucketLimiter,
+    MemoryResultCache,
+    DiskResultCache,
+    ProcessingEvents,
+    ErrorCodes,
+    DocumentAIError,
+    AuthenticationError,
+    RateLimitError,
+    FileTooLargeError,
+    UnsupportedFileTypeError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    FileAccessError,
+    UrlPolicyError,
+    ServerError,
+    SchemaValidationError,
+    DocumentProcessingError
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { DocumentProcessingError } = require('../../domain/errors/document_ai_errors');
+
+/**
+ * Names of entry files (`<key>.cache.json`) and of their temporary files,
+ * so clear() leaves other JSON files in a shared directory alone
+ */
+const ENTRY_FILE = /^[\w.-]+\.cache\.json(?:\.\d+\.\d+\.\d+\.tmp)?$/;
+
+let writeCount = 0;
+
+/**
+ * On-disk result cache: one JSON file per entry in `directory`, so cached
+ * results survive restarts and can be shared between processes.
+ */
+class DiskResultCache {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new DocumentProcessingError('Cache directory is required for the disk cache');
+        }
+
+        this.directory = path.resolve(options.directory);
+        this.ttl = options.ttl || null;
+    }
+
+    /**
+     * Get the file holding an entry
+     */
+    getEntryPath(key) {
+        if (!/^[\w.-]+$/.test(key)) {
+            throw new DocumentProcessingError(`Invalid cache key: ${key}`);
+        }
+        return path.join(this.directory, `${key}.cache.json`);
+    }
+
+    /**
+     * Get a cached value, or null if missing or expired
+     */
+    async get(key) {
+        const entryPath = this.getEntryPath(key);
+        let entry;
+
+        try {
+            entry = JSON.parse(await fs.promises.readFile(entryPath, 'utf8'));
+        } catch (error) {
+            // Missing, or truncated by a crash mid-write
+            return null;
+        }
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            await fs.promises.rm(entryPath, { force: true });
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Store a value. The entry is written to a temporary file (unique per
+     * process and write) and renamed so readers never see a partial entry.
+     */
+    async set(key, value, options = {}) {
+        const ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+        const entryPath = this.getEntryPath(key);
+        const tempPath = `${entryPath}.${process.pid}.${Date.now()}.${writeCount++}.tmp`;
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify({
+            key,
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
+        }), 'utf8');
+        await fs.promises.rename(tempPath, entryPath);
+    }
+
+    /**
+     * Remove a cached value
+     */
+    async delete(key) {
+        await fs.promises.rm(this.getEntryPath(key), { force: true });
+    }
+
+    /**
+     * Remove every cached value: the entry files (and temporary files left
+     * by interrupted writes) in `directory`. Other files and the directory
+     * itself are left alone.
+     */
+    async clear() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        await Promise.all(names
+            .filter(name => ENTRY_FILE.test(name))
+            .map(name => fs.promises.rm(path.join(this.directory, name), { force: true })));
+    }
+
+    /**
+     * Get cache configuration
+     */
+    getConfiguration() {
+        return {
+            store: 'disk',
+            directory: this.directory,
+            ttl: this.ttl
+        };
+    }
+}
+
+module.exports = { DiskResultCache };
@@ -0,0 +1,86 @@
+const { DocumentProcessingError } = require('../../domain/errors/document_ai_errors');
+
+/**
+ * In-memory result cache with least-recently-used eviction.
+ *
+ * Entries expire after `ttl` milliseconds (never, by default); the least
+ * recently read entry is dropped once `maxEntries` is exceeded.
+ */
+class MemoryResultCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+        this.ttl = options.ttl || null;
+        // Map iteration order doubles as recency order (oldest first)
+        this.entries = new Map();
+
+        if (!Number.isInteger(this.maxEntries) || this.maxEntries < 1) {
+            throw new DocumentProcessingError('Cache maxEntries must be a positive integer');
+        }
+    }
+
+    /**
+     * Get a cached value, or null if missing or expired
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries if needed
+     */
+    async set(key, value, options = {}) {
+        const ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove a cached value
+     */
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Remove every cached value
+     */
+    async clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Get cache configuration
+     */
+    getConfiguration() {
+        return {
+            store: 'memory',
+            maxEntries: this.maxEntries,
+            ttl: this.ttl,
+            size: this.entries.size
+        };
+    }
+}
+
+module.exports = { MemoryResultCache };
@@ -0,0 +1,105 @@
+const { sleep, abortable, throwIfAborted } = require('../../domain/utils/cancellation');
+const { DocumentProcessingError, ErrorCodes } = require('../../domain/errors/document_ai_errors');
+
+/**
+ * Client-side token bucket shared by every request made through one
+ * DocumentAI instance.
+ *
+ * Tokens refill continuously at the configured rate up to `burst`; callers
+ * are served in FIFO order, so concurrent extractions never exceed the rate.
+ */
+class TokenBucketLimiter {
+    constructor(options = {}) {
+        if (options.requestsPerSecond) {
+            this.refillPerMs = options.requestsPerSecond / 1000;
+        } else if (options.requestsPerMinute) {
+            this.refillPerMs = options.requestsPerMinute / 60000;
+        } else {
+            throw new DocumentProcessingError('Rate limit requires requestsPerSecond or requestsPerMinute', {
+                code: ErrorCodes.INVALID_CONFIGURATION
+            });
+        }
+
+        if (!(this.refillPerMs > 0)) {
+            throw new DocumentProcessingError('Rate limit must be greater than 0', {
+                code: ErrorCodes.INVALID_CONFIGURATION
+            });
+        }
+
+        this.capacity = options.burst || Math.max(1, Math.floor(this.refillPerMs * 1000));
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Wait for a token; resolves once the caller may send its request.
+     * Aborting `signal` rejects right away and gives up the place in the
+     * queue (the turn is skipped without taking a token).
+     */
+    acquire(signal) {
+        const turn = this.queue.then(() => this.takeToken(signal));
+        this.queue = turn.catch(() => {});
+        return abortable(turn, signal);
+    }
+
+    /**
+     * Stop handing out tokens for `ms` (e.g. after a 429 with Retry-After)
+     */
+    pauseFor(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Take one token, sleeping until one is available
+     */
+    async takeToken(signal) {
+        for (;;) {
+            throwIfAborted(signal);
+            const now = Date.now();
+
+            if (now < this.pausedUntil) {
+                await this.sleep(this.pausedUntil - now, signal);
+                continue;
+            }
+
+            this.refill(now);
+
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+
+            await this.sleep(Math.ceil((1 - this.tokens) / this.refillPerMs), signal);
+        }
+    }
+
+    /**
+     * Add the tokens accumulated since the last refill
+     */
+    refill(now = Date.now()) {
+        const elapsed = now - this.lastRefill;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Utility method for sleep/delay
+     */
+    sleep(ms, signal) {
+        return sleep(ms, signal);
+    }
+
+    /**
+     * Get limiter configuration
+     */
+    getConfiguration() {
+        return {
+            requestsPerSecond: this.refillPerMs * 1000,
+            burst: this.capacity
+        };
+    }
+}
+
+module.exports = { TokenBucketLimiter };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { DocumentProcessingError, ErrorCodes } = require('../../domain/errors/document_ai_errors');
+
+/**
+ * Persists bulk extraction jobs as an append-only JSONL journal.
+ *
+ * Each job lives in `<jobsDirectory>/<jobId>/journal.jsonl`. The first line
+ * is the job manifest; every following line records a document state change.
+ * The latest entry for a document wins when the journal is replayed.
+ */
+class BatchJobRepository {
+    constructor(config = {}) {
+        if (!config.jobsDirectory) {
+            throw new DocumentProcessingError('Jobs directory is required for batch job journaling', {
+                code: ErrorCodes.INVALID_CONFIGURATION
+            });
+        }
+
+        this.jobsDirectory = path.resolve(config.jobsDirectory);
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Get the directory holding a job's files
+     */
+    getJobDirectory(jobId) {
+        if (!jobId || typeof jobId !== 'string' || !/^[\w.-]+$/.test(jobId)) {
+            throw new DocumentProcessingError(`Invalid job ID: ${jobId}`);
+        }
+        return path.join(this.jobsDirectory, jobId);
+    }
+
+    /**
+     * Get the journal file path for a job
+     */
+    getJournalPath(jobId) {
+        return path.join(this.getJobDirectory(jobId), 'journal.jsonl');
+    }
+
+    /**
+     * Check if a job journal exists
+     */
+    jobExists(jobId) {
+        return fs.existsSync(this.getJournalPath(jobId));
+    }
+
+    /**
+     * Create a new job and write its manifest
+     */
+    async createJob(jobId, manifest) {
+        if (this.jobExists(jobId)) {
+            throw new DocumentProcessingError(`Batch job already exists: ${jobId}`, { code: ErrorCodes.JOB_ALREADY_EXISTS });
+        }
+
+        await fs.promises.mkdir(this.getJobDirectory(jobId), { recursive: true });
+        await this.append(jobId, {
+            type: 'job',
+            jobId,
+            ...manifest,
+            createdAt: new Date()
+        });
+
+        return { jobId, ...manifest };
+    }
+
+    /**
+     * Record a document state change
+     */
+    async recordDocument(jobId, documentId, status, details = {}) {
+        await this.append(jobId, {
+            type: 'document',
+            documentId,
+            status,
+            ...details,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Replay a job journal into its manifest and latest document states
+     */
+    async loadJob(jobId) {
+        if (!this.jobExists(jobId)) {
+            throw new DocumentProcessingError(`Batch job not found: ${jobId}`, { code: ErrorCodes.JOB_NOT_FOUND });
+        }
+
+        const content = await fs.promises.readFile(this.getJournalPath(jobId), 'utf8');
+        const lines = content.split('\n');
+        let manifest = null;
+        const documents = new Map();
+
+        for (const line of lines) {
+            if (line.trim().length === 0) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A process killed mid-write can leave a truncated last line
+                continue;
+            }
+
+            if (entry.type === 'job') {
+                manifest = entry;
+            } else if (entry.type === 'document') {
+                documents.set(entry.documentId, entry);
+            }
+        }
+
+        if (!manifest) {
+            throw new DocumentProcessingError(`Batch job journal is missing its manifest: ${jobId}`, {
+                code: ErrorCodes.JOB_NOT_FOUND
+            });
+        }
+
+        return {
+            jobId,
+            manifest,
+            documents
+        };
+    }
+
+    /**
+     * Append an entry to the journal, serializing concurrent writers
+     */
+    append(jobId, entry) {
+        const line = JSON.stringify(entry) + '\n';
+        const journalPath = this.getJournalPath(jobId);
+
+        const write = this.writeQueue.then(() => fs.promises.appendFile(journalPath, line, 'utf8'));
+        this.writeQueue = write.catch(() => {});
+
+        return write;
+    }
+}
+
+module.exports = { BatchJobRepository };
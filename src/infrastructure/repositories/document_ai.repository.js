@@ -1,6 +1,29 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { Transform, pipeline } = require('stream');
+const {
+    DocumentAIError,
+    AuthenticationError,
+    RateLimitError,
+    FileTooLargeError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    UrlPolicyError,
+    ServerError,
+    DocumentProcessingError,
+    ErrorCodes,
+    createProcessingError
+} = require('../../domain/errors/document_ai_errors');
+const { FilePath } = require('../../domain/value-objects/file_path');
+const { UrlFetchPolicy } = require('../../domain/value-objects/url_fetch_policy');
+const { TokenBucketLimiter } = require('../rate-limiting/token_bucket.limiter');
+const { throwIfAborted, createLinkedController } = require('../../domain/utils/cancellation');
+const { sniffMimeType } = require('../../domain/utils/mime_sniffer');
 
 class DocumentAIRepository {
     constructor(config) {
@@ -8,12 +31,65 @@ class DocumentAIRepository {
             apiKey: config.apiKey,
             baseUrl: config.baseUrl || 'https://api.va.landing.ai/v1/tools/agentic-document-analysis',
             timeout: config.timeout || 30000,
-            maxRetries: config.maxRetries || 3,
-            retryDelay: config.retryDelay || 1000,
+            maxDownloadSize: config.maxDownloadSize || 50 * 1024 * 1024, // 50MB limit
             ...config
         };
 
         this.httpClient = this.createHttpClient();
+        this.rateLimiter = this.createRateLimiter();
+        this.urlPolicy = UrlFetchPolicy.from(this.config.urlPolicy);
+        this.downloadAgents = this.createDownloadAgents();
+    }
+
+    /**
+     * Create the HTTP agents used for URL documents. Every resolved address
+     * is checked against the URL policy before a connection is opened, so a
+     * host cannot pass validation and then resolve somewhere else.
+     */
+    createDownloadAgents() {
+        const policy = this.urlPolicy;
+        const lookup = (hostname, options, callback) => {
+            dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+
+                try {
+                    addresses.forEach(entry => policy.validateAddress(entry.address, hostname));
+                } catch (policyError) {
+                    callback(policyError);
+                    return;
+                }
+
+                if (options.all) {
+                    callback(null, addresses);
+                } else {
+                    callback(null, addresses[0].address, addresses[0].family);
+                }
+            });
+        };
+
+        return {
+            httpAgent: new http.Agent({ lookup }),
+            httpsAgent: new https.Agent({ lookup })
+        };
+    }
+
+    /**
+     * Create the client-side rate limiter, if configured
+     * (`rateLimit: { requestsPerSecond | requestsPerMinute, burst }`)
+     */
+    createRateLimiter() {
+        if (!this.config.rateLimit) {
+            return null;
+        }
+
+        if (this.config.rateLimit instanceof TokenBucketLimiter) {
+            return this.config.rateLimit;
+        }
+
+        return new TokenBucketLimiter(this.config.rateLimit);
     }
 
     /**
@@ -31,36 +107,100 @@ class DocumentAIRepository {
     }
 
     /**
-     * Extract data from document
+     * Extract data from document (a single attempt; retries are driven by
+     * the caller's RetryPolicy). `options.signal` aborts the download and upload.
      */
-    async extract(document, schema) {
+    async extract(document, schema, options = {}) {
+        // Also aborted when a streamed URL download exceeds its size limit mid-upload
+        const upload = createLinkedController(options.signal);
+        let download = null;
+
         try {
+            throwIfAborted(options.signal);
+            const requestOptions = { ...options, signal: upload.signal, upload };
+
+            // Wait for the rate limiter before a URL download is opened, so a
+            // queued extraction does not hold the connection open meanwhile
+            if (this.rateLimiter) {
+                await this.rateLimiter.acquire(requestOptions.signal);
+            }
+
+            if (document.isUrlDocument()) {
+                download = await this.openDownloadStream(document.filePath.value, requestOptions);
+            }
+
             // Prepare form data
-            const formData = await this.prepareFormData(document, schema);
+            const formData = await this.prepareFormData(document, schema, { ...requestOptions, download });
 
-            // Make API request with retry logic
-            const response = await this.makeRequestWithRetry(formData);
+            // Make API request
+            const response = await this.makeRequest(formData, requestOptions);
 
             return this.processResponse(response);
 
         } catch (error) {
+            // A failed request may not have consumed the download
+            if (download) {
+                download.stream.destroy();
+            }
+
+            if (upload.reason instanceof FileTooLargeError) {
+                throw upload.reason;
+            }
             throw this.handleError(error, document);
+        } finally {
+            upload.release();
         }
     }
 
     /**
-     * Prepare form data for API request
+     * Prepare form data for API request. A URL document is uploaded from
+     * `options.download` (see openDownloadStream) or downloaded here.
      */
-    async prepareFormData(document, schema) {
+    async prepareFormData(document, schema, options = {}) {
         const form = new FormData();
 
         // Add file or URL
         if (document.isUrlDocument()) {
-            // For URLs, we need to download the file first
-            const fileBuffer = await this.downloadFileFromUrl(document.filePath.value);
-            form.append('pdf', fileBuffer, {
+            // Pipe the download straight into the upload instead of buffering it
+            const download = options.download || await this.openDownloadStream(document.filePath.value, options);
+
+            // Trust the server's Content-Type over the URL extension...
+            if (download.contentType && FilePath.getExtensionForMimeType(download.contentType)) {
+                document.mimeType = download.contentType;
+            }
+
+            // ...and the content itself over both
+            const mismatch = document.applySniffedMimeType(sniffMimeType(download.header));
+            if (mismatch) {
+                download.stream.destroy();
+                throw createProcessingError(`Document cannot be processed: ${mismatch.reason}`, mismatch.code);
+            }
+
+            form.append('pdf', download.stream, {
                 filename: document.filePath.getFileName() + document.filePath.getExtension(),
-                contentType: document.mimeType
+                contentType: document.mimeType,
+                knownLength: download.contentLength
+            });
+        } else if (document.pageSelection) {
+            // Only the selected pages, copied into a smaller PDF locally
+            form.append('pdf', await document.getSelectedContent(), {
+                filename: `${document.filePath.getFileName()}.pdf`,
+                contentType: 'application/pdf'
+            });
+        } else if (document.preprocessed) {
+            // The image as prepared by Document.preprocess()
+            const [image] = document.preprocessed.images;
+            form.append('pdf', image.content, {
+                filename: document.filePath.getFileName() + FilePath.getExtensionForMimeType(image.mimeType),
+                contentType: image.mimeType
+            });
+        } else if (document.isInMemoryDocument()) {
+            // Buffers, streams and data: URIs are uploaded as they are
+            const source = document.filePath;
+            form.append('pdf', source.getContent(), {
+                filename: source.filename,
+                contentType: document.mimeType,
+                knownLength: source.stream ? document.size : undefined
             });
         } else {
             // For local files
@@ -74,77 +214,217 @@ class DocumentAIRepository {
     }
 
     /**
-     * Download file from URL
+     * Open a streaming download of a URL document ({ stream, contentType,
+     * contentLength }). `maxDownloadSize` is enforced from Content-Length
+     * up front and again while streaming; exceeding it destroys the download
+     * and aborts `options.upload`, if given.
      */
-    async downloadFileFromUrl(url) {
-        try {
-            const response = await axios.get(url, {
-                responseType: 'arraybuffer',
-                timeout: this.config.timeout,
-                maxContentLength: 50 * 1024 * 1024 // 50MB limit
-            });
+    async openDownloadStream(url, options = {}) {
+        const maxSize = this.config.maxDownloadSize;
+        const response = await this.requestDownload(url, options);
+
+        const contentLength = parseInt(response.headers['content-length'], 10);
+        if (contentLength > maxSize) {
+            response.data.destroy();
+            throw new FileTooLargeError(
+                `Failed to download file from URL: ${contentLength} bytes exceeds the ${maxSize} byte limit`
+            );
+        }
 
-            return Buffer.from(response.data);
-        } catch (error) {
-            throw new Error(`Failed to download file from URL: ${error.message}`);
+        const contentTypeHeader = response.headers['content-type'];
+        const contentType = contentTypeHeader ? contentTypeHeader.split(';')[0].trim().toLowerCase() : null;
+        if (!this.urlPolicy.isAllowedContentType(contentType)) {
+            response.data.destroy();
+            throw new UrlPolicyError(`Response content type is not allowed by the URL policy: ${contentType}`, {
+                code: ErrorCodes.CONTENT_TYPE_NOT_ALLOWED
+            });
         }
+
+        const stream = this.createSizeLimiter(maxSize, error => {
+            if (options.upload) {
+                options.upload.abort(error);
+            }
+        });
+
+        // Peek at the first bytes for content sniffing before anything is uploaded
+        const header = await this.peekStream(response.data);
+
+        // Destroying the limiter tears down the download connection too
+        pipeline(response.data, stream, () => {});
+
+        return {
+            stream,
+            header,
+            contentType,
+            contentLength: Number.isNaN(contentLength) ? undefined : contentLength
+        };
     }
 
     /**
-     * Make API request with retry logic
+     * Request a URL document, following redirects manually so every hop is
+     * validated against the URL policy
      */
-    async makeRequestWithRetry(formData) {
-        let lastError;
+    async requestDownload(url, options = {}) {
+        let currentUrl = url;
 
-        for (let attempt = 1; attempt <= this.config.maxRetries; attempt++) {
+        for (let redirects = 0; ; redirects++) {
+            this.urlPolicy.validateUrl(currentUrl);
+
+            let response;
             try {
-                const response = await this.httpClient.post('', formData, {
-                    headers: {
-                        ...formData.getHeaders()
-                    }
+                response = await axios.get(currentUrl, {
+                    ...this.downloadAgents,
+                    responseType: 'stream',
+                    signal: options.signal,
+                    timeout: this.config.timeout,
+                    maxRedirects: 0,
+                    validateStatus: status => status >= 200 && status < 400
                 });
+            } catch (error) {
+                if (error.response && error.response.data && typeof error.response.data.destroy === 'function') {
+                    error.response.data.destroy();
+                }
+                throw this.handleDownloadError(error);
+            }
 
+            if (response.status < 300) {
                 return response;
+            }
 
-            } catch (error) {
-                lastError = error;
+            response.data.destroy();
+            const location = response.headers.location;
 
-                // Don't retry on certain errors
-                if (this.shouldNotRetry(error)) {
-                    throw error;
-                }
+            if (!location) {
+                throw new DocumentProcessingError(`Failed to download file from URL: redirect without a location (${response.status})`, {
+                    code: ErrorCodes.DOWNLOAD_FAILED,
+                    status: response.status
+                });
+            }
 
-                // Wait before retry (exponential backoff)
-                if (attempt < this.config.maxRetries) {
-                    const delay = this.config.retryDelay * Math.pow(2, attempt - 1);
-                    await this.sleep(delay);
-                }
+            if (redirects >= this.urlPolicy.maxRedirects) {
+                throw new UrlPolicyError(`Too many redirects (limit is ${this.urlPolicy.maxRedirects})`, {
+                    code: ErrorCodes.TOO_MANY_REDIRECTS
+                });
             }
+
+            currentUrl = new URL(location, currentUrl).href;
         }
+    }
+
+    /**
+     * Read the first chunk of a readable stream and push it back, so the
+     * stream still yields every byte
+     */
+    peekStream(stream) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                stream.off('readable', onReadable);
+                stream.off('end', onEnd);
+                stream.off('error', onError);
+                stream.off('close', onClose);
+            };
+            const onReadable = () => {
+                const chunk = stream.read();
+                if (chunk !== null) {
+                    cleanup();
+                    stream.unshift(chunk);
+                    resolve(chunk);
+                }
+            };
+            const onEnd = () => {
+                cleanup();
+                resolve(Buffer.alloc(0));
+            };
+            const onError = error => {
+                cleanup();
+                reject(this.handleDownloadError(error));
+            };
+            const onClose = () => onError(new Error('Connection closed before any data was received'));
 
-        throw lastError;
+            stream.on('readable', onReadable);
+            stream.once('end', onEnd);
+            stream.once('error', onError);
+            stream.once('close', onClose);
+        });
     }
 
     /**
-     * Determine if error should not be retried
+     * Create a pass-through stream that fails once more than `maxSize` bytes
+     * have gone through it
      */
-    shouldNotRetry(error) {
-        // Don't retry on authentication errors
-        if (error.response?.status === 401) {
-            return true;
+    createSizeLimiter(maxSize, onExceeded) {
+        let received = 0;
+
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+
+                if (received > maxSize) {
+                    const error = new FileTooLargeError(
+                        `Failed to download file from URL: exceeds the ${maxSize} byte limit`
+                    );
+                    onExceeded(error);
+                    callback(error);
+                    return;
+                }
+
+                callback(null, chunk);
+            }
+        });
+    }
+
+    /**
+     * Transform a failed document download into the SDK error hierarchy
+     */
+    handleDownloadError(error) {
+        const message = `Failed to download file from URL: ${error.message}`;
+        const status = error.response?.status;
+
+        if (this.isCancellation(error)) {
+            return new CancelledError('Document download was cancelled', { cause: error });
+        }
+
+        // Raised by the guarded DNS lookup and wrapped by axios
+        if (error.cause instanceof UrlPolicyError) {
+            return error.cause;
+        }
+
+        if (status === 429) {
+            return new RateLimitError(message, {
+                retryAfter: this.parseRetryAfter(error.response.headers?.['retry-after']),
+                cause: error
+            });
+        }
+
+        if (status >= 500) {
+            return new ServerError(message, {
+                status,
+                retryAfter: this.parseRetryAfter(error.response.headers?.['retry-after']),
+                cause: error
+            });
         }
 
-        // Don't retry on validation errors
-        if (error.response?.status === 400) {
-            return true;
+        if (status) {
+            return new DocumentProcessingError(message, { code: ErrorCodes.DOWNLOAD_FAILED, status, cause: error });
         }
 
-        // Don't retry on client errors (4xx)
-        if (error.response?.status >= 400 && error.response?.status < 500) {
-            return true;
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new TimeoutError(message, { cause: error });
         }
 
-        return false;
+        return new NetworkError(message, { cause: error });
+    }
+
+    /**
+     * Make API request
+     */
+    async makeRequest(formData, options = {}) {
+        return await this.httpClient.post('', formData, {
+            signal: options.signal,
+            headers: {
+                ...formData.getHeaders()
+            }
+        });
     }
 
     /**
@@ -152,7 +432,10 @@ class DocumentAIRepository {
      */
     processResponse(response) {
         if (!response.data) {
-            throw new Error('Empty response from API');
+            throw new ServerError('Empty response from API', {
+                status: response.status,
+                requestId: response.headers?.['x-request-id']
+            });
         }
 
         // Handle different response formats
@@ -188,46 +471,71 @@ class DocumentAIRepository {
     }
 
     /**
-     * Handle and transform errors
+     * Handle and transform errors into the SDK error hierarchy
      */
     handleError(error, document) {
+        if (error instanceof DocumentAIError) {
+            return error;
+        }
+
+        if (this.isCancellation(error)) {
+            return new CancelledError('Request was cancelled', { cause: error });
+        }
+
         if (error.response) {
             // API error response
             const status = error.response.status;
             const data = error.response.data;
+            const options = {
+                status,
+                requestId: error.response.headers?.['x-request-id'] || data?.request_id,
+                retryAfter: this.parseRetryAfter(error.response.headers?.['retry-after']),
+                cause: error
+            };
+
+            // Hold back every concurrent extraction, not just this one
+            if (status === 429 && this.rateLimiter && options.retryAfter) {
+                this.rateLimiter.pauseFor(options.retryAfter);
+            }
 
             switch (status) {
                 case 401:
-                    return new Error('Invalid API key. Please check your credentials.');
+                    return new AuthenticationError('Invalid API key. Please check your credentials.', options);
                 case 403:
-                    return new Error('Access denied. Please check your API permissions.');
+                    return new AuthenticationError('Access denied. Please check your API permissions.', options);
                 case 404:
-                    return new Error('API endpoint not found. Please check the base URL.');
+                    return new DocumentAIError('API endpoint not found. Please check the base URL.', options);
                 case 413:
-                    return new Error('File too large. Please use a smaller file.');
+                    return new FileTooLargeError('File too large. Please use a smaller file.', options);
                 case 429:
-                    return new Error('Rate limit exceeded. Please try again later.');
+                    return new RateLimitError('Rate limit exceeded. Please try again later.', options);
                 case 500:
-                    return new Error('Internal server error. Please try again later.');
+                    return new ServerError('Internal server error. Please try again later.', options);
                 case 502:
                 case 503:
                 case 504:
-                    return new Error('Service temporarily unavailable. Please try again later.');
+                    return new ServerError('Service temporarily unavailable. Please try again later.', options);
                 default:
-                    return new Error(`API error (${status}): ${data?.message || data?.error || 'Unknown error'}`);
+                    if (status >= 500) {
+                        return new ServerError(`API error (${status}): ${data?.message || data?.error || 'Unknown error'}`, options);
+                    }
+                    return new DocumentAIError(`API error (${status}): ${data?.message || data?.error || 'Unknown error'}`, options);
             }
         }
 
-        if (error.code === 'ENOTFOUND') {
-            return new Error('Network error: Could not connect to API server.');
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new TimeoutError('Request timeout. Please try again.', { cause: error });
         }
 
-        if (error.code === 'ECONNABORTED') {
-            return new Error('Request timeout. Please try again.');
+        if (error.code === 'ENOENT') {
+            return new DocumentProcessingError(`File not found: ${document ? document.filePath.value : error.path}`, {
+                code: ErrorCodes.FILE_NOT_FOUND,
+                cause: error
+            });
         }
 
-        if (error.code === 'ENOENT') {
-            return new Error(`File not found: ${document.filePath.value}`);
+        if (['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE'].includes(error.code) || error.request) {
+            return new NetworkError('Network error: Could not connect to API server.', { cause: error });
         }
 
         // Return original error if no specific handling
@@ -235,18 +543,40 @@ class DocumentAIRepository {
     }
 
     /**
-     * Sleep utility for retry delays
+     * Check if an axios error comes from an aborted signal
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    isCancellation(error) {
+        return axios.isCancel(error) || error.code === 'ERR_CANCELED';
+    }
+
+    /**
+     * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+     */
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return undefined;
+        }
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return undefined;
     }
 
     /**
      * Test API connection
      */
-    async testConnection() {
+    async testConnection(options = {}) {
         try {
             const response = await this.httpClient.get('', {
+                signal: options.signal,
                 timeout: 10000 // Shorter timeout for connection test
             });
 
@@ -289,8 +619,9 @@ class DocumentAIRepository {
         return {
             baseUrl: this.config.baseUrl,
             timeout: this.config.timeout,
-            maxRetries: this.config.maxRetries,
-            retryDelay: this.config.retryDelay,
+            maxDownloadSize: this.config.maxDownloadSize,
+            urlPolicy: this.urlPolicy.toJSON(),
+            rateLimit: this.rateLimiter ? this.rateLimiter.getConfiguration() : null,
             hasApiKey: !!this.config.apiKey
         };
     }
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { DocumentAIService } = require('../../src/domain/application/document_ai.service');
+
+describe('Resumable batch jobs', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'batch-job');
+    const jobsDirectory = path.join(tmpDir, 'jobs');
+    const filePaths = ['./tmp/batch-job/a.pdf', './tmp/batch-job/b.pdf', './tmp/batch-job/c.pdf'];
+    const schema = { name: 'string' };
+
+    const createService = (extract) => {
+        const service = new DocumentAIService({ apiKey: 'test-key', jobsDirectory });
+        service.repository.extract = jest.fn(extract);
+        return service;
+    };
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+        filePaths.forEach(filePath => fs.writeFileSync(filePath, `%PDF-1.4\n% ${path.basename(filePath)}\n%%EOF\n`));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should journal document states and resume only unfinished documents', async () => {
+        const firstRun = createService(async (document) => {
+            if (document.filePath.value.endsWith('b.pdf')) {
+                throw new Error('Invalid API key. Please check your credentials.');
+            }
+            return { data: { name: document.filePath.getFileName() }, metadata: { confidence: 0.9 } };
+        });
+
+        const initial = await firstRun.extractBulk(filePaths, schema, { jobId: 'job-resume', maxWorkers: 2 });
+
+        expect(initial.jobId).toBe('job-resume');
+        expect(initial.completed).toBe(2);
+        expect(initial.failed).toBe(1);
+
+        const journal = fs.readFileSync(path.join(jobsDirectory, 'job-resume', 'journal.jsonl'), 'utf8');
+        expect(journal.trim().split('\n')).toHaveLength(4);
+
+        const secondRun = createService(async (document) => ({
+            data: { name: document.filePath.getFileName() },
+            metadata: { confidence: 0.8 }
+        }));
+
+        const resumed = await secondRun.resumeJob('job-resume');
+
+        expect(secondRun.repository.extract).toHaveBeenCalledTimes(1);
+        expect(resumed.skipped).toBe(2);
+        expect(resumed.completed).toBe(3);
+        expect(resumed.failed).toBe(0);
+        expect(resumed.results.map(result => result.extractedData.name)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should tolerate a truncated last journal line', async () => {
+        const service = createService(async () => ({ data: { name: 'x' }, metadata: {} }));
+        await service.extractBulk(filePaths.slice(0, 1), schema, { jobId: 'job-truncated' });
+
+        const journalPath = path.join(jobsDirectory, 'job-truncated', 'journal.jsonl');
+        fs.appendFileSync(journalPath, '{"type":"document","docum');
+
+        const job = await service.jobRepository.loadJob('job-truncated');
+        expect(job.documents.get('job-truncated_0').status).toBe('completed');
+    });
+
+    test('should require a Zod schema to be passed again when resuming', async () => {
+        const zodSchema = z.object({ name: z.string().transform(name => name.toUpperCase()) });
+        const service = createService(async (document) => ({ data: { name: document.filePath.getFileName() }, metadata: {} }));
+        await service.extractBulk(filePaths.slice(0, 2), zodSchema, { jobId: 'job-zod' });
+
+        await expect(service.resumeJob('job-zod')).rejects.toThrow('has to be passed again');
+
+        const resumed = await service.resumeJob('job-zod', zodSchema);
+        expect(resumed.skipped).toBe(2);
+        expect(resumed.results.map(result => result.extractedData.name)).toEqual(['A', 'B']);
+    });
+
+    test('should refuse to resume without a jobs directory', async () => {
+        const service = new DocumentAIService({ apiKey: 'test-key' });
+        await expect(service.resumeJob('missing')).rejects.toThrow('no jobs directory configured');
+    });
+});
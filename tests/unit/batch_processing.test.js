@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { Document } = require('../../src/domain/entities/documents');
+const { BatchProcessingService } = require('../../src/domain/services/batch_processing.service');
+const { ProcessingEvents } = require('../../src/domain/events/processing_events');
+const {
+    UnsupportedFileTypeError,
+    AuthenticationError
+} = require('../../src/domain/errors/document_ai_errors');
+
+describe('BatchProcessingService', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'batch-processing');
+    const samplePath = './tmp/batch-processing/sample.pdf';
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+        fs.writeFileSync(samplePath, '%PDF-1.4\n%%EOF\n');
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createDocuments = (count) =>
+        Array.from({ length: count }, (_, i) => new Document(`doc-${i}`, samplePath, 'application/pdf'));
+
+    test('should accept any number of documents', () => {
+        const service = new BatchProcessingService({ maxWorkers: 2 });
+
+        for (const document of createDocuments(10)) {
+            service.addToBatch(document);
+        }
+
+        expect(service.processingQueue.length).toBe(10);
+    });
+
+    test('should process every queued document', async () => {
+        const service = new BatchProcessingService({ maxWorkers: 3, retryLoggingStyle: 'none' });
+        createDocuments(25).forEach(document => service.addToBatch(document));
+
+        const results = await service.processBatch(async () => ({ ok: true }));
+
+        expect(results.processed).toBe(25);
+        expect(results.completed).toBe(25);
+        expect(service.processingQueue.length).toBe(0);
+        expect(service.completedDocuments.length).toBe(25);
+    });
+
+    test('should keep maxWorkers extractions in flight', async () => {
+        const service = new BatchProcessingService({ maxWorkers: 3, retryLoggingStyle: 'none' });
+        const documents = createDocuments(9);
+        documents.forEach(document => service.addToBatch(document));
+
+        let inFlight = 0;
+        let maxInFlight = 0;
+
+        await service.processBatch(async (document) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+
+            // The first document is slow; the others must not wait for it
+            const delay = document.id === 'doc-0' ? 50 : 5;
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            inFlight--;
+            return { ok: true };
+        });
+
+        expect(maxInFlight).toBe(3);
+        expect(documents[8].processingStatus).toBe('completed');
+        expect(service.completedDocuments[service.completedDocuments.length - 1].id).toBe('doc-0');
+    });
+
+    test('should report failures without stopping the pool', async () => {
+        const service = new BatchProcessingService({ maxWorkers: 2, retryLoggingStyle: 'none' });
+        createDocuments(4).forEach(document => service.addToBatch(document));
+
+        const results = await service.processBatch(async (document) => {
+            if (document.id === 'doc-1') {
+                throw new AuthenticationError('Invalid API key. Please check your credentials.', { status: 401 });
+            }
+            return { ok: true };
+        });
+
+        expect(results.completed).toBe(3);
+        expect(results.failed).toBe(1);
+        expect(results.errors[0].documentId).toBe('doc-1');
+    });
+
+    test('should reject a document already in the queue until its batch runs', async () => {
+        const service = new BatchProcessingService({ maxWorkers: 2, retryLoggingStyle: 'none' });
+
+        service.addToBatch(createDocuments(1)[0]);
+        expect(() => service.addToBatch(createDocuments(1)[0])).toThrow('already in processing queue');
+
+        await service.processBatch(async () => ({ ok: true }));
+
+        expect(() => service.addToBatch(createDocuments(1)[0])).not.toThrow();
+    });
+
+    test('should prepare each document in its worker and record the failures', async () => {
+        const service = new BatchProcessingService({ maxWorkers: 1, retryLoggingStyle: 'none' });
+        createDocuments(3).forEach(document => service.queueDocument(document));
+        const calls = [];
+
+        const results = await service.processBatch(async (document) => {
+            calls.push(`extract ${document.id}`);
+            return { ok: true };
+        }, {
+            prepare: async (document) => {
+                calls.push(`prepare ${document.id}`);
+                if (document.id === 'doc-1') {
+                    throw new UnsupportedFileTypeError('Unsupported file type: text/plain');
+                }
+            }
+        });
+
+        expect(calls).toEqual(['prepare doc-0', 'extract doc-0', 'prepare doc-1', 'prepare doc-2', 'extract doc-2']);
+        expect(results.completed).toBe(2);
+        expect(results.errors).toEqual([{ documentId: 'doc-1', error: 'Unsupported file type: text/plain' }]);
+    });
+
+    test('should log through the given logger only', async () => {
+        const logger = { info: jest.fn() };
+        const logged = new BatchProcessingService({ maxWorkers: 2, logger });
+        const silent = new BatchProcessingService({ maxWorkers: 2 });
+        createDocuments(2).forEach(document => logged.addToBatch(document));
+        createDocuments(2).forEach(document => silent.addToBatch(document));
+
+        await logged.processBatch(async () => ({ ok: true }));
+        await silent.processBatch(async () => ({ ok: true }));
+
+        expect(logger.info).toHaveBeenCalledWith('Document doc-0 - Attempt 1 - SUCCESS');
+        expect(logger.info).toHaveBeenCalledWith('[Batch Processing] Starting batch processing', expect.any(Object));
+        expect(console.log).not.toHaveBeenCalled();
+    });
+
+    test('should emit lifecycle and progress events', async () => {
+        const service = new BatchProcessingService({ maxWorkers: 2, retryLoggingStyle: 'none' });
+        const events = [];
+        Object.values(ProcessingEvents).forEach(eventName =>
+            service.on(eventName, payload => events.push({ eventName, payload }))
+        );
+
+        createDocuments(3).forEach(document => service.addToBatch(document));
+
+        await service.processBatch(async (document) => {
+            if (document.id === 'doc-2') {
+                throw new UnsupportedFileTypeError('Unsupported file type: image/heic');
+            }
+            return { ok: true };
+        });
+
+        const names = events.map(event => event.eventName);
+        expect(names.filter(name => name === ProcessingEvents.DOCUMENT_QUEUED)).toHaveLength(3);
+        expect(names[3]).toBe(ProcessingEvents.BATCH_START);
+        expect(names[names.length - 1]).toBe(ProcessingEvents.BATCH_COMPLETED);
+
+        const starts = events.filter(event => event.eventName === ProcessingEvents.DOCUMENT_START);
+        expect(starts.map(event => event.payload.documentId).sort()).toEqual(['doc-0', 'doc-1', 'doc-2']);
+
+        const completed = events.find(event =>
+            event.eventName === ProcessingEvents.DOCUMENT_COMPLETED && event.payload.documentId === 'doc-1');
+        expect(completed.payload.attempts).toBe(1);
+
+        const failed = events.find(event => event.eventName === ProcessingEvents.DOCUMENT_FAILED);
+        expect(failed.payload).toMatchObject({ documentId: 'doc-2', attempts: 1 });
+
+        const progress = events.filter(event => event.eventName === ProcessingEvents.BATCH_PROGRESS);
+        expect(progress).toHaveLength(3);
+        expect(progress[2].payload).toMatchObject({ total: 3, completed: 2, failed: 1, remaining: 0, percent: 100, eta: 0 });
+    });
+
+    test('should rethrow errors of the worker pool from processStream', async () => {
+        const service = new BatchProcessingService({ maxWorkers: 2, retryLoggingStyle: 'none' });
+        service.on(ProcessingEvents.BATCH_PROGRESS, () => {
+            throw new Error('listener failed');
+        });
+        createDocuments(3).forEach(document => service.addToBatch(document));
+
+        const consume = async () => {
+            for await (const outcome of service.processStream(async () => ({ ok: true }))) {
+                expect(outcome).toBeDefined();
+            }
+        };
+
+        await expect(consume()).rejects.toThrow('listener failed');
+    });
+});
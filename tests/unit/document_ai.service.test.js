@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { z } = require('zod');
+const { DocumentAIService } = require('../../src/domain/application/document_ai.service');
+const { Document } = require('../../src/domain/entities/documents');
+const { ExtractionResult } = require('../../src/domain/entities/extraction');
+const { ProcessingEvents } = require('../../src/domain/events/processing_events');
+const { ServerError, CancelledError } = require('../../src/domain/errors/document_ai_errors');
+
+describe('DocumentAIService', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'document-ai-service');
+    const filePaths = Array.from({ length: 6 }, (_, i) => `./tmp/document-ai-service/doc-${i}.pdf`);
+    const schema = { name: 'string' };
+
+    const createService = (extract) => {
+        const service = new DocumentAIService({ apiKey: 'test-key' });
+        service.repository.extract = jest.fn(extract);
+        return service;
+    };
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+        filePaths.forEach(filePath => fs.writeFileSync(filePath, `%PDF-1.4\n% ${path.basename(filePath)}\n%%EOF\n`));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('extractStream', () => {
+        test('should yield results and failure records as documents finish', async () => {
+            const service = createService(async (document) => {
+                if (document.filePath.value.endsWith('doc-1.pdf')) {
+                    throw new Error('Invalid API key. Please check your credentials.');
+                }
+                return { data: { name: document.filePath.getFileName() }, metadata: {} };
+            });
+
+            const items = [];
+            for await (const item of service.extractStream([...filePaths.slice(0, 3), './missing.txt'], schema)) {
+                items.push(item);
+            }
+
+            const results = items.filter(item => item instanceof ExtractionResult);
+            const failures = items.filter(item => !(item instanceof ExtractionResult));
+
+            expect(results.map(result => result.extractedData.name).sort()).toEqual(['doc-0', 'doc-2']);
+            expect(failures).toHaveLength(2);
+            expect(failures.every(failure => failure.status === 'failed')).toBe(true);
+            expect(failures.map(failure => failure.filePath)).toContain('./missing.txt');
+        });
+
+        test('should not start new documents while the consumer is behind', async () => {
+            let started = 0;
+            const service = createService(async () => {
+                started++;
+                return { data: { name: 'x' }, metadata: {} };
+            });
+
+            let consumed = 0;
+            for await (const item of service.extractStream(filePaths, schema, { maxWorkers: 2, highWaterMark: 1 })) {
+                expect(item).toBeInstanceOf(ExtractionResult);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                consumed++;
+                expect(started - consumed).toBeLessThanOrEqual(3);
+            }
+
+            expect(consumed).toBe(filePaths.length);
+        });
+
+        test('should stop starting documents when the consumer leaves early', async () => {
+            const service = createService(async () => ({ data: { name: 'x' }, metadata: {} }));
+
+            for await (const item of service.extractStream(filePaths, schema, { maxWorkers: 1, highWaterMark: 1 })) {
+                expect(item).toBeInstanceOf(ExtractionResult);
+                break;
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(service.repository.extract.mock.calls.length).toBeLessThan(filePaths.length);
+        });
+    });
+
+    describe('in-memory inputs', () => {
+        test('should extract Buffers and data: URIs in bulk without touching disk', async () => {
+            const service = createService(async (document) => ({
+                data: { name: document.filePath.getFileName() },
+                metadata: {}
+            }));
+            const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+            const otherPdf = Buffer.from('%PDF-1.4\n% other\n%%EOF\n');
+
+            const results = await service.extractBulk([
+                { data: pdf, filename: 'first.pdf' },
+                `data:application/pdf;base64,${otherPdf.toString('base64')}`,
+                Buffer.from('not a document')
+            ], schema);
+
+            expect(results.completed).toBe(2);
+            expect(results.results.map(result => result.extractedData.name)).toEqual(['first', 'document']);
+            expect(results.errors).toEqual([
+                expect.objectContaining({ filePath: 'Buffer', error: expect.stringContaining('Unsupported file type') })
+            ]);
+        });
+    });
+
+    describe('deduplication', () => {
+        const copies = ['./tmp/document-ai-service/copy-a.pdf', './tmp/document-ai-service/copy-b.pdf'];
+
+        beforeAll(() => {
+            copies.forEach(copy => fs.copyFileSync(filePaths[0], copy));
+        });
+
+        test('should extract identical files once and fan the result out', async () => {
+            const service = createService(async (document) => ({
+                data: { name: document.filePath.getFileName() },
+                metadata: {}
+            }));
+
+            const results = await service.extractBulk([filePaths[0], filePaths[1], ...copies], schema);
+
+            expect(service.repository.extract).toHaveBeenCalledTimes(2);
+            expect(results.completed).toBe(4);
+            expect(results.results.map(result => result.extractedData.name)).toEqual(['doc-0', 'doc-1', 'doc-0', 'doc-0']);
+            expect(results.results[2].metadata.duplicateOf).toBe(results.results[0].documentId);
+            expect(results.duplicates).toEqual([{
+                contentHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+                documentIds: results.results.filter(result => result.extractedData.name === 'doc-0').map(result => result.documentId),
+                filePaths: [filePaths[0], ...copies]
+            }]);
+        });
+
+        test('should give duplicates the failure of the extracted document', async () => {
+            const service = createService(async () => {
+                throw new Error('Invalid API key. Please check your credentials.');
+            });
+
+            const results = await service.extractBulk([filePaths[0], ...copies], schema);
+
+            expect(service.repository.extract).toHaveBeenCalledTimes(1);
+            expect(results.failed).toBe(3);
+            expect(results.errors.filter(error => error.duplicateOf)).toHaveLength(2);
+        });
+
+        test('should start extracting before the later inputs are inspected', async () => {
+            const calls = [];
+            const service = createService(async (document) => {
+                calls.push(`extract ${document.filePath.getFileName()}`);
+                return { data: { name: 'x' }, metadata: {} };
+            });
+            const inspect = Document.prototype.inspect;
+            jest.spyOn(Document.prototype, 'inspect').mockImplementation(function () {
+                calls.push(`inspect ${this.filePath.getFileName()}`);
+                return inspect.call(this);
+            });
+
+            const results = await service.extractBulk([filePaths[0], copies[0], filePaths[1]], schema, { maxWorkers: 1 });
+
+            expect(calls).toEqual([
+                'inspect doc-0', 'extract doc-0', 'inspect copy-a', 'inspect doc-1', 'extract doc-1'
+            ]);
+            expect(results.results[1].metadata.duplicateOf).toBe(results.results[0].documentId);
+        });
+
+        test('should extract every copy when dedupe is false', async () => {
+            const service = createService(async () => ({ data: { name: 'x' }, metadata: {} }));
+
+            const results = await service.extractBulk([filePaths[0], ...copies], schema, { dedupe: false });
+
+            expect(service.repository.extract).toHaveBeenCalledTimes(3);
+            expect(results.completed).toBe(3);
+            expect(results.duplicates).toEqual([]);
+        });
+    });
+
+    describe('retry policy', () => {
+        test('should retry each document in exactly one place', async () => {
+            let calls = 0;
+            const service = createService(async () => {
+                calls++;
+                if (calls < 3) {
+                    throw new ServerError('Service temporarily unavailable', { status: 503 });
+                }
+                return { data: { name: 'x' }, metadata: {} };
+            });
+            const retries = [];
+            service.on(ProcessingEvents.DOCUMENT_RETRY, payload => retries.push(payload));
+
+            const extraction = await service.extractData(filePaths[0], schema, {
+                retryPolicy: { maxAttempts: 5, baseDelay: 0 }
+            });
+
+            expect(extraction.success).toBe(true);
+            expect(service.repository.extract).toHaveBeenCalledTimes(3);
+            expect(retries.map(retry => retry.attempt)).toEqual([1, 2]);
+            expect(retries[0].maxAttempts).toBe(5);
+        });
+
+        test('should not retry a Readable stream input', async () => {
+            const service = createService(async () => {
+                throw new ServerError('Service temporarily unavailable', { status: 503 });
+            });
+
+            await expect(service.extractData(
+                { data: Readable.from([Buffer.from('%PDF-1.4\n')]), filename: 'upload.pdf' },
+                schema,
+                { retryPolicy: { maxAttempts: 5, baseDelay: 0 } }
+            )).rejects.toBeInstanceOf(ServerError);
+
+            expect(service.repository.extract).toHaveBeenCalledTimes(1);
+        });
+
+        test('should give up a bulk document after maxAttempts', async () => {
+            const service = createService(async () => {
+                throw new ServerError('Service temporarily unavailable', { status: 503 });
+            });
+
+            const results = await service.extractBulk(filePaths.slice(0, 2), schema, {
+                retryPolicy: { maxAttempts: 2, baseDelay: 0 }
+            });
+
+            expect(results.failed).toBe(2);
+            expect(service.repository.extract).toHaveBeenCalledTimes(4);
+        });
+    });
+
+    describe('cancellation', () => {
+        test('should interrupt the wait between retries when the signal aborts', async () => {
+            const controller = new AbortController();
+            const service = createService(async () => {
+                throw new ServerError('Service temporarily unavailable', { status: 503 });
+            });
+            const cancelled = [];
+            service.on(ProcessingEvents.DOCUMENT_CANCELLED, payload => cancelled.push(payload));
+            setTimeout(() => controller.abort(), 20);
+
+            await expect(service.extractData(filePaths[0], schema, {
+                signal: controller.signal,
+                retryPolicy: { maxAttempts: 5, baseDelay: 60000, jitter: 'none' }
+            })).rejects.toBeInstanceOf(CancelledError);
+
+            expect(service.repository.extract).toHaveBeenCalledTimes(1);
+            expect(cancelled).toHaveLength(1);
+            expect(service.errors.size).toBe(0);
+        });
+
+        test('should report documents not started before abort as cancelled', async () => {
+            const controller = new AbortController();
+            const service = createService(async () => {
+                controller.abort();
+                return { data: { name: 'x' }, metadata: {} };
+            });
+
+            const results = await service.extractBulk(filePaths.slice(0, 3), schema, {
+                maxWorkers: 1,
+                signal: controller.signal
+            });
+
+            expect(results.completed).toBe(1);
+            expect(results.failed).toBe(0);
+            expect(results.cancelled).toBe(2);
+            expect(results.cancelledDocuments.map(doc => doc.filePath)).toEqual(filePaths.slice(1, 3));
+            expect(results.errors).toHaveLength(0);
+        });
+
+        test('should yield cancelled records from extractStream', async () => {
+            const controller = new AbortController();
+            const service = createService(async () => {
+                controller.abort();
+                return { data: { name: 'x' }, metadata: {} };
+            });
+
+            const items = [];
+            for await (const item of service.extractStream(filePaths.slice(0, 3), schema, {
+                maxWorkers: 1,
+                signal: controller.signal
+            })) {
+                items.push(item);
+            }
+
+            expect(items.filter(item => item instanceof ExtractionResult)).toHaveLength(1);
+            expect(items.filter(item => item.status === 'cancelled')).toHaveLength(2);
+        });
+    });
+
+    describe('Zod schemas', () => {
+        const Invoice = z.object({
+            invoiceNumber: z.string(),
+            total: z.coerce.number()
+        });
+
+        test('should send the converted JSON schema and parse the response with Zod', async () => {
+            const service = createService(async (document, schema) => {
+                expect(schema.toJsonSchema()).toEqual(expect.objectContaining({
+                    type: 'object',
+                    required: ['invoiceNumber', 'total'],
+                    properties: { invoiceNumber: { type: 'string' }, total: { type: 'number' } }
+                }));
+                return { data: { invoiceNumber: 'INV-1', total: '1200.50' }, metadata: {} };
+            });
+
+            const { result } = await service.extractData(filePaths[0], Invoice);
+
+            expect(result.extractedData).toEqual({ invoiceNumber: 'INV-1', total: 1200.5 });
+            expect(result.isValid()).toBe(true);
+        });
+
+        test('should not parse transformed data again when restoring or merging results', async () => {
+            const Amount = z.object({ amount: z.string().transform(Number) });
+            const service = new DocumentAIService({ apiKey: 'test-key', cache: true });
+            service.repository.extract = jest.fn(async () => ({ data: { amount: '12.50' }, metadata: {} }));
+
+            const { result } = await service.extractData(filePaths[0], Amount);
+            const { result: cached } = await service.extractData(filePaths[0], Amount);
+            const bulk = await service.extractBulk([filePaths[1], filePaths[1]], Amount);
+
+            expect(cached.metadata.cacheHit).toBe(true);
+            expect([result, cached, ...bulk.results].map(item => [item.status, item.extractedData.amount]))
+                .toEqual([['completed', 12.5], ['completed', 12.5], ['completed', 12.5], ['completed', 12.5]]);
+
+            const merged = result.merge(ExtractionResult.fromJSON(result.toJSON(), result.schema));
+            expect([merged.status, merged.extractedData]).toEqual(['completed', { amount: 12.5 }]);
+        });
+
+        test('should report Zod validation issues on the result', async () => {
+            const service = createService(async () => ({ data: { total: 'n/a' }, metadata: {} }));
+
+            const { result } = await service.extractData(filePaths[0], Invoice);
+
+            expect(result.isValid()).toBe(false);
+            expect(result.errors.map(error => error.field).sort()).toEqual(['invoiceNumber', 'total']);
+        });
+    });
+
+    describe('simple schemas', () => {
+        test('should require plain types and honor optional and default fields', () => {
+            const service = createService(async () => ({ data: {}, metadata: {} }));
+
+            const schema = service.createSchema({
+                name: 'string',
+                nickname: { type: 'string', optional: true },
+                country: { type: 'string', default: 'NL' },
+                email: { type: 'string', nullable: true }
+            });
+
+            expect(schema.getRequiredFields()).toEqual(['name', 'email']);
+            expect(schema.validateData({ name: 'Ada', email: null }).data).toEqual({ name: 'Ada', email: null, country: 'NL' });
+        });
+    });
+});
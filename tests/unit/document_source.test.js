@@ -0,0 +1,74 @@
+const { Readable } = require('stream');
+const { Document } = require('../../src/domain/entities/documents');
+const { DocumentSource } = require('../../src/domain/value-objects/document_source');
+const { DocumentAIRepository } = require('../../src/infrastructure/repositories/document_ai.repository');
+const { Schema } = require('../../src/domain/entities/schema');
+const { ErrorCodes } = require('../../src/domain/errors/document_ai_errors');
+
+describe('DocumentSource', () => {
+    const pdfBytes = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+    test('should sniff the MIME type of a Buffer', () => {
+        const source = new DocumentSource(pdfBytes);
+
+        expect(source.mimeType).toBe('application/pdf');
+        expect(source.filename).toBe('document.pdf');
+        expect(source.size).toBe(pdfBytes.length);
+        expect(source.isReplayable()).toBe(true);
+    });
+
+    test('should wrap a Uint8Array without copying', () => {
+        const bytes = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]);
+        const source = new DocumentSource(bytes, { filename: 'scan.png' });
+
+        expect(source.mimeType).toBe('image/png');
+        expect(source.getContent().buffer).toBe(bytes.buffer);
+    });
+
+    test('should decode base64 data: URIs with their declared MIME type', () => {
+        const source = new DocumentSource(`data:application/pdf;base64,${pdfBytes.toString('base64')}`);
+
+        expect(source.mimeType).toBe('application/pdf');
+        expect(source.getContent().equals(pdfBytes)).toBe(true);
+    });
+
+    test('should take the MIME type of a stream from its descriptor', () => {
+        const source = new DocumentSource({
+            data: Readable.from([pdfBytes]),
+            filename: 'invoice.pdf'
+        });
+
+        expect(source.mimeType).toBe('application/pdf');
+        expect(source.isReplayable()).toBe(false);
+        source.getContent();
+        expect(() => source.getContent()).toThrow('already been consumed');
+    });
+
+    test('should reject unknown input types', () => {
+        expect(() => new DocumentSource({ data: 42 })).toThrow('Document input must be');
+    });
+
+    test('should run in-memory documents through size and type checks', () => {
+        const large = new Document('doc-1', { data: Buffer.alloc(10), filename: 'big.pdf', mimeType: 'application/pdf' }, null, 60 * 1024 * 1024);
+        const unknown = new Document('doc-2', Buffer.from('plain text'));
+        const valid = new Document('doc-3', pdfBytes);
+
+        expect(large.canBeProcessed().code).toBe(ErrorCodes.FILE_TOO_LARGE);
+        expect(unknown.canBeProcessed().code).toBe(ErrorCodes.UNSUPPORTED_FILE_TYPE);
+        expect(valid.canBeProcessed().canProcess).toBe(true);
+        expect(valid.isInMemoryDocument()).toBe(true);
+    });
+
+    test('should upload in-memory content with its filename and type', async () => {
+        const repository = new DocumentAIRepository({ apiKey: 'test-key' });
+        const document = new Document('doc-1', { data: pdfBytes, filename: 'upload.pdf' });
+        const schema = new Schema({ name: { type: 'string' } });
+
+        const form = await repository.prepareFormData(document, schema);
+        const body = form.getBuffer().toString();
+
+        expect(body).toContain('filename="upload.pdf"');
+        expect(body).toContain('Content-Type: application/pdf');
+        expect(body).toContain('%PDF-1.4');
+    });
+});
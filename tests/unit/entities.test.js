@@ -1,3 +1,4 @@
+const { z } = require('zod');
 const { Document } = require('../../src/domain/entities/documents');
 const { Schema } = require('../../src/domain/entities/schema');
 const { ExtractionResult } = require('../../src/domain/entities/extraction');
@@ -51,6 +52,23 @@ describe('Domain Entities', () => {
             document.markAsCompleted();
             expect(document.processingStatus).toBe('completed');
         });
+
+        test('should limit attempts by the retry policy', () => {
+            expect(new Document('doc-005', './test.pdf', 'application/pdf', 1024).maxRetries).toBe(3);
+
+            const content = { data: Buffer.from('%PDF-1.4\n'), filename: 'test.pdf' };
+            const document = new Document('doc-006', content, 'application/pdf', undefined, {
+                retryPolicy: { maxAttempts: 2 }
+            });
+            document.markAsProcessing();
+            document.markAsProcessing();
+            document.markAsFailed();
+
+            expect(document.canBeProcessed()).toEqual(expect.objectContaining({
+                canProcess: false,
+                code: 'MAX_RETRIES_EXCEEDED'
+            }));
+        });
     });
 
     describe('Schema Entity', () => {
@@ -113,6 +131,179 @@ describe('Domain Entities', () => {
             expect(jsonSchema.properties).toHaveProperty('age');
             expect(jsonSchema.required).toContain('name');
         });
+
+        describe('nested fields', () => {
+            const invoiceSchema = () => new Schema({
+                invoice_number: { type: 'string' },
+                customer: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        vat_id: { type: 'string', validation: { minLength: 8 } }
+                    },
+                    required: ['name']
+                },
+                line_items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            description: { type: 'string' },
+                            quantity: { type: 'number', validation: { min: 1 } }
+                        },
+                        required: ['quantity']
+                    }
+                }
+            }, {
+                required: ['invoice_number', 'line_items']
+            });
+
+            test('should validate nested objects and arrays of objects', () => {
+                const schema = invoiceSchema();
+                const data = {
+                    invoice_number: 'INV-1',
+                    customer: { name: 'ACME' },
+                    line_items: [{ description: 'Bolts', quantity: 3 }, { quantity: 1 }]
+                };
+
+                expect(schema.validateData(data)).toEqual({ isValid: true, data, errors: [] });
+            });
+
+            test('should report nested errors with their paths', () => {
+                const schema = invoiceSchema();
+                const validation = schema.validateData({
+                    invoice_number: 'INV-1',
+                    customer: { vat_id: 'DE1' },
+                    line_items: [{ quantity: 1 }, { quantity: 2 }, { quantity: 3 }, { quantity: 'four' }, { quantity: 0 }]
+                });
+
+                expect(validation.errors.map(error => error.field)).toEqual([
+                    'customer.name', 'customer.vat_id', 'line_items[3].quantity', 'line_items[4].quantity'
+                ]);
+            });
+
+            test('should check nested definitions on construction', () => {
+                expect(() => new Schema({
+                    customer: {
+                        type: 'object',
+                        properties: { address: { type: 'object', properties: { city: { type: 'text' } } } },
+                        required: ['name']
+                    },
+                    tags: { type: 'array', items: { type: 'object', properties: { label: {} } } }
+                })).toThrow(expect.objectContaining({
+                    errors: [
+                        "Required field 'customer.name' is not defined in schema",
+                        "Field 'customer.address.city' has invalid type: text",
+                        "Field 'tags[].label' must have a type"
+                    ]
+                }));
+            });
+
+            test('should output required lists per level in the JSON schema', () => {
+                const jsonSchema = invoiceSchema().toJsonSchema();
+
+                expect(jsonSchema.required).toEqual(['invoice_number', 'line_items']);
+                expect(jsonSchema.properties.customer.required).toEqual(['name']);
+                expect(jsonSchema.properties.line_items.items).toEqual({
+                    type: 'object',
+                    properties: {
+                        description: { type: 'string' },
+                        quantity: { type: 'number', minimum: 1 }
+                    },
+                    required: ['quantity']
+                });
+            });
+        });
+
+        describe('optional, nullable and default fields', () => {
+            const createSchema = () => new Schema({
+                invoice_number: { type: 'string' },
+                po_number: { type: 'string', optional: true },
+                due_date: { type: 'date', nullable: true },
+                currency: { type: 'string', default: 'EUR' },
+                tags: { type: 'array', items: { type: 'string' }, default: [] }
+            }, {
+                required: ['invoice_number', 'due_date']
+            });
+
+            test('should fill in defaults and accept null for nullable fields', () => {
+                const schema = createSchema();
+
+                const validation = schema.validateData({ invoice_number: 'INV-1', due_date: null, currency: null });
+
+                expect(validation.isValid).toBe(true);
+                expect(validation.data).toEqual({ invoice_number: 'INV-1', due_date: null, currency: 'EUR', tags: [] });
+                expect(schema.validateData({ invoice_number: 'INV-1' }).errors.map(error => error.field)).toEqual(['due_date']);
+                expect(schema.validateData({ invoice_number: null, due_date: null }).isValid).toBe(false);
+            });
+
+            test('should not share default arrays between results', () => {
+                const schema = createSchema();
+
+                const first = schema.validateData({ invoice_number: 'INV-1', due_date: null }).data;
+                first.tags.push('urgent');
+
+                expect(schema.validateData({ invoice_number: 'INV-2', due_date: null }).data.tags).toEqual([]);
+            });
+
+            test('should describe nullable and default fields in the JSON schema', () => {
+                const jsonSchema = createSchema().toJsonSchema();
+
+                expect(jsonSchema.required).toEqual(['invoice_number', 'due_date']);
+                expect(jsonSchema.properties.due_date).toEqual({ type: ['string', 'null'], format: 'date' });
+                expect(jsonSchema.properties.currency).toEqual({ type: 'string', default: 'EUR' });
+            });
+
+            test('should reject contradicting or invalid definitions', () => {
+                expect(() => new Schema({
+                    po_number: { type: 'string', optional: true },
+                    currency: { type: 'string', default: 'EUR' },
+                    total: { type: 'number', default: 'n/a', nullable: 'yes' }
+                }, {
+                    required: ['po_number', 'currency']
+                })).toThrow(expect.objectContaining({
+                    errors: [
+                        "Field 'po_number' cannot be both required and optional",
+                        "Field 'currency' cannot be both required and have a default",
+                        "Field 'total' nullable must be a boolean"
+                    ]
+                }));
+                expect(() => new Schema({ total: { type: 'number', default: 'n/a' } }))
+                    .toThrow("Field 'total' default does not match its type and validation rules");
+            });
+        });
+
+        test('should create a schema from a Zod object schema', () => {
+            const schema = Schema.fromZod(z.object({
+                invoiceNumber: z.string().describe('Number printed on the invoice'),
+                total: z.number().int(),
+                paid: z.boolean().nullable(),
+                lineItems: z.array(z.object({ sku: z.string() })).optional()
+            }));
+
+            expect(schema.required).toEqual(['invoiceNumber', 'total', 'paid']);
+            expect(schema.getField('invoiceNumber')).toEqual({ type: 'string', description: 'Number printed on the invoice' });
+            expect(schema.getField('lineItems')).toEqual({ type: 'array', items: { type: 'object', properties: { sku: { type: 'string' } }, required: ['sku'] } });
+            expect(schema.toJsonSchema().properties.total).toEqual({ type: 'integer' });
+            expect(schema.toJsonSchema()).not.toHaveProperty('$schema');
+        });
+
+        test('should validate and transform data with the Zod schema itself', () => {
+            const schema = Schema.fromZod(z.object({
+                total: z.coerce.number(),
+                currency: z.enum(['EUR', 'USD']).transform(value => value.toLowerCase())
+            }));
+
+            expect(schema.validateData({ total: '12.5', currency: 'EUR' }).data).toEqual({ total: 12.5, currency: 'eur' });
+
+            const validation = schema.validateData({ total: 1, currency: 'GBP' });
+            expect(validation.isValid).toBe(false);
+            expect(validation.errors[0].field).toBe('currency');
+        });
+
+        test('should reject Zod schemas that are not objects', () => {
+            expect(() => Schema.fromZod(z.array(z.string()))).toThrow('must be an object schema');
+        });
     });
 
     describe('ExtractionResult Entity', () => {
@@ -163,6 +354,49 @@ describe('Domain Entities', () => {
             expect(missingFields).toContain('email');
         });
 
+        test('should report nested validation errors by path', () => {
+            const nestedSchema = new Schema({
+                line_items: {
+                    type: 'array',
+                    items: { type: 'object', properties: { quantity: { type: 'number' } }, required: ['quantity'] }
+                }
+            }, {
+                required: ['line_items']
+            });
+
+            const result = new ExtractionResult('doc-001', { line_items: [{ quantity: 1 }, {}] }, nestedSchema);
+
+            expect(result.status).toBe('failed');
+            expect(result.errors).toEqual([expect.objectContaining({ field: 'line_items[1].quantity', code: 'invalid_type' })]);
+        });
+
+        test('should leave optional, nullable and defaulted fields out of completion and confidence', () => {
+            const invoiceSchema = new Schema({
+                invoice_number: { type: 'string' },
+                due_date: { type: 'string', nullable: true },
+                po_number: { type: 'string', optional: true },
+                currency: { type: 'string', default: 'EUR' },
+                paid: { type: 'boolean' }
+            }, {
+                required: ['invoice_number', 'due_date', 'paid']
+            });
+
+            const result = new ExtractionResult('doc-001', { invoice_number: 'INV-2024-001', due_date: null, paid: false }, invoiceSchema);
+
+            expect(result.extractedData.currency).toBe('EUR');
+            expect(result.getMissingRequiredFields()).toEqual([]);
+            expect(result.getFilledFieldsCount()).toBe(3);
+            expect(result.getCompletionPercentage()).toBe(100);
+            expect(result.confidence).toBe(1);
+            expect(result.getDetailedReport().fields.currency).toEqual(expect.objectContaining({ isEmpty: false, isDefault: true }));
+
+            const withOptionals = new ExtractionResult('doc-001', {
+                invoice_number: 'INV-2024-001', due_date: null, paid: false, currency: 'USD'
+            }, invoiceSchema);
+            expect(withOptionals.getFilledFieldsCount()).toBe(4);
+            expect(withOptionals.getCompletionPercentage()).toBe(100);
+        });
+
         test('should calculate completion percentage', () => {
             const result = new ExtractionResult('doc-001', validData, schema);
 
@@ -188,6 +422,25 @@ describe('Domain Entities', () => {
             expect(nameField.isRequired).toBe(true);
             expect(nameField.confidence).toBeGreaterThan(0);
         });
+
+        test('should merge fields with per-field strategies', () => {
+            const itemSchema = new Schema({
+                name: { type: 'string' },
+                email: { type: 'string' },
+                items: { type: 'array', items: { type: 'string' } }
+            });
+            const first = new ExtractionResult('doc-001', { name: '', email: 'TBD', items: ['a'] }, itemSchema);
+            const second = new ExtractionResult('doc-001', { name: 'Jane Doe', email: 'jane@example.com', items: ['b'] }, itemSchema);
+
+            const merged = first.merge(second, {
+                strategies: { email: 'confidence', items: 'concat' },
+                defaultStrategy: 'first'
+            });
+
+            expect(merged.extractedData).toEqual({ name: 'Jane Doe', email: 'jane@example.com', items: ['a', 'b'] });
+            expect(first.merge(second).extractedData.items).toEqual(['b']);
+            expect(() => first.merge(second, { defaultStrategy: 'longest' })).toThrow('Unknown merge strategy');
+        });
     });
 
     describe('FilePath Value Object', () => {
@@ -0,0 +1,143 @@
+const { DocumentAIRepository } = require('../../src/infrastructure/repositories/document_ai.repository');
+const { Schema } = require('../../src/domain/entities/schema');
+const { FilePath } = require('../../src/domain/value-objects/file_path');
+const { DocumentAIService } = require('../../src/domain/application/document_ai.service');
+const { DocumentSource } = require('../../src/domain/value-objects/document_source');
+const { RetryPolicy } = require('../../src/domain/value-objects/retry_policy');
+const { UrlFetchPolicy } = require('../../src/domain/value-objects/url_fetch_policy');
+const { FileAccessPolicy } = require('../../src/domain/value-objects/file_access_policy');
+const { ImagePreprocessing } = require('../../src/domain/value-objects/image_preprocessing');
+const { TokenBucketLimiter } = require('../../src/infrastructure/rate-limiting/token_bucket.limiter');
+const { BatchJobRepository } = require('../../src/infrastructure/repositories/batch_job.repository');
+const {
+    ErrorCodes,
+    AuthenticationError,
+    RateLimitError,
+    FileTooLargeError,
+    NetworkError,
+    TimeoutError,
+    ServerError,
+    SchemaValidationError,
+    UnsupportedFileTypeError,
+    DocumentProcessingError
+} = require('../../src/domain/errors/document_ai_errors');
+
+describe('Error hierarchy', () => {
+    const repository = new DocumentAIRepository({ apiKey: 'test-key' });
+    const document = { filePath: { value: './invoice.pdf' } };
+
+    const apiError = (status, headers = {}, data = {}) => ({
+        response: { status, headers, data }
+    });
+
+    test.each([
+        [401, AuthenticationError, false],
+        [403, AuthenticationError, false],
+        [413, FileTooLargeError, false],
+        [429, RateLimitError, true],
+        [500, ServerError, true],
+        [503, ServerError, true]
+    ])('should map HTTP %i to a typed error', (status, ErrorClass, retryable) => {
+        const cause = apiError(status, { 'x-request-id': 'req-123' });
+        const error = repository.handleError(cause, document);
+
+        expect(error).toBeInstanceOf(ErrorClass);
+        expect(error.status).toBe(status);
+        expect(error.requestId).toBe('req-123');
+        expect(error.retryable).toBe(retryable);
+        expect(error.cause).toBe(cause);
+    });
+
+    test('should map transport failures', () => {
+        expect(repository.handleError({ code: 'ECONNABORTED' }, document)).toBeInstanceOf(TimeoutError);
+        expect(repository.handleError({ code: 'ENOTFOUND' }, document)).toBeInstanceOf(NetworkError);
+
+        const notFound = repository.handleError({ code: 'ENOENT' }, document);
+        expect(notFound).toBeInstanceOf(DocumentProcessingError);
+        expect(notFound.code).toBe(ErrorCodes.FILE_NOT_FOUND);
+        expect(notFound.retryable).toBe(false);
+    });
+
+    test('should raise SchemaValidationError with the individual problems', () => {
+        let thrown;
+        try {
+            new Schema({ name: { type: 'text' } }, { required: ['missing'] });
+        } catch (error) {
+            thrown = error;
+        }
+
+        expect(thrown).toBeInstanceOf(SchemaValidationError);
+        expect(thrown.code).toBe(ErrorCodes.SCHEMA_VALIDATION_FAILED);
+        expect(thrown.errors).toHaveLength(2);
+        expect(thrown.message).toContain('Schema validation failed');
+    });
+
+    test('should raise a ServerError for an empty API response', () => {
+        const response = { status: 200, headers: { 'x-request-id': 'req-123' }, data: '' };
+
+        expect(() => repository.processResponse(response)).toThrow(ServerError);
+        expect(() => repository.processResponse(response)).toThrow(expect.objectContaining({ requestId: 'req-123' }));
+    });
+
+    test('should raise typed errors for invalid file paths and missing files', () => {
+        expect(() => new FilePath('  ')).toThrow(DocumentProcessingError);
+        expect(() => new FilePath('ftp://example.com/invoice.pdf')).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_URL }));
+        expect(() => new FilePath('https://example.com/invoice.docx')).toThrow(UnsupportedFileTypeError);
+        expect(() => new FilePath('./missing.pdf').getSize()).toThrow(expect.objectContaining({ code: ErrorCodes.FILE_NOT_FOUND }));
+    });
+
+    test('should pass typed errors through bulk runs and wrap the others', async () => {
+        const service = new DocumentAIService({ apiKey: 'test-key' });
+
+        await expect(service.extractBulk(['./a.pdf'], { name: { type: 'text' } })).rejects.toBeInstanceOf(SchemaValidationError);
+
+        jest.spyOn(service, 'runBulk').mockRejectedValue(new Error('disk full'));
+        await expect(service.extractBulk(['./a.pdf'], { name: 'string' })).rejects.toMatchObject({
+            name: 'DocumentAIError',
+            message: 'Bulk extraction failed: disk full'
+        });
+    });
+
+    test('should raise typed errors for invalid document inputs', () => {
+        expect(() => new DocumentSource(42)).toThrow(DocumentProcessingError);
+        expect(() => DocumentSource.parseDataUri('data:application/pdf;base64')).toThrow(
+            expect.objectContaining({ code: ErrorCodes.INVALID_URL })
+        );
+    });
+
+    test('should raise typed errors for invalid configuration', () => {
+        const invalidConfiguration = expect.objectContaining({
+            name: 'DocumentProcessingError',
+            code: ErrorCodes.INVALID_CONFIGURATION
+        });
+
+        expect(() => new RetryPolicy({ maxAttempts: 0 })).toThrow(invalidConfiguration);
+        expect(() => new UrlFetchPolicy({ maxRedirects: -1 })).toThrow(invalidConfiguration);
+        expect(() => new FileAccessPolicy({ allowedRoots: [] })).toThrow(invalidConfiguration);
+        expect(() => new ImagePreprocessing({ quality: 0 })).toThrow(invalidConfiguration);
+        expect(() => new TokenBucketLimiter({})).toThrow(invalidConfiguration);
+        expect(() => new BatchJobRepository({})).toThrow(invalidConfiguration);
+    });
+
+    test('should raise typed errors for unknown batch jobs', async () => {
+        const jobs = new BatchJobRepository({ jobsDirectory: './tmp/errors-jobs' });
+
+        expect(() => jobs.getJobDirectory('../escape')).toThrow(DocumentProcessingError);
+        await expect(jobs.loadJob('missing')).rejects.toMatchObject({ code: ErrorCodes.JOB_NOT_FOUND });
+    });
+
+    test('should raise a RateLimitError when a document download is rate limited', () => {
+        const error = repository.handleDownloadError({
+            message: 'Request failed with status code 429',
+            response: { status: 429, headers: { 'retry-after': '3' } }
+        });
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error).toMatchObject({ status: 429, retryable: true, retryAfter: 3000 });
+    });
+
+    test('should raise typed errors for invalid cache settings', () => {
+        expect(() => new DocumentAIService({ apiKey: 'test-key', cache: { store: 'redis' } })).toThrow(DocumentProcessingError);
+        expect(() => new DocumentAIService({ apiKey: 'test-key', cache: { store: 'disk' } })).toThrow(DocumentProcessingError);
+    });
+});
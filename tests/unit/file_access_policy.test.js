@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileAccessPolicy } = require('../../src/domain/value-objects/file_access_policy');
+const { FilePath } = require('../../src/domain/value-objects/file_path');
+const { FileAccessError, ErrorCodes } = require('../../src/domain/errors/document_ai_errors');
+
+describe('FileAccessPolicy', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'file-access');
+    const inbox = path.join(tmpDir, 'inbox');
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'file-access-'));
+
+    const expectAccessError = (fn, code) => {
+        let thrown;
+        try {
+            fn();
+        } catch (error) {
+            thrown = error;
+        }
+        expect(thrown).toBeInstanceOf(FileAccessError);
+        expect(thrown.code).toBe(code);
+    };
+
+    beforeAll(() => {
+        fs.mkdirSync(inbox, { recursive: true });
+        fs.writeFileSync(path.join(inbox, 'report..v2.pdf'), '%PDF-1.4\n');
+        fs.writeFileSync(path.join(outside, 'secret.pdf'), '%PDF-1.4\n');
+        fs.symlinkSync(path.join(outside, 'secret.pdf'), path.join(inbox, 'escape.pdf'));
+        fs.symlinkSync(path.join(inbox, 'report..v2.pdf'), path.join(inbox, 'alias.pdf'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        fs.rmSync(outside, { recursive: true, force: true });
+    });
+
+    test('should allow file names containing dots and tildes', () => {
+        const policy = new FileAccessPolicy({ allowedRoots: [inbox] });
+
+        expect(policy.isAllowed(path.join(inbox, 'report..v2.pdf'))).toBe(true);
+        expect(policy.isAllowed(path.join(inbox, 'draft~1.pdf'))).toBe(true);
+    });
+
+    test('should reject paths that normalize outside every root', () => {
+        const policy = new FileAccessPolicy({ allowedRoots: [inbox] });
+
+        expectAccessError(() => policy.check(path.join(inbox, '..', 'other.pdf')), ErrorCodes.PATH_OUTSIDE_SANDBOX);
+        expectAccessError(() => policy.check(`${inbox}-sibling/file.pdf`), ErrorCodes.PATH_OUTSIDE_SANDBOX);
+        expect(policy.isAllowed(path.join(inbox, 'sub', '..', 'report..v2.pdf'))).toBe(true);
+    });
+
+    test('should accept several roots', () => {
+        const policy = new FileAccessPolicy({ allowedRoots: [inbox, outside] });
+
+        expect(policy.isAllowed(path.join(outside, 'secret.pdf'))).toBe(true);
+    });
+
+    test('should apply the symlink rules', () => {
+        const withinRoots = new FileAccessPolicy({ allowedRoots: [inbox] });
+        const follow = new FileAccessPolicy({ allowedRoots: [inbox], symlinks: 'follow' });
+        const deny = new FileAccessPolicy({ allowedRoots: [inbox], symlinks: 'deny' });
+
+        expectAccessError(() => withinRoots.check(path.join(inbox, 'escape.pdf')), ErrorCodes.SYMLINK_NOT_ALLOWED);
+        expect(withinRoots.isAllowed(path.join(inbox, 'alias.pdf'))).toBe(true);
+        expect(follow.isAllowed(path.join(inbox, 'escape.pdf'))).toBe(true);
+        expectAccessError(() => deny.check(path.join(inbox, 'alias.pdf')), ErrorCodes.SYMLINK_NOT_ALLOWED);
+    });
+
+    test('should reject denied globs', () => {
+        const policy = new FileAccessPolicy({
+            allowedRoots: [tmpDir],
+            deniedPatterns: ['*.key', '**/private/**']
+        });
+
+        expectAccessError(() => policy.check(path.join(inbox, 'server.key')), ErrorCodes.PATH_DENIED);
+        expectAccessError(() => policy.check(path.join(tmpDir, 'private', 'a', 'b.pdf')), ErrorCodes.PATH_DENIED);
+        expect(policy.isAllowed(path.join(inbox, 'report..v2.pdf'))).toBe(true);
+    });
+
+    test('should be applied by FilePath', () => {
+        const accessPolicy = new FileAccessPolicy({ allowedRoots: [inbox] });
+        const filePath = new FilePath(path.join(inbox, 'report..v2.pdf'), { accessPolicy });
+
+        expect(filePath.exists()).toBe(true);
+        expect(() => new FilePath(path.join(outside, 'secret.pdf'), { accessPolicy })).toThrow(FileAccessError);
+        expect(() => new FilePath('./tmp/file-access/inbox/report..v2.pdf')).not.toThrow();
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { DocumentAIService } = require('../../src/domain/application/document_ai.service');
+const { ImagePreprocessing } = require('../../src/domain/value-objects/image_preprocessing');
+
+describe('Image preprocessing', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'image-preprocessing');
+    const photoPath = path.join(tmpDir, 'photo.jpg');
+    const scanPath = path.join(tmpDir, 'scan.tiff');
+    const schema = { fields: { width: { type: 'number' }, colors: { type: 'array', items: { type: 'string' } } } };
+
+    const solid = (width, height, background) =>
+        sharp({ create: { width, height, channels: 3, background } });
+
+    /**
+     * Answer each upload with the size and dominant color of the image sent
+     */
+    const createService = (config = {}) => {
+        const service = new DocumentAIService({ apiKey: 'test-key', ...config });
+        service.repository.extract = jest.fn(async (document) => {
+            const content = document.preprocessed ? document.preprocessed.images[0].content : await document.filePath.readContent();
+            const { width } = await sharp(content).metadata();
+            const { dominant } = await sharp(content).stats();
+            const color = dominant.r > 128 ? 'red' : dominant.g > 128 ? 'green' : 'blue';
+            return { data: { width, colors: [color] }, metadata: { requestId: document.id } };
+        });
+        return service;
+    };
+
+    beforeAll(async () => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+
+        // A landscape sensor image shot in portrait (EXIF orientation 6)
+        fs.writeFileSync(photoPath, await solid(400, 300, '#d00000').jpeg().withMetadata({ orientation: 6 }).toBuffer());
+
+        const pages = await Promise.all(['#d00000', '#00d000', '#0000d0'].map(color => solid(100, 80, color).png().toBuffer()));
+        fs.writeFileSync(scanPath, await sharp(pages, { join: { animated: true } }).tiff().toBuffer());
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should resolve defaults and reject invalid options', () => {
+        expect(ImagePreprocessing.from(true).toJSON()).toEqual({
+            autoOrient: true, maxDimension: 2048, grayscale: false, format: 'jpeg', quality: 85, splitPages: true
+        });
+        expect(ImagePreprocessing.from(false)).toBeNull();
+        expect(() => new ImagePreprocessing({ format: 'bmp' })).toThrow('format must be null or one of');
+        expect(() => new ImagePreprocessing({ maxDimension: 0, quality: 101 })).toThrow('maxDimension');
+    });
+
+    test('should orient, downscale and re-encode photos and record the steps', async () => {
+        const service = createService();
+
+        const { result } = await service.extractData(photoPath, schema, { preprocess: { maxDimension: 200 } });
+
+        expect(result.extractedData.width).toBe(150);
+        expect(result.metadata.preprocessing).toEqual(expect.objectContaining({
+            originalMimeType: 'image/jpeg',
+            transformations: [
+                { type: 'auto-orient', orientation: 6 },
+                { type: 'resize', from: { width: 300, height: 400 }, to: { width: 150, height: 200 } },
+                { type: 'encode', format: 'jpeg', quality: 85 }
+            ],
+            images: [expect.objectContaining({ page: 1, mimeType: 'image/jpeg', width: 150, height: 200 })]
+        }));
+    });
+
+    test('should upload the prepared image with its own type', async () => {
+        const service = createService({ preprocess: { format: 'png', grayscale: true } });
+        const document = service.createDocument(photoPath);
+        await document.preprocess();
+
+        const form = await service.repository.prepareFormData(document, service.createSchema(schema));
+        const body = form.getBuffer().toString('latin1');
+
+        expect(body).toContain('filename="photo.png"');
+        expect(body).toContain('Content-Type: image/png');
+        expect(document.getPreprocessingSummary().transformations.map(step => step.type))
+            .toEqual(['auto-orient', 'grayscale', 'encode']);
+    });
+
+    test('should extract the pages of a multi-page TIFF separately and merge them', async () => {
+        const service = createService();
+
+        const { result } = await service.extractData(scanPath, schema, { preprocess: { format: null } });
+
+        expect(service.repository.extract).toHaveBeenCalledTimes(3);
+        expect(service.repository.extract.mock.calls.map(([document]) => document.mimeType)).toEqual(Array(3).fill('image/png'));
+        expect(result.extractedData.colors).toEqual(['red', 'green', 'blue']);
+        expect(result.metadata.chunks.map(chunk => chunk.pages)).toEqual([[1], [2], [3]]);
+        expect(result.metadata.preprocessing.transformations[0]).toEqual({ type: 'split-pages', pages: 3 });
+    });
+
+    test('should upload the original with a warning when preprocessing does not apply', async () => {
+        const service = createService();
+
+        const { result } = await service.extractData(scanPath, schema, { preprocess: { splitPages: false } });
+
+        expect(service.repository.extract).toHaveBeenCalledTimes(1);
+        expect(result.extractedData).toEqual({ width: 100, colors: ['red'] });
+        expect(result.metadata.preprocessing).toBeUndefined();
+        expect(result.warnings).toEqual(['Image preprocessing skipped: the image has 3 pages and splitPages is off']);
+    });
+});
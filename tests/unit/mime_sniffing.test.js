@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { sniffMimeType, isCompatibleMimeType } = require('../../src/domain/utils/mime_sniffer');
+const { Document } = require('../../src/domain/entities/documents');
+const { ErrorCodes } = require('../../src/domain/errors/document_ai_errors');
+
+describe('MIME type sniffing', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'mime-sniffing');
+    const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+    const html = Buffer.from('\n  <!DOCTYPE html><html><body>Not found</body></html>');
+
+    const writeFixture = (name, content) => {
+        const filePath = `./tmp/mime-sniffing/${name}`;
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should recognise document and image signatures', () => {
+        const samples = {
+            'application/pdf': Buffer.from('%PDF-1.7\n'),
+            'image/png': png,
+            'image/jpeg': Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]),
+            'image/gif': Buffer.from('GIF89a'),
+            'image/tiff': Buffer.from([0x49, 0x49, 0x2A, 0x00]),
+            'image/bmp': Buffer.from('BM\x00\x00'),
+            'image/webp': Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 '),
+            'image/jp2': Buffer.from([0x00, 0x00, 0x00, 0x0C, 0x6A, 0x50, 0x20, 0x20, 0x0D, 0x0A, 0x87, 0x0A]),
+            'image/x-portable-pixmap': Buffer.from('P6\n640 480\n255\n'),
+            'image/heic': Buffer.from('\x00\x00\x00\x18ftypheic'),
+            'text/html': html
+        };
+
+        for (const [mimeType, bytes] of Object.entries(samples)) {
+            expect(sniffMimeType(bytes)).toBe(mimeType);
+        }
+        expect(sniffMimeType(Buffer.from('just some text'))).toBeNull();
+    });
+
+    test('should treat types sharing a signature as compatible', () => {
+        expect(isCompatibleMimeType('image/jpm', 'image/jp2')).toBe(true);
+        expect(isCompatibleMimeType('image/x-portable-pixmap', 'image/x-portable-graymap')).toBe(true);
+        expect(isCompatibleMimeType('application/pdf', 'image/png')).toBe(false);
+    });
+
+    test('should reject a local file whose content does not match its extension', () => {
+        const document = new Document('doc-1', writeFixture('error-page.pdf', html));
+        const canProcess = document.canBeProcessed();
+
+        expect(canProcess.canProcess).toBe(false);
+        expect(canProcess.code).toBe(ErrorCodes.MIME_MISMATCH);
+        expect(canProcess.reason).toContain('text/html');
+    });
+
+    test('should warn and trust the content in warn mode', () => {
+        const document = new Document('doc-2', writeFixture('renamed.pdf', png), null, undefined, { mimeMismatch: 'warn' });
+        const canProcess = document.canBeProcessed();
+
+        expect(canProcess.canProcess).toBe(true);
+        expect(document.mimeType).toBe('image/png');
+        expect(document.warnings).toHaveLength(1);
+
+        document.canBeProcessed();
+        expect(document.warnings).toHaveLength(1);
+    });
+
+    test('should check buffers against an explicit MIME type', () => {
+        const document = new Document('doc-3', { data: png, mimeType: 'application/pdf' });
+
+        expect(document.canBeProcessed().code).toBe(ErrorCodes.MIME_MISMATCH);
+        expect(new Document('doc-4', { data: png, mimeType: 'application/pdf' }, null, undefined, { mimeMismatch: 'ignore' })
+            .canBeProcessed().canProcess).toBe(true);
+    });
+});
@@ -0,0 +1,541 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Document } = require('../../src/domain/entities/documents');
+const { DocumentAIService } = require('../../src/domain/application/document_ai.service');
+const { inspectPdf } = require('../../src/domain/utils/pdf_inspector');
+const { extractPdfPages } = require('../../src/domain/utils/pdf_writer');
+const { readPdfPages } = require('../../src/domain/utils/pdf_content');
+const { MAX_PARSE_SIZE } = require('../../src/domain/utils/pdf_parser');
+const { PageSelection } = require('../../src/domain/value-objects/page_selection');
+const { FilePath } = require('../../src/domain/value-objects/file_path');
+const { DocumentBoundary } = require('../../src/domain/value-objects/document_boundary');
+const { DocumentProcessingError, FileTooLargeError, ErrorCodes } = require('../../src/domain/errors/document_ai_errors');
+
+/**
+ * Build a PDF from object bodies (strings, or { dictionary, stream } for
+ * FlateDecode streams); object N is objects[N - 1]
+ */
+function buildPdf(objects, trailer = '/Root 1 0 R', header = '%PDF-1.4') {
+    const parts = [Buffer.from(`${header}\n`)];
+    const offsets = [];
+    let length = parts[0].length;
+
+    objects.forEach((object, index) => {
+        let body;
+        if (typeof object === 'string') {
+            body = Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`);
+        } else {
+            const data = zlib.deflateSync(object.stream);
+            body = Buffer.concat([
+                Buffer.from(`${index + 1} 0 obj\n<< ${object.dictionary || ''} /Length ${data.length} /Filter /FlateDecode >>\nstream\n`),
+                data,
+                Buffer.from('\nendstream\nendobj\n')
+            ]);
+        }
+        offsets.push(length);
+        parts.push(body);
+        length += body.length;
+    });
+
+    const xref = ['xref', `0 ${objects.length + 1}`, '0000000000 65535 f ']
+        .concat(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `));
+    parts.push(Buffer.from(`${xref.join('\n')}\ntrailer\n<< /Size ${objects.length + 1} ${trailer} >>\nstartxref\n${length}\n%%EOF\n`));
+
+    return Buffer.concat(parts);
+}
+
+const textPdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 /MediaBox [0 0 612 792] >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 6 0 R >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 842 595] /Rotate -90 >>',
+    '<< /Type /Page /Parent 2 0 R /CropBox [10 10 410 610] >>',
+    { stream: 'BT /F1 12 Tf 72 712 Td (Invoice #42) Tj ET' }
+]);
+
+const scannedPdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /XObject << /Im0 5 0 R >> >> >>',
+    { stream: 'q 612 0 0 792 0 0 cm /Im0 Do Q' },
+    '<< /Type /XObject /Subtype /Image /Width 1 /Height 1 >>'
+]);
+
+/**
+ * An AES-256 (revision 5) encrypted PDF whose user password is `userPassword`
+ */
+function buildEncryptedPdf(userPassword) {
+    const validationSalt = crypto.randomBytes(8);
+    const hash = crypto.createHash('sha256').update(Buffer.concat([Buffer.from(userPassword), validationSalt])).digest();
+    const userKey = Buffer.concat([hash, validationSalt, crypto.randomBytes(8)]);
+
+    return buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>',
+        `<< /Filter /Standard /V 5 /R 5 /Length 256 /P -1028 /O <${crypto.randomBytes(48).toString('hex')}> /U <${userKey.toString('hex')}> >>`
+    ], '/Root 1 0 R /Encrypt 4 0 R', '%PDF-1.7');
+}
+
+describe('PDF inspection', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'pdf-inspection');
+    const write = (name, content) => {
+        const filePath = path.join(tmpDir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should report version, page count, text layer and page dimensions', () => {
+        expect(inspectPdf(textPdf)).toEqual({
+            version: '1.4',
+            pageCount: 3,
+            encrypted: false,
+            requiresPassword: false,
+            hasTextLayer: true,
+            pages: [
+                { number: 1, width: 612, height: 792, rotation: 0 },
+                { number: 2, width: 842, height: 595, rotation: 270 },
+                { number: 3, width: 400, height: 600, rotation: 0 }
+            ]
+        });
+    });
+
+    test('should report no text layer for image-only pages', () => {
+        const inspection = inspectPdf(scannedPdf);
+
+        expect(inspection.pageCount).toBe(1);
+        expect(inspection.hasTextLayer).toBe(false);
+    });
+
+    test('should read objects from compressed object streams and later revisions', () => {
+        const pages = '<< /Type /Pages /Kids [4 0 R] /Count 1 >>';
+        const page = '<< /Type /Page /Parent 3 0 R /MediaBox [0 0 100 200] >>';
+        const offsets = `3 0 4 ${pages.length + 1} `;
+        const original = buildPdf([
+            '<< /Type /Catalog /Pages 3 0 R >>',
+            { dictionary: `/Type /ObjStm /N 2 /First ${offsets.length}`, stream: `${offsets}${pages} ${page}` }
+        ], '/Root 1 0 R', '%PDF-1.5');
+        // Incremental update raising the version in the catalog
+        const updated = Buffer.concat([
+            original,
+            Buffer.from('1 0 obj\n<< /Type /Catalog /Pages 3 0 R /Version /1.7 >>\nendobj\ntrailer\n<< /Size 5 /Root 1 0 R >>\n%%EOF\n')
+        ]);
+
+        const inspection = inspectPdf(updated);
+
+        expect(inspection.version).toBe('1.7');
+        expect(inspection.pageCount).toBe(1);
+        expect(inspection.pages).toEqual([{ number: 1, width: 100, height: 200, rotation: 0 }]);
+    });
+
+    test('should tell encrypted PDFs that open without a password from password-protected ones', () => {
+        const permissionsOnly = inspectPdf(buildEncryptedPdf(''));
+        const protectedPdf = inspectPdf(buildEncryptedPdf('secret'));
+
+        expect(permissionsOnly).toMatchObject({ encrypted: true, requiresPassword: false, pageCount: 1, hasTextLayer: null });
+        expect(protectedPdf).toMatchObject({ encrypted: true, requiresPassword: true, pageCount: 1 });
+    });
+
+    test('should let canBeProcessed reject password-protected PDFs after inspect()', async () => {
+        const document = new Document('doc-1', write('protected.pdf', buildEncryptedPdf('secret')));
+
+        expect(document.canBeProcessed().canProcess).toBe(true);
+        await document.inspect();
+
+        expect(document.canBeProcessed()).toMatchObject({
+            canProcess: false,
+            code: ErrorCodes.PASSWORD_PROTECTED
+        });
+    });
+
+    test('should reject PDFs over the page limit when splitting is off', async () => {
+        const service = new DocumentAIService({ apiKey: 'test-key', maxPages: 2 });
+        service.repository.extract = jest.fn();
+
+        const error = await service.extractData(write('long.pdf', textPdf), { name: 'string' }, { split: false }).catch(e => e);
+
+        expect(error).toBeInstanceOf(DocumentProcessingError);
+        expect(error.code).toBe(ErrorCodes.PAGE_LIMIT_EXCEEDED);
+        expect(service.repository.extract).not.toHaveBeenCalled();
+    });
+
+    test('should return null for images and URLs', async () => {
+        const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+        await expect(new Document('doc-2', write('scan.png', png)).inspect()).resolves.toBeNull();
+        await expect(new Document('doc-3', 'https://example.com/invoice.pdf').inspect()).resolves.toBeNull();
+    });
+
+    test('should inspect in-memory PDFs', async () => {
+        const document = new Document('doc-4', { data: scannedPdf, filename: 'scan.pdf' });
+
+        await expect(document.inspect()).resolves.toMatchObject({ pageCount: 1, hasTextLayer: false });
+    });
+
+    test('should not parse PDFs over the local parsing limit', async () => {
+        const oversized = Buffer.alloc(MAX_PARSE_SIZE + 1);
+        oversized.write('%PDF-1.4\n');
+
+        expect(() => inspectPdf(oversized)).toThrow(FileTooLargeError);
+        await expect(new Document('doc-5', { data: oversized, filename: 'large.pdf' }).inspect()).resolves.toBeNull();
+    });
+});
+
+describe('PDF page selection', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'pdf-page-selection');
+
+    /**
+     * Collect the PDF uploaded in a multipart form
+     */
+    const readUpload = form => new Promise((resolve, reject) => {
+        const chunks = [];
+        form.on('data', chunk => chunks.push(Buffer.from(chunk)));
+        form.on('end', () => {
+            const body = Buffer.concat(chunks);
+            resolve(body.subarray(body.indexOf('%PDF-'), body.lastIndexOf('%%EOF') + '%%EOF'.length));
+        });
+        form.on('error', reject);
+        form.resume();
+    });
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, 'contract.pdf'), textPdf);
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should parse page ranges', () => {
+        expect(new PageSelection('1-2,5').resolve(10)).toEqual([1, 2, 5]);
+        expect(new PageSelection('8-, 2').resolve(10)).toEqual([2, 8, 9, 10]);
+        expect(new PageSelection('1,last').resolve(40)).toEqual([1, 40]);
+        expect(new PageSelection([3, 1, 3]).resolve(3)).toEqual([1, 3]);
+    });
+
+    test('should reject malformed and out-of-range selections', () => {
+        expect(() => new PageSelection('2-1')).toThrow('ends before it starts');
+        expect(() => new PageSelection('0')).toThrow('start at 1');
+        expect(() => new PageSelection('1;2')).toThrow(DocumentProcessingError);
+        expect(() => new PageSelection('1-12').resolve(10)).toThrow('out of range');
+    });
+
+    test('should copy only the selected pages into a new PDF', () => {
+        const subset = extractPdfPages(textPdf, [1, 3]);
+        const inspection = inspectPdf(subset);
+
+        expect(inspection.pageCount).toBe(2);
+        expect(inspection.hasTextLayer).toBe(true);
+        // MediaBox inherited from the old page tree is kept
+        expect(inspection.pages).toEqual([
+            { number: 1, width: 612, height: 792, rotation: 0 },
+            { number: 2, width: 400, height: 600, rotation: 0 }
+        ]);
+
+        // The cross-reference table points at each object
+        const text = subset.toString('latin1');
+        const offsets = text.slice(text.lastIndexOf('\nxref\n')).match(/^\d{10} 00000 n/gm).map(entry => parseInt(entry, 10));
+        offsets.forEach((offset, index) => expect(text.startsWith(`${index + 1} 0 obj`, offset)).toBe(true));
+    });
+
+    test('should upload the selected pages and record their original numbers', async () => {
+        const service = new DocumentAIService({ apiKey: 'test-key' });
+        let uploaded;
+        service.repository.makeRequest = jest.fn(async (form) => {
+            uploaded = await readUpload(form);
+            return { data: { extracted_schema: { name: 'ACME' } } };
+        });
+
+        const response = await service.extractData(path.join(tmpDir, 'contract.pdf'), { name: 'string' }, { pages: '2-last' });
+
+        expect(inspectPdf(uploaded).pages.map(page => page.width)).toEqual([842, 400]);
+        expect(response.result.metadata.pages).toEqual([2, 3]);
+    });
+
+    test('should fail before uploading when the range is out of bounds', async () => {
+        const service = new DocumentAIService({ apiKey: 'test-key' });
+        service.repository.extract = jest.fn();
+
+        const error = await service.extractData(path.join(tmpDir, 'contract.pdf'), { name: 'string' }, { pages: '4' }).catch(e => e);
+
+        expect(error.code).toBe(ErrorCodes.INVALID_PAGE_RANGE);
+        expect(service.repository.extract).not.toHaveBeenCalled();
+    });
+});
+
+describe('Splitting oversized PDFs', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'pdf-splitting');
+    const filePath = path.join(tmpDir, 'bundle.pdf');
+    const schema = { fields: { vendor: { type: 'string' }, widths: { type: 'array', items: { type: 'number' } } } };
+
+    /**
+     * Answer each uploaded chunk with the widths of its pages; only the
+     * chunk holding page 2 (842pt wide) names the vendor
+     */
+    const createService = (config = {}) => {
+        const service = new DocumentAIService({ apiKey: 'test-key', ...config });
+        service.repository.extract = jest.fn(async (document) => {
+            const widths = inspectPdf(document.filePath.getContent()).pages.map(page => page.width);
+            return {
+                data: { vendor: widths.includes(842) ? 'ACME' : '', widths },
+                metadata: { requestId: document.id }
+            };
+        });
+        return service;
+    };
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+        fs.writeFileSync(filePath, textPdf);
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should extract chunks of maxPages pages and merge them in page order', async () => {
+        const service = createService({ maxPages: 1 });
+
+        const { result } = await service.extractData(filePath, schema);
+
+        expect(service.repository.extract).toHaveBeenCalledTimes(3);
+        expect(result.extractedData).toEqual({ vendor: 'ACME', widths: [612, 842, 400] });
+        expect(result.metadata.chunks.map(chunk => chunk.pages)).toEqual([[1], [2], [3]]);
+    });
+
+    test('should apply configured merge strategies and chunk sizes', async () => {
+        const service = createService({ maxPages: 2 });
+
+        const { result } = await service.extractData(filePath, schema, {
+            split: { pagesPerChunk: 2, mergeStrategies: { widths: 'first' } }
+        });
+
+        expect(result.metadata.chunks.map(chunk => chunk.pages)).toEqual([[1, 2], [3]]);
+        expect(result.extractedData.widths).toEqual([612, 842]);
+    });
+
+    test('should fail the document when a chunk fails', async () => {
+        const service = createService({ maxPages: 1 });
+        const extract = service.repository.extract.getMockImplementation();
+        service.repository.extract.mockImplementation(async (document) => {
+            if (document.id.endsWith('pages-2-2')) {
+                throw new Error('Invalid API key. Please check your credentials.');
+            }
+            return extract(document);
+        });
+
+        await expect(service.extractData(filePath, schema)).rejects.toThrow('Invalid API key');
+    });
+
+    test('should split local PDFs over the chunk size when extracting', async () => {
+        const service = createService();
+        const twoPages = extractPdfPages(textPdf, [1, 2]).length;
+
+        const { result } = await service.extractData(filePath, schema, { split: { maxChunkSize: twoPages } });
+
+        expect(service.repository.extract).toHaveBeenCalledTimes(2);
+        expect(result.metadata.chunks.map(chunk => chunk.pages)).toEqual([[1, 2], [3]]);
+        expect(result.extractedData.widths).toEqual([612, 842, 400]);
+    });
+
+    test('should split without a global AbortController', async () => {
+        const service = createService({ maxPages: 2 });
+        const { AbortController } = global;
+        delete global.AbortController;
+
+        try {
+            const { result } = await service.extractData(filePath, schema);
+            expect(result.metadata.chunks.map(chunk => chunk.pages)).toEqual([[1, 2], [3]]);
+        } finally {
+            global.AbortController = AbortController;
+        }
+    });
+
+    test('should split PDFs over the upload limit in bulk instead of rejecting them', async () => {
+        const service = createService();
+        const twoPages = extractPdfPages(textPdf, [1, 2]).length;
+        jest.spyOn(FilePath.prototype, 'getSize').mockReturnValue(60 * 1024 * 1024);
+
+        const bulk = await service.extractBulk([filePath], schema, { split: { maxChunkSize: twoPages } });
+
+        expect(bulk.errors).toEqual([]);
+        expect(bulk.completed).toBe(1);
+        expect(bulk.results[0].metadata.chunks.map(chunk => chunk.pages)).toEqual([[1, 2], [3]]);
+    });
+
+    test('should halve chunks that exceed the chunk size', async () => {
+        const twoPages = extractPdfPages(textPdf, [1, 2]).length;
+        const document = new Document('doc-1', filePath, undefined, undefined, { split: { maxChunkSize: twoPages } });
+        await document.inspect();
+
+        const chunks = await document.getChunks();
+
+        expect(chunks.map(chunk => chunk.pages)).toEqual([[1, 2], [3]]);
+        expect(chunks.every(chunk => chunk.content.length <= twoPages)).toBe(true);
+    });
+});
+
+describe('Splitting multi-document PDFs', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'pdf-documents');
+    const filePath = path.join(tmpDir, 'scans.pdf');
+    const schema = { fields: { invoice: { type: 'string' } } };
+    const showText = lines => `BT /F1 12 Tf 72 712 Td ${lines.map(line => `(${line}) Tj 0 -20 Td`).join(' ')} ET`;
+
+    // Invoice A (2 pages), a blank page, invoice B, a scanned blank sheet, invoice C
+    const bundlePdf = buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R 6 0 R 7 0 R 8 0 R] /Count 6 /MediaBox [0 0 612 792] >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 9 0 R >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 10 0 R >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 11 0 R >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 12 0 R >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 13 0 R /Resources << /XObject << /Im0 15 0 R >> >> >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 14 0 R >>',
+        { stream: showText(['Invoice A', 'Page 1 of 2']) },
+        { stream: showText(['Invoice A', 'Page 2 of 2']) },
+        { stream: '' },
+        { stream: showText(['Invoice B', 'Page 1 of 1']) },
+        { stream: 'q 612 0 0 792 0 0 cm /Im0 Do Q' },
+        { stream: 'BT /F1 12 Tf 72 712 Td (Invoice C) Tj 0 -20 Td [(Page) -400 (1)] TJ ET' },
+        {
+            dictionary: '/Type /XObject /Subtype /Image /Width 1000 /Height 1000 /ColorSpace /DeviceGray /BitsPerComponent 8',
+            stream: Buffer.alloc(1000 * 1000, 0xFF)
+        }
+    ]);
+
+    /**
+     * Answer each upload with the first line of text of its first page
+     */
+    const createService = (config = {}) => {
+        const service = new DocumentAIService({ apiKey: 'test-key', ...config });
+        service.repository.extract = jest.fn(async (document) => {
+            const [first] = readPdfPages(document.filePath.getContent());
+            return {
+                data: { invoice: first.text.split('\n')[0] },
+                metadata: { requestId: document.id }
+            };
+        });
+        return service;
+    };
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+        fs.writeFileSync(filePath, bundlePdf);
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should read page text and detect blank pages', () => {
+        const pages = readPdfPages(bundlePdf);
+
+        expect(pages.map(page => page.text)).toEqual([
+            'Invoice A\nPage 1 of 2', 'Invoice A\nPage 2 of 2', '', 'Invoice B\nPage 1 of 1', '', 'Invoice C\nPage 1'
+        ]);
+        expect(pages.map(page => page.blank)).toEqual([false, false, true, false, true, false]);
+        expect(readPdfPages(scannedPdf)[0].blank).toBe(false);
+    });
+
+    test('should read printed page numbers', () => {
+        expect(DocumentBoundary.readPageNumber('Total\nPage 3 of 4')).toEqual({ number: 3, total: 4 });
+        expect(DocumentBoundary.readPageNumber('Page 2')).toEqual({ number: 2, total: null });
+        expect(DocumentBoundary.readPageNumber('Summary\n- 2/5 -')).toEqual({ number: 2, total: 5 });
+        expect(DocumentBoundary.readPageNumber('Due 12/31')).toBeNull();
+    });
+
+    test('should group pages at page number resets and blank pages', async () => {
+        const pages = [
+            { number: 1, text: 'Page 1', blank: false },
+            { number: 2, text: 'Page 2', blank: false },
+            { number: 3, text: 'Page 2', blank: false },
+            { number: 4, text: 'Page 1', blank: false },
+            { number: 5, text: '', blank: true },
+            { number: 6, text: 'Terms', blank: false }
+        ];
+
+        expect(await new DocumentBoundary('page-number-reset').group(pages)).toEqual([[1, 2], [3], [4, 5, 6]]);
+        expect(await new DocumentBoundary('blank-page').group(pages)).toEqual([[1, 2, 3, 4], [6]]);
+        expect(() => new DocumentBoundary('every-page')).toThrow(DocumentProcessingError);
+    });
+
+    test('should extract each logical document found by page heuristics', async () => {
+        const service = createService();
+
+        const { documents } = await service.splitAndExtract(filePath, schema, {
+            boundary: ['blank-page', 'page-number-reset']
+        });
+
+        expect(service.repository.extract).toHaveBeenCalledTimes(3);
+        expect(documents.map(entry => entry.pages)).toEqual([[1, 2], [4], [6]]);
+        expect(documents.map(entry => entry.result.extractedData.invoice)).toEqual(['Invoice A', 'Invoice B', 'Invoice C']);
+        expect(documents[0].documentId).toMatch(/-pages-1-2$/);
+        expect(documents[0].result.metadata).toMatchObject({ pages: [1, 2], boundary: 'blank-page,page-number-reset' });
+    });
+
+    test('should group per-page extractions with a predicate and merge them', async () => {
+        const service = createService();
+        const boundary = jest.fn((page, previous) => page.data.invoice !== '' && page.data.invoice !== previous.data.invoice);
+
+        const { documents } = await service.splitAndExtract(filePath, schema, { boundary });
+
+        expect(service.repository.extract).toHaveBeenCalledTimes(6);
+        expect(boundary).toHaveBeenCalledTimes(5);
+        expect(documents.map(entry => entry.pages)).toEqual([[1, 2, 3], [4, 5], [6]]);
+        expect(documents.map(entry => entry.result.extractedData.invoice)).toEqual(['Invoice A', 'Invoice B', 'Invoice C']);
+        expect(documents[1].result.documentId).toBe(documents[1].documentId);
+    });
+
+    test('should reject PDFs that cannot be read locally', async () => {
+        const service = createService();
+        const encryptedPath = path.join(tmpDir, 'owner-only.pdf');
+        fs.writeFileSync(encryptedPath, buildEncryptedPdf(''));
+
+        await expect(service.splitAndExtract(encryptedPath, schema)).rejects.toThrow('unencrypted PDF');
+        await expect(service.splitAndExtract(filePath, schema, { boundary: 'sometimes' })).rejects.toThrow(DocumentProcessingError);
+        expect(service.repository.extract).not.toHaveBeenCalled();
+    });
+});
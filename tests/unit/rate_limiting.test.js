@@ -0,0 +1,115 @@
+const { DocumentAIRepository } = require('../../src/infrastructure/repositories/document_ai.repository');
+const { TokenBucketLimiter } = require('../../src/infrastructure/rate-limiting/token_bucket.limiter');
+const { RetryPolicy } = require('../../src/domain/value-objects/retry_policy');
+const { RateLimitError, ServerError, CancelledError } = require('../../src/domain/errors/document_ai_errors');
+
+describe('Rate limiting', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const advanceOnSleep = (target) => {
+        jest.spyOn(target, 'sleep').mockImplementation(async (ms) => { now += ms; });
+    };
+
+    describe('Retry-After', () => {
+        const repository = new DocumentAIRepository({ apiKey: 'test-key' });
+
+        test('should parse delta-seconds and HTTP dates', () => {
+            expect(repository.parseRetryAfter('3')).toBe(3000);
+            expect(repository.parseRetryAfter(new Date(5000).toUTCString())).toBe(5000);
+            expect(repository.parseRetryAfter(undefined)).toBeUndefined();
+            expect(repository.parseRetryAfter('soon')).toBeUndefined();
+        });
+
+        test('should attach Retry-After to 429 and 503 errors', () => {
+            const rateLimited = repository.handleError({ response: { status: 429, headers: { 'retry-after': '7' } } });
+            const unavailable = repository.handleError({ response: { status: 503, headers: { 'retry-after': '2' } } });
+
+            expect(rateLimited).toBeInstanceOf(RateLimitError);
+            expect(rateLimited.retryable).toBe(true);
+            expect(rateLimited.retryAfter).toBe(7000);
+            expect(unavailable).toBeInstanceOf(ServerError);
+            expect(unavailable.retryAfter).toBe(2000);
+        });
+
+        test('should wait at least Retry-After between attempts', () => {
+            const policy = new RetryPolicy({ baseDelay: 100, jitter: 'none' });
+
+            expect(policy.getDelay(1, new RateLimitError('slow down', { retryAfter: 4000 }))).toBe(4000);
+            expect(policy.getDelay(1, new RateLimitError('slow down', { retryAfter: 10 }))).toBe(100);
+            expect(policy.with({ respectRetryAfter: false }).getDelay(1, new RateLimitError('x', { retryAfter: 4000 }))).toBe(100);
+        });
+
+        test('should pause the shared limiter on 429', () => {
+            const limited = new DocumentAIRepository({ apiKey: 'test-key', rateLimit: { requestsPerSecond: 2 } });
+            limited.handleError({ response: { status: 429, headers: { 'retry-after': '5' } } });
+
+            expect(limited.rateLimiter.pausedUntil).toBe(5000);
+        });
+    });
+
+    describe('TokenBucketLimiter', () => {
+        test('should allow a burst and then space requests at the configured rate', async () => {
+            const limiter = new TokenBucketLimiter({ requestsPerSecond: 2 });
+            advanceOnSleep(limiter);
+            const grantedAt = [];
+
+            await Promise.all(Array.from({ length: 5 }, () =>
+                limiter.acquire().then(() => grantedAt.push(now))
+            ));
+
+            expect(grantedAt).toEqual([0, 0, 500, 1000, 1500]);
+        });
+
+        test('should support per-minute limits', async () => {
+            const limiter = new TokenBucketLimiter({ requestsPerMinute: 30 });
+            advanceOnSleep(limiter);
+
+            await limiter.acquire();
+            await limiter.acquire();
+
+            expect(now).toBe(2000);
+        });
+
+        test('should hold tokens while paused', async () => {
+            const limiter = new TokenBucketLimiter({ requestsPerSecond: 10 });
+            advanceOnSleep(limiter);
+
+            limiter.pauseFor(3000);
+            await limiter.acquire();
+
+            expect(now).toBe(3000);
+        });
+
+        test('should reject a queued caller as soon as it aborts', async () => {
+            const limiter = new TokenBucketLimiter({ requestsPerSecond: 1 });
+            let releaseSleep;
+            jest.spyOn(limiter, 'sleep').mockImplementation(() => new Promise(resolve => { releaseSleep = resolve; }));
+            const controller = new AbortController();
+
+            await limiter.acquire();
+            const ahead = limiter.acquire();
+            const queued = limiter.acquire(controller.signal);
+            controller.abort();
+
+            await expect(queued).rejects.toBeInstanceOf(CancelledError);
+            expect(limiter.tokens).toBe(0);
+
+            now = 1000;
+            releaseSleep();
+            await ahead;
+        });
+
+        test('should require a rate', () => {
+            expect(() => new TokenBucketLimiter({})).toThrow('requestsPerSecond or requestsPerMinute');
+        });
+    });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { MemoryResultCache } = require('../../src/infrastructure/cache/memory.cache');
+const { DiskResultCache } = require('../../src/infrastructure/cache/disk.cache');
+const { DocumentAIService } = require('../../src/domain/application/document_ai.service');
+
+describe('Result cache', () => {
+    const tmpDir = path.join(process.cwd(), 'tmp', 'result-cache');
+    let now;
+
+    beforeAll(() => {
+        fs.mkdirSync(tmpDir, { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, 'a.pdf'), '%PDF-1.4\nsame\n');
+        fs.writeFileSync(path.join(tmpDir, 'copy-of-a.pdf'), '%PDF-1.4\nsame\n');
+        fs.writeFileSync(path.join(tmpDir, 'b.pdf'), '%PDF-1.4\ndifferent\n');
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('MemoryResultCache', () => {
+        test('should evict the least recently used entry', async () => {
+            const cache = new MemoryResultCache({ maxEntries: 2 });
+
+            await cache.set('a', 1);
+            await cache.set('b', 2);
+            await cache.get('a');
+            await cache.set('c', 3);
+
+            expect(await cache.get('a')).toBe(1);
+            expect(await cache.get('b')).toBeNull();
+            expect(await cache.get('c')).toBe(3);
+        });
+
+        test('should expire entries after the TTL', async () => {
+            const cache = new MemoryResultCache({ ttl: 500 });
+
+            await cache.set('a', 1);
+            now += 499;
+            expect(await cache.get('a')).toBe(1);
+            now += 1;
+            expect(await cache.get('a')).toBeNull();
+        });
+    });
+
+    describe('DiskResultCache', () => {
+        test('should persist entries across instances until they expire', async () => {
+            const directory = path.join(tmpDir, 'store');
+            await new DiskResultCache({ directory, ttl: 1000 }).set('key-1', { value: 42 });
+
+            const cache = new DiskResultCache({ directory });
+            expect(await cache.get('key-1')).toEqual({ value: 42 });
+            expect(await cache.get('missing')).toBeNull();
+
+            now += 1000;
+            expect(await cache.get('key-1')).toBeNull();
+            expect(fs.existsSync(path.join(directory, 'key-1.cache.json'))).toBe(false);
+        });
+
+        test('should clear only its own entries', async () => {
+            const directory = path.join(tmpDir, 'shared');
+            const cache = new DiskResultCache({ directory });
+            await cache.set('key-1', { value: 42 });
+            fs.writeFileSync(path.join(directory, 'key-2.cache.json.123.456.0.tmp'), '{');
+            fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a cache entry');
+            fs.writeFileSync(path.join(directory, 'config.json'), '{}');
+
+            await cache.clear();
+
+            expect(fs.readdirSync(directory).sort()).toEqual(['config.json', 'notes.txt']);
+            await expect(new DiskResultCache({ directory: path.join(tmpDir, 'missing') }).clear()).resolves.toBeUndefined();
+        });
+
+        test('should write the same key concurrently', async () => {
+            const cache = new DiskResultCache({ directory: path.join(tmpDir, 'concurrent') });
+
+            await Promise.all([cache.set('key-1', { value: 1 }), cache.set('key-1', { value: 2 })]);
+
+            expect([{ value: 1 }, { value: 2 }]).toContainEqual(await cache.get('key-1'));
+        });
+
+        test('should reject keys that are not file-name safe', () => {
+            expect(() => new DiskResultCache({ directory: tmpDir }).getEntryPath('../escape')).toThrow('Invalid cache key');
+        });
+    });
+
+    describe('DocumentAIService', () => {
+        const schema = { name: 'string' };
+        const createService = (cache) => {
+            const service = new DocumentAIService({ apiKey: 'test-key', cache });
+            service.repository.extract = jest.fn(async () => ({ data: { name: 'cached' }, metadata: {} }));
+            return service;
+        };
+
+        test('should return a cached result for identical content and schema', async () => {
+            const service = createService({ store: 'memory' });
+
+            const first = await service.extractData('./tmp/result-cache/a.pdf', schema);
+            const second = await service.extractData('./tmp/result-cache/copy-of-a.pdf', schema);
+
+            expect(service.repository.extract).toHaveBeenCalledTimes(1);
+            expect(first.result.metadata.cacheHit).toBe(false);
+            expect(second.result.metadata.cacheHit).toBe(true);
+            expect(second.result.extractedData).toEqual({ name: 'cached' });
+            expect(second.documentId).not.toBe(first.documentId);
+            expect(second.result.documentId).toBe(second.documentId);
+        });
+
+        test('should miss when the content or the schema differs', async () => {
+            const service = createService({ store: 'memory' });
+
+            await service.extractData('./tmp/result-cache/a.pdf', schema);
+            await service.extractData('./tmp/result-cache/b.pdf', schema);
+            await service.extractData('./tmp/result-cache/a.pdf', { name: 'string', total: 'number' });
+
+            expect(service.repository.extract).toHaveBeenCalledTimes(3);
+        });
+
+        test('should honour the per-call cache mode', async () => {
+            const service = createService({ store: 'disk', directory: path.join(tmpDir, 'service') });
+
+            await service.extractData('./tmp/result-cache/a.pdf', schema, { cache: 'bypass' });
+            const afterBypass = await service.extractData('./tmp/result-cache/a.pdf', schema, { cache: 'write' });
+            const afterWrite = await service.extractData('./tmp/result-cache/a.pdf', schema);
+
+            expect(service.repository.extract).toHaveBeenCalledTimes(2);
+            expect(afterBypass.result.metadata.cacheHit).toBe(false);
+            expect(afterWrite.result.metadata.cacheHit).toBe(true);
+            await expect(service.extractData('./tmp/result-cache/a.pdf', schema, { cache: 'sometimes' }))
+                .rejects.toThrow('Invalid cache mode');
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const { RetryPolicy } = require('../../src/domain/value-objects/retry_policy');
+const {
+    ServerError,
+    AuthenticationError,
+    UnsupportedFileTypeError
+} = require('../../src/domain/errors/document_ai_errors');
+
+describe('RetryPolicy', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should decide retries from typed errors', () => {
+        const policy = new RetryPolicy({ maxAttempts: 3 });
+
+        expect(policy.shouldRetry(new ServerError('Service temporarily unavailable'), 1)).toBe(true);
+        expect(policy.shouldRetry(new ServerError('Service temporarily unavailable'), 3)).toBe(false);
+        expect(policy.shouldRetry(new AuthenticationError('Invalid API key'), 1)).toBe(false);
+        expect(policy.shouldRetry(new UnsupportedFileTypeError('Unsupported file type'), 1)).toBe(false);
+        expect(policy.shouldRetry(new Error('Request failed with status code 401'), 1)).toBe(false);
+    });
+
+    test('should compute backoff delays without jitter', () => {
+        const exponential = new RetryPolicy({ baseDelay: 100, maxDelay: 500, jitter: 'none' });
+        expect([1, 2, 3, 4].map(attempt => exponential.getDelay(attempt))).toEqual([100, 200, 400, 500]);
+
+        const linear = exponential.with({ backoff: 'linear' });
+        expect([1, 2, 3].map(attempt => linear.getDelay(attempt))).toEqual([100, 200, 300]);
+
+        const custom = exponential.with({ backoff: attempt => attempt * 7 });
+        expect(custom.getDelay(3)).toBe(21);
+    });
+
+    test('should keep jittered delays within bounds', () => {
+        const full = new RetryPolicy({ baseDelay: 1000, jitter: 'full' });
+        const equal = full.with({ jitter: 'equal' });
+
+        for (let i = 0; i < 20; i++) {
+            expect(full.getDelay(1)).toBeLessThanOrEqual(1000);
+            expect(equal.getDelay(1)).toBeGreaterThanOrEqual(500);
+            expect(equal.getDelay(1)).toBeLessThanOrEqual(1000);
+        }
+    });
+
+    test('should retry until success and report each retry', async () => {
+        const policy = new RetryPolicy({ maxAttempts: 5, baseDelay: 0 });
+        const onRetry = jest.fn();
+        let calls = 0;
+
+        const result = await policy.execute(async (attempt) => {
+            calls++;
+            if (attempt < 3) {
+                throw new ServerError('Service temporarily unavailable');
+            }
+            return 'done';
+        }, { onRetry });
+
+        expect(result).toBe('done');
+        expect(calls).toBe(3);
+        expect(onRetry).toHaveBeenCalledTimes(2);
+        expect(onRetry.mock.calls[0][0]).toMatchObject({ attempt: 1 });
+    });
+
+    test('should stop at maxAttempts and rethrow the last error', async () => {
+        const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0 });
+        const operation = jest.fn(async () => { throw new ServerError('down'); });
+
+        await expect(policy.execute(operation)).rejects.toThrow('down');
+        expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('should respect the total time budget', async () => {
+        const policy = new RetryPolicy({ maxAttempts: 10, baseDelay: 1000, jitter: 'none', maxElapsedTime: 2500 });
+        let now = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(policy, 'sleep').mockImplementation(async (ms) => { now += ms; });
+        const operation = jest.fn(async () => { throw new ServerError('down'); });
+
+        await expect(policy.execute(operation)).rejects.toThrow('down');
+        // 1000ms + 2000ms of waiting would exceed the 2500ms budget
+        expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    test('should honor a custom retryable predicate', async () => {
+        const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0, retryable: () => true });
+        const operation = jest.fn(async () => { throw new Error('anything'); });
+
+        await expect(policy.execute(operation)).rejects.toThrow('anything');
+        expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('should layer plain options over defaults', () => {
+        const defaults = new RetryPolicy({ maxAttempts: 4, baseDelay: 250 });
+        const policy = RetryPolicy.from({ maxAttempts: 2 }, defaults);
+
+        expect(policy.maxAttempts).toBe(2);
+        expect(policy.baseDelay).toBe(250);
+        expect(RetryPolicy.from(undefined, defaults)).toBe(defaults);
+        expect(() => new RetryPolicy({ maxAttempts: 0 })).toThrow('Invalid retry policy');
+    });
+});
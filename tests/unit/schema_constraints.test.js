@@ -0,0 +1,122 @@
+const { Schema } = require('../../src/domain/entities/schema');
+const { ExtractionResult } = require('../../src/domain/entities/extraction');
+const { isValidIban, isValidPhone, isValidPostalCode } = require('../../src/domain/utils/string_formats');
+
+describe('Schema constraints', () => {
+    const createSchema = () => new Schema({
+        status: {
+            type: 'string',
+            validation: { enum: ['paid', 'unpaid', 'overdue'], synonyms: { paid: ['settled', 'payé'] } }
+        },
+        email: { type: 'string', optional: true, validation: { format: 'email' } },
+        website: { type: 'string', optional: true, validation: { format: 'uri' } },
+        iban: { type: 'string', optional: true, validation: { format: 'iban' } },
+        phone: { type: 'string', optional: true, validation: { format: 'phone' } },
+        postal_code: { type: 'string', optional: true, validation: { format: 'postal-code' } },
+        total: { type: 'number', validation: { min: 0, precision: 2 } },
+        vat_rate: { type: 'number', optional: true, validation: { enum: [0, 9, 21] } },
+        quantity_step: { type: 'number', optional: true, validation: { multipleOf: 0.25 } },
+        tags: { type: 'array', items: { type: 'string' }, optional: true, validation: { uniqueItems: true } }
+    }, {
+        required: ['status', 'total']
+    });
+
+    test('should resolve enum values case-insensitively and through synonyms', () => {
+        const schema = createSchema();
+
+        expect(schema.validateData({ status: ' PAID ', total: 1 }).data.status).toBe('paid');
+        expect(schema.validateData({ status: 'Settled', total: 1 }).data.status).toBe('paid');
+
+        const validation = schema.validateData({ status: 'pending', total: 1 });
+        expect(validation.errors).toEqual([expect.objectContaining({ field: 'status', code: 'invalid_enum_value' })]);
+    });
+
+    test('should honor caseSensitive enums', () => {
+        const schema = new Schema({ code: { type: 'string', validation: { enum: ['EUR'], caseSensitive: true } } }, { required: ['code'] });
+
+        expect(schema.validateData({ code: 'EUR' }).isValid).toBe(true);
+        expect(schema.validateData({ code: 'eur' }).isValid).toBe(false);
+    });
+
+    test('should check string formats', () => {
+        const schema = createSchema();
+        const valid = {
+            status: 'paid',
+            total: 1,
+            email: 'billing@example.com',
+            website: 'https://example.com/invoices',
+            iban: 'NL91 ABNA 0417 1643 00',
+            phone: '+31 (0)20 123 4567',
+            postal_code: '1012 AB'
+        };
+
+        expect(schema.validateData(valid).isValid).toBe(true);
+
+        const validation = schema.validateData({
+            ...valid,
+            email: 'billing(at)example.com',
+            website: 'example',
+            iban: 'NL91 ABNA 0417 1643 01',
+            phone: 'ask reception',
+            postal_code: 'AB'
+        });
+        expect(validation.errors.map(error => error.field)).toEqual(['email', 'website', 'iban', 'phone', 'postal_code']);
+    });
+
+    test('should check numeric precision, multipleOf and enums', () => {
+        const schema = createSchema();
+
+        expect(schema.validateData({ status: 'paid', total: 1234.5, vat_rate: 21, quantity_step: 1.75 }).isValid).toBe(true);
+
+        const validation = schema.validateData({ status: 'paid', total: 10.005, vat_rate: 19, quantity_step: 0.3 });
+        expect(validation.errors.map(error => [error.field, error.message])).toEqual([
+            ['total', 'Number must have at most 2 decimal places'],
+            ['vat_rate', 'Number must be one of: 0, 9, 21'],
+            ['quantity_step', 'Number must be a multiple of 0.25']
+        ]);
+    });
+
+    test('should report duplicate array items at their index', () => {
+        const result = new ExtractionResult('doc-001', { status: 'paid', total: 1, tags: ['a', 'b', 'a'] }, createSchema());
+
+        expect(result.errors).toEqual([expect.objectContaining({ field: 'tags[2]', message: 'Array items must be unique' })]);
+    });
+
+    test('should emit the constraints in the JSON schema', () => {
+        const { properties } = createSchema().toJsonSchema();
+
+        expect(properties.status).toEqual({ type: 'string', enum: ['paid', 'unpaid', 'overdue'] });
+        expect(properties.iban).toEqual({ type: 'string', format: 'iban' });
+        expect(properties.total).toEqual({ type: 'number', minimum: 0, multipleOf: 0.01 });
+        expect(properties.quantity_step).toEqual({ type: 'number', multipleOf: 0.25 });
+        expect(properties.tags).toEqual({ type: 'array', items: { type: 'string' }, uniqueItems: true });
+
+        const nullable = new Schema({ status: { type: 'string', nullable: true, validation: { enum: ['paid'] } } });
+        expect(nullable.toJsonSchema().properties.status.enum).toEqual(['paid', null]);
+    });
+
+    test('should reject rules that do not fit the field type', () => {
+        expect(() => new Schema({
+            total: { type: 'number', validation: { minLength: 1, precision: -1 } },
+            status: { type: 'string', validation: { enum: ['paid'], synonyms: { open: ['pending'] }, format: 'zip' } },
+            notes: { type: 'string', validation: { pattern: '(' } }
+        })).toThrow(expect.objectContaining({
+            errors: [
+                "Field 'total' rule 'minLength' does not apply to number fields",
+                "Field 'total' precision must be a non-negative integer",
+                "Field 'status' format must be one of: email, uri, iban, phone, postal-code",
+                "Field 'status' synonyms must be an object mapping enum values to arrays of strings",
+                "Field 'notes' pattern must be a valid regular expression"
+            ]
+        }));
+    });
+
+    test('should validate IBANs, phone numbers and postal codes', () => {
+        expect(isValidIban('GB82 WEST 1234 5698 7654 32')).toBe(true);
+        expect(isValidIban('GB82 WEST 1234 5698 7654')).toBe(false);
+        expect(isValidPhone('+1 415-555-0100')).toBe(true);
+        expect(isValidPhone('12345')).toBe(false);
+        expect(['SW1A 1AA', '94105-1234', '75008'].every(isValidPostalCode)).toBe(true);
+        expect(isValidPostalCode('ABCDE')).toBe(false);
+    });
+});
@@ -0,0 +1,158 @@
+const http = require('http');
+const { DocumentAIRepository } = require('../../src/infrastructure/repositories/document_ai.repository');
+const { Document } = require('../../src/domain/entities/documents');
+const { Schema } = require('../../src/domain/entities/schema');
+const { FileTooLargeError, UnsupportedFileTypeError, ErrorCodes } = require('../../src/domain/errors/document_ai_errors');
+
+describe('Streaming URL downloads', () => {
+    const schema = new Schema({ name: { type: 'string' } });
+    let server;
+    let baseUrl;
+    let chunksSent;
+    let uploadedBytes;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            if (req.method === 'POST') {
+                uploadedBytes = 0;
+                req.on('data', chunk => { uploadedBytes += chunk.length; });
+                req.on('end', () => {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify({ extracted_schema: { name: 'streamed' } }));
+                });
+                return;
+            }
+
+            if (req.url === '/error-page.pdf') {
+                res.setHeader('Content-Type', 'application/pdf');
+                res.end('<html><body>Session expired</body></html>');
+                return;
+            }
+
+            if (req.url === '/declared-too-large.pdf') {
+                res.setHeader('Content-Length', String(10 * 1024));
+                res.end(Buffer.alloc(10 * 1024));
+                return;
+            }
+
+            // Chunked response without Content-Length
+            res.setHeader('Content-Type', req.url === '/scan.pdf' ? 'image/png; charset=binary' : 'application/pdf');
+            chunksSent = 0;
+            const sendChunk = () => {
+                if (chunksSent === 8 || res.destroyed) {
+                    res.end();
+                    return;
+                }
+                chunksSent++;
+                res.write(Buffer.alloc(1024, 1), () => setTimeout(sendChunk, 5));
+            };
+            sendChunk();
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should pipe the download into the upload and correct the MIME type', async () => {
+        const repository = new DocumentAIRepository({
+            apiKey: 'test-key',
+            urlPolicy: { allowPrivateNetworks: true },
+            baseUrl: `${baseUrl}/upload`
+        });
+        const document = new Document('doc-1', `${baseUrl}/scan.pdf`);
+
+        const response = await repository.extract(document, schema);
+
+        expect(response.data).toEqual({ name: 'streamed' });
+        expect(document.mimeType).toBe('image/png');
+        expect(uploadedBytes).toBeGreaterThan(8 * 1024);
+    });
+
+    test('should sniff downloaded content before uploading it', async () => {
+        const repository = new DocumentAIRepository({
+            apiKey: 'test-key',
+            urlPolicy: { allowPrivateNetworks: true },
+            baseUrl: `${baseUrl}/upload`
+        });
+        uploadedBytes = 0;
+
+        const error = await repository.extract(new Document('doc-3', `${baseUrl}/error-page.pdf`), schema).catch(e => e);
+
+        expect(error).toBeInstanceOf(UnsupportedFileTypeError);
+        expect(error.code).toBe(ErrorCodes.MIME_MISMATCH);
+        expect(uploadedBytes).toBe(0);
+    });
+
+    test('should reject a declared Content-Length over the limit before streaming', async () => {
+        const repository = new DocumentAIRepository({
+            apiKey: 'test-key',
+            urlPolicy: { allowPrivateNetworks: true },
+            maxDownloadSize: 4096
+        });
+
+        await expect(repository.openDownloadStream(`${baseUrl}/declared-too-large.pdf`))
+            .rejects.toBeInstanceOf(FileTooLargeError);
+    });
+
+    test('should abort the download once the limit is exceeded while streaming', async () => {
+        const repository = new DocumentAIRepository({
+            apiKey: 'test-key',
+            urlPolicy: { allowPrivateNetworks: true },
+            baseUrl: `${baseUrl}/upload`,
+            maxDownloadSize: 3 * 1024
+        });
+        const document = new Document('doc-2', `${baseUrl}/invoice.pdf`);
+
+        await expect(repository.extract(document, schema)).rejects.toBeInstanceOf(FileTooLargeError);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(chunksSent).toBeLessThan(8);
+    });
+
+    test('should wait for the rate limiter before opening the download', async () => {
+        const repository = new DocumentAIRepository({
+            apiKey: 'test-key',
+            urlPolicy: { allowPrivateNetworks: true },
+            baseUrl: `${baseUrl}/upload`,
+            rateLimit: { requestsPerSecond: 1 }
+        });
+        const calls = [];
+        const openDownloadStream = repository.openDownloadStream.bind(repository);
+        jest.spyOn(repository.rateLimiter, 'acquire').mockImplementation(async () => { calls.push('acquire'); });
+        jest.spyOn(repository, 'openDownloadStream').mockImplementation((...args) => {
+            calls.push('download');
+            return openDownloadStream(...args);
+        });
+
+        await repository.extract(new Document('doc-4', `${baseUrl}/invoice.pdf`), schema);
+
+        expect(calls).toEqual(['acquire', 'download']);
+    });
+
+    test('should destroy the download when the upload request fails', async () => {
+        const repository = new DocumentAIRepository({
+            apiKey: 'test-key',
+            urlPolicy: { allowPrivateNetworks: true },
+            baseUrl: `${baseUrl}/upload`
+        });
+        const openDownloadStream = repository.openDownloadStream.bind(repository);
+        let download;
+        jest.spyOn(repository, 'openDownloadStream').mockImplementation(async (...args) => {
+            download = await openDownloadStream(...args);
+            return download;
+        });
+        jest.spyOn(repository, 'makeRequest').mockRejectedValue(
+            Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+        );
+
+        await expect(repository.extract(new Document('doc-5', `${baseUrl}/invoice.pdf`), schema)).rejects.toThrow();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(download.stream.destroyed).toBe(true);
+        expect(chunksSent).toBeLessThan(8);
+    });
+});
@@ -0,0 +1,121 @@
+const http = require('http');
+const { UrlFetchPolicy } = require('../../src/domain/value-objects/url_fetch_policy');
+const { DocumentAIRepository } = require('../../src/infrastructure/repositories/document_ai.repository');
+const { UrlPolicyError, ErrorCodes } = require('../../src/domain/errors/document_ai_errors');
+
+describe('UrlFetchPolicy', () => {
+    const expectPolicyError = (fn, code) => {
+        let thrown;
+        try {
+            fn();
+        } catch (error) {
+            thrown = error;
+        }
+        expect(thrown).toBeInstanceOf(UrlPolicyError);
+        expect(thrown.code).toBe(code);
+    };
+
+    test('should classify loopback, private and link-local addresses', () => {
+        ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']
+            .forEach(address => expect(UrlFetchPolicy.isPrivateAddress(address)).toBe(true));
+        ['93.184.216.34', '2606:4700:4700::1111']
+            .forEach(address => expect(UrlFetchPolicy.isPrivateAddress(address)).toBe(false));
+    });
+
+    test('should classify IPv6 ranges that embed IPv4 addresses', () => {
+        ['::127.0.0.1', '::a00:1', '64:ff9b::a00:1', '64:ff9b:1::a9fe:a9fe', '2002:7f00:1::', '2002:5db8:d822::1']
+            .forEach(address => expect(UrlFetchPolicy.isPrivateAddress(address)).toBe(true));
+        ['::ffff:93.184.216.34', '2606:4700:4700::1111']
+            .forEach(address => expect(UrlFetchPolicy.isPrivateAddress(address)).toBe(false));
+    });
+
+    test('should apply host allow and deny lists', () => {
+        const policy = new UrlFetchPolicy({
+            allowedHosts: ['*.example.com', 'files.test'],
+            deniedHosts: ['internal.example.com']
+        });
+
+        expect(() => policy.validateUrl('https://cdn.example.com/a.pdf')).not.toThrow();
+        expect(() => policy.validateUrl('https://files.test/a.pdf')).not.toThrow();
+        expectPolicyError(() => policy.validateUrl('https://internal.example.com/a.pdf'), ErrorCodes.HOST_NOT_ALLOWED);
+        expectPolicyError(() => policy.validateUrl('https://other.test/a.pdf'), ErrorCodes.HOST_NOT_ALLOWED);
+    });
+
+    test('should block private IP literals unless private networks are allowed', () => {
+        expectPolicyError(() => new UrlFetchPolicy().validateUrl('http://169.254.169.254/latest.pdf'), ErrorCodes.PRIVATE_ADDRESS_BLOCKED);
+        expectPolicyError(() => new UrlFetchPolicy().validateUrl('http://[::1]/a.pdf'), ErrorCodes.PRIVATE_ADDRESS_BLOCKED);
+        expectPolicyError(() => new UrlFetchPolicy().validateUrl('http://[::127.0.0.1]/a.pdf'), ErrorCodes.PRIVATE_ADDRESS_BLOCKED);
+        expect(() => new UrlFetchPolicy({ allowPrivateNetworks: true }).validateUrl('http://127.0.0.1/a.pdf')).not.toThrow();
+        expectPolicyError(() => new UrlFetchPolicy().validateUrl('ftp://example.com/a.pdf'), ErrorCodes.INVALID_URL);
+    });
+
+    test('should match content types with wildcards', () => {
+        const policy = new UrlFetchPolicy();
+
+        expect(policy.isAllowedContentType('application/pdf')).toBe(true);
+        expect(policy.isAllowedContentType('image/png')).toBe(true);
+        expect(policy.isAllowedContentType(null)).toBe(true);
+        expect(policy.isAllowedContentType('text/html')).toBe(false);
+    });
+
+    describe('when downloading', () => {
+        let server;
+        let port;
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                if (req.url === '/loop.pdf') {
+                    res.writeHead(302, { Location: '/loop.pdf' });
+                    res.end();
+                } else if (req.url === '/to-localhost.pdf') {
+                    res.writeHead(302, { Location: `http://localhost:${port}/doc.pdf` });
+                    res.end();
+                } else if (req.url === '/page.pdf') {
+                    res.writeHead(200, { 'Content-Type': 'text/html' });
+                    res.end('<html></html>');
+                } else {
+                    res.writeHead(200, { 'Content-Type': 'application/pdf' });
+                    res.end('%PDF-1.4\n');
+                }
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const createRepository = urlPolicy => new DocumentAIRepository({ apiKey: 'test-key', urlPolicy });
+
+        test('should check the addresses a host name resolves to', async () => {
+            await expect(createRepository().openDownloadStream(`http://localhost:${port}/doc.pdf`))
+                .rejects.toMatchObject({ code: ErrorCodes.PRIVATE_ADDRESS_BLOCKED });
+        });
+
+        test('should re-validate every redirect hop', async () => {
+            const repository = createRepository({ allowPrivateNetworks: true, deniedHosts: ['localhost'] });
+
+            await expect(repository.openDownloadStream(`http://127.0.0.1:${port}/to-localhost.pdf`))
+                .rejects.toMatchObject({ code: ErrorCodes.HOST_NOT_ALLOWED });
+        });
+
+        test('should stop after maxRedirects', async () => {
+            const repository = createRepository({ allowPrivateNetworks: true, maxRedirects: 2 });
+
+            await expect(repository.openDownloadStream(`http://127.0.0.1:${port}/loop.pdf`))
+                .rejects.toMatchObject({ code: ErrorCodes.TOO_MANY_REDIRECTS });
+        });
+
+        test('should require an allowed response content type', async () => {
+            const repository = createRepository({ allowPrivateNetworks: true });
+
+            await expect(repository.openDownloadStream(`http://127.0.0.1:${port}/page.pdf`))
+                .rejects.toMatchObject({ code: ErrorCodes.CONTENT_TYPE_NOT_ALLOWED });
+
+            const download = await repository.openDownloadStream(`http://127.0.0.1:${port}/doc.pdf`);
+            expect(download.contentType).toBe('application/pdf');
+            download.stream.resume();
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const { Schema } = require('../../src/domain/entities/schema');
+const { ExtractionResult } = require('../../src/domain/entities/extraction');
+const { coerceNumber, coerceBoolean, coerceDate } = require('../../src/domain/utils/value_coercion');
+
+describe('Value coercion', () => {
+    describe('numbers', () => {
+        test('should read thousands separators, currencies and accounting negatives', () => {
+            expect(coerceNumber('1,234.50')).toBe(1234.5);
+            expect(coerceNumber('$ 1 234.50')).toBe(1234.5);
+            expect(coerceNumber('EUR 12.00')).toBe(12);
+            expect(coerceNumber('12 USD')).toBe(12);
+            expect(coerceNumber('(€ 1,000)')).toBe(-1000);
+            expect(coerceNumber('-$7')).toBe(-7);
+            expect(coerceNumber('1.234,50', { decimalSeparator: ',' })).toBe(1234.5);
+        });
+
+        test('should leave ambiguous or non-numeric strings alone', () => {
+            expect(coerceNumber('1,23')).toBe('1,23');
+            expect(coerceNumber('1.234,50')).toBe('1.234,50');
+            expect(coerceNumber('n/a')).toBe('n/a');
+            expect(coerceNumber(42)).toBe(42);
+        });
+    });
+
+    test('should read yes/no and checkbox marks as booleans', () => {
+        expect(['Yes', 'TRUE', '☑', '[x]', 'checked'].map(coerceBoolean)).toEqual([true, true, true, true, true]);
+        expect(['no', 'False', '☐', '[ ]', 'unchecked'].map(coerceBoolean)).toEqual([false, false, false, false, false]);
+        expect(coerceBoolean('maybe')).toBe('maybe');
+    });
+
+    describe('dates', () => {
+        test('should read ISO dates and date-times', () => {
+            expect(coerceDate('2024-03-01')).toEqual(new Date(Date.UTC(2024, 2, 1)));
+            expect(coerceDate('2024-03-01T10:00:00+02:00')).toEqual(new Date(Date.UTC(2024, 2, 1, 8)));
+            expect(coerceDate('2024-02-30')).toBe('2024-02-30');
+        });
+
+        test('should read configured formats', () => {
+            const formats = ['DD/MM/YYYY', 'D MMMM YYYY', 'MMM D, YY'];
+
+            expect(coerceDate('01/03/2024', formats)).toEqual(new Date(Date.UTC(2024, 2, 1)));
+            expect(coerceDate('1 March 2024', formats)).toEqual(new Date(Date.UTC(2024, 2, 1)));
+            expect(coerceDate('Sept. 5, 24', formats)).toEqual(new Date(Date.UTC(2024, 8, 5)));
+            expect(coerceDate('31/02/2024', formats)).toBe('31/02/2024');
+            expect(coerceDate('01/03/2024')).toBe('01/03/2024');
+        });
+    });
+
+    describe('in schemas', () => {
+        const createSchema = (options = {}) => new Schema({
+            invoice_date: { type: 'date' },
+            due_date: { type: 'date', dateFormats: ['MM-DD-YYYY'] },
+            paid: { type: 'boolean' },
+            line_items: {
+                type: 'array',
+                items: { type: 'object', properties: { amount: { type: 'number' } } }
+            }
+        }, {
+            required: ['invoice_date'],
+            dateFormats: ['DD/MM/YYYY'],
+            ...options
+        });
+
+        const apiData = {
+            invoice_date: '01/03/2024',
+            due_date: '03-31-2024',
+            paid: 'Yes',
+            line_items: [{ amount: '1,234.50' }, { amount: '(10.00)' }]
+        };
+
+        test('should validate coerced values and keep the raw strings', () => {
+            const result = new ExtractionResult('doc-001', apiData, createSchema());
+
+            expect(result.isValid()).toBe(true);
+            expect(result.extractedData).toEqual({
+                invoice_date: new Date(Date.UTC(2024, 2, 1)),
+                due_date: new Date(Date.UTC(2024, 2, 31)),
+                paid: true,
+                line_items: [{ amount: 1234.5 }, { amount: -10 }]
+            });
+            expect(result.rawData).toEqual(apiData);
+            expect(result.getField('invoice_date')).toEqual(expect.objectContaining({
+                value: new Date(Date.UTC(2024, 2, 1)),
+                raw: '01/03/2024'
+            }));
+        });
+
+        test('should describe dates as ISO date strings in the JSON schema', () => {
+            const { properties } = createSchema().toJsonSchema();
+
+            expect(properties.invoice_date).toEqual({ type: 'string', format: 'date' });
+            expect(new ExtractionResult('doc-001', { ...apiData, invoice_date: '2024-03-01' }, createSchema()).extractedData.invoice_date)
+                .toEqual(new Date(Date.UTC(2024, 2, 1)));
+        });
+
+        test('should report values that cannot be coerced', () => {
+            const result = new ExtractionResult('doc-001', { ...apiData, invoice_date: '2024/03/01' }, createSchema());
+
+            expect(result.isValid()).toBe(false);
+            expect(result.errors.map(error => error.field)).toEqual(['invoice_date']);
+        });
+
+        test('should not coerce when turned off', () => {
+            const result = new ExtractionResult('doc-001', apiData, createSchema({ coerce: false }));
+
+            expect(result.isValid()).toBe(false);
+        });
+
+        test('should reject invalid coercion options', () => {
+            expect(() => createSchema({ dateFormats: ['DD/MM'], decimalSeparator: ';' })).toThrow(expect.objectContaining({
+                errors: [
+                    'Schema dateFormats must be an array of formats with YYYY or YY, M, MM, MMM or MMMM, and D or DD',
+                    "Schema decimalSeparator must be '.' or ','"
+                ]
+            }));
+        });
+
+        test('should keep raw values through serialization and merges', () => {
+            const schema = createSchema();
+            const first = new ExtractionResult('doc-001', apiData, schema);
+            const second = new ExtractionResult('doc-001', {
+                invoice_date: '2024-03-02',
+                line_items: [{ amount: '5' }]
+            }, schema);
+
+            const restored = ExtractionResult.fromJSON(JSON.parse(JSON.stringify(first.toJSON())), schema);
+            expect(restored.extractedData.invoice_date).toEqual(new Date(Date.UTC(2024, 2, 1)));
+            expect(restored.rawData).toEqual(apiData);
+
+            const merged = first.merge(second, { strategies: { line_items: 'concat' } });
+            expect(merged.extractedData.line_items).toEqual([{ amount: 1234.5 }, { amount: -10 }, { amount: 5 }]);
+            expect(merged.rawData).toEqual({
+                ...apiData,
+                invoice_date: '2024-03-02',
+                line_items: [{ amount: '1,234.50' }, { amount: '(10.00)' }, { amount: '5' }]
+            });
+        });
+    });
+});